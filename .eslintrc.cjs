@@ -10,4 +10,10 @@ module.exports = {
   globals: {
     shopify: "readonly"
   },
+  settings: {
+    // Tests run on Vitest, so the Jest rules can't detect a version themselves
+    jest: {
+      version: 28,
+    },
+  },
 };
@@ -25,8 +25,85 @@ import {
 import { EmailIcon, ClockIcon } from "@shopify/polaris-icons";
 import { useAppBridge } from "@shopify/app-bridge-react";
 import PopupPreview from "./PopupPreview";
+import {
+  CUSTOMER_OPTIONS,
+  ORDER_HISTORY_OPTIONS,
+  VISITOR_OPTIONS,
+  parseAudienceRules,
+} from "../utils/audienceRules";
+import { parseCartRules } from "../utils/cartRules";
+import {
+  DEVICE_OPTIONS,
+  MOBILE_POSITION_OPTIONS,
+  applyMobileOverrides,
+  parseMobileOverrides,
+  parseTargetDevices,
+} from "../utils/deviceTargeting";
+import { parseLocaleRules } from "../utils/localeRules";
+import { MAX_CONSENT_TEXT_LENGTH, parseMarketingConsent } from "../utils/marketingConsent";
+import {
+  WEEKDAY_OPTIONS,
+  HOUR_OPTIONS,
+  dateToZonedLocalString,
+  parseScheduleWindows,
+} from "../utils/popupSchedule";
+import { TRIGGER_TYPES, parseTriggerRules } from "../utils/popupTriggers";
 import "../styles/timer-popup-modal.css";
 
+// Discount types a popup can award (codes are minted per shopper on the server)
+const DISCOUNT_TYPE_OPTIONS = [
+  { label: "Percentage off", value: "percentage" },
+  { label: "Fixed amount off", value: "fixed_amount" },
+  { label: "Free shipping", value: "shipping" },
+];
+
+const TRIGGER_TYPE_OPTIONS = Object.entries(TRIGGER_TYPES).map(([value, { label }]) => ({ label, value }));
+
+const SEGMENT_PRIZE_OPTIONS = [
+  ...DISCOUNT_TYPE_OPTIONS,
+  { label: "No prize", value: "none" },
+];
+
+// Wheel segments saved before prize types existed only carry a static code.
+// Work out their prize from the label so the editor shows something sensible.
+const withSegmentPrize = (segment) => {
+  if (segment.discountType) return segment;
+  if (!segment.code) return { ...segment, discountType: "none", discountValue: null };
+
+  const label = String(segment.label || "").toUpperCase();
+  if (label.includes("SHIPPING")) return { ...segment, discountType: "shipping", discountValue: "100" };
+
+  const amount = label.match(/(\d+(?:\.\d+)?)/);
+  return {
+    ...segment,
+    discountType: label.includes("$") ? "fixed_amount" : "percentage",
+    discountValue: amount ? amount[1] : "10",
+  };
+};
+
+// Trigger, audience, schedule and frequency-cap settings every popup type shares.
+// Pass an empty object to get the defaults for a new popup.
+const getTargetingState = (config) => ({
+  exitIntent: config.exitIntent || false,
+  exitIntentDelay: config.exitIntentDelay || 1000,
+  mobileExitIntent: config.mobileExitIntent === true,
+  maxImpressionsPerSession: config.maxImpressionsPerSession || "",
+  stopAfterConversion: config.stopAfterConversion || false,
+  cooldownMinutes: config.cooldownMinutes || 0,
+  triggerRules: parseTriggerRules(config.triggerRules),
+  cartRules: parseCartRules(config.cartRules),
+  audienceRules: parseAudienceRules(config.audienceRules),
+  targetDevices: parseTargetDevices(config.targetDevices),
+  mobileOverrides: parseMobileOverrides(config.mobileOverrides),
+  localeRules: parseLocaleRules(config.localeRules),
+  marketingConsent: parseMarketingConsent(config.marketingConsent),
+  schedule: {
+    startsAt: dateToZonedLocalString(config.startsAt, config.scheduleTimezone || "UTC"),
+    endsAt: dateToZonedLocalString(config.endsAt, config.scheduleTimezone || "UTC"),
+    windows: parseScheduleWindows(config.scheduleWindows),
+  },
+});
+
 /**
  * PopupConfigurationModal - Universal modal that contains the entire popup customizer interface
  *
@@ -123,6 +200,10 @@ export default function PopupConfigurationModal({
   });
   const [pagesLoading, setPagesLoading] = useState(false); // Loading state for page fetching
   
+  // Markets and storefront languages for locale targeting
+  const [localizationOptions, setLocalizationOptions] = useState({ markets: [], languages: [] });
+  const [localizationLoaded, setLocalizationLoaded] = useState(false);
+  
   // Custom URL input for manual page targeting
   const [customUrl, setCustomUrl] = useState('');
   
@@ -139,7 +220,10 @@ export default function PopupConfigurationModal({
         description: initialConfig.description || "Subscribe to our newsletter and receive exclusive discounts",
         placeholder: initialConfig.placeholder || "Enter your email address",
         buttonText: initialConfig.buttonText || "Get Discount",
-        discountCode: initialConfig.discountCode || "WELCOME10",
+        discountCode: initialConfig.discountCode || "WELCOME",
+        discountMinimumSubtotal: initialConfig.discountMinimumSubtotal || "",
+        discountType: initialConfig.discountType || "percentage",
+        discountValue: initialConfig.discountValue || "10",
         backgroundColor: initialConfig.backgroundColor || "#ffffff",
         textColor: initialConfig.textColor || "#000000",
         buttonColor: initialConfig.buttonColor || "#007ace",
@@ -147,8 +231,7 @@ export default function PopupConfigurationModal({
         showCloseButton: initialConfig.showCloseButton !== false,
         displayDelay: initialConfig.displayDelay || 3000,
         frequency: initialConfig.frequency || "once",
-        exitIntent: initialConfig.exitIntent || false,
-        exitIntentDelay: initialConfig.exitIntentDelay || 1000,
+        ...getTargetingState(initialConfig),
       };
     }
     return {
@@ -156,7 +239,10 @@ export default function PopupConfigurationModal({
       description: "Subscribe to our newsletter and receive exclusive discounts",
       placeholder: "Enter your email address",
       buttonText: "Get Discount",
-      discountCode: "WELCOME10",
+      discountCode: "WELCOME",
+      discountMinimumSubtotal: "",
+      discountType: "percentage",
+      discountValue: "10",
       backgroundColor: "#ffffff",
       textColor: "#000000",
       buttonColor: "#007ace",
@@ -164,8 +250,7 @@ export default function PopupConfigurationModal({
       showCloseButton: true,
       displayDelay: 3000,
       frequency: "once",
-      exitIntent: false,
-      exitIntentDelay: 1000,
+      ...getTargetingState({}),
     };
   });
 
@@ -190,22 +275,22 @@ export default function PopupConfigurationModal({
         description: initialConfig.description || "Enter your email below and spin the wheel to see if you're our next lucky winner!",
         placeholder: initialConfig.placeholder || "Enter your email",
         buttonText: initialConfig.buttonText || "TRY YOUR LUCK",
-        discountCode: initialConfig.discountCode || "SAVE5",
-        segments: initialConfig.segments ? JSON.parse(initialConfig.segments) : [
-          { label: '5% OFF', color: '#0a2a43', code: 'SAVE5' },
-          { label: '10% OFF', color: '#133b5c', code: 'SAVE10' },
-          { label: '15% OFF', color: '#0a2a43', code: 'SAVE15' },
-          { label: '20% OFF', color: '#133b5c', code: 'SAVE20' },
-          { label: 'FREE SHIPPING', color: '#0a2a43', code: 'FREESHIP' },
-          { label: 'TRY AGAIN', color: '#133b5c', code: null }
+        discountCode: initialConfig.discountCode || "SPIN",
+        discountMinimumSubtotal: initialConfig.discountMinimumSubtotal || "",
+        segments: initialConfig.segments ? JSON.parse(initialConfig.segments).map(withSegmentPrize) : [
+          { label: '5% OFF', color: '#0a2a43', discountType: 'percentage', discountValue: '5' },
+          { label: '10% OFF', color: '#133b5c', discountType: 'percentage', discountValue: '10' },
+          { label: '15% OFF', color: '#0a2a43', discountType: 'percentage', discountValue: '15' },
+          { label: '20% OFF', color: '#133b5c', discountType: 'percentage', discountValue: '20' },
+          { label: 'FREE SHIPPING', color: '#0a2a43', discountType: 'shipping', discountValue: '100' },
+          { label: 'TRY AGAIN', color: '#133b5c', discountType: 'none', discountValue: null }
         ],
         backgroundColor: backgroundColor,
         backgroundType: backgroundType,
         textColor: "#ffffff",
         displayDelay: initialConfig.displayDelay || 3000,
         frequency: initialConfig.frequency || "once",
-        exitIntent: initialConfig.exitIntent || false,
-        exitIntentDelay: initialConfig.exitIntentDelay || 1000,
+        ...getTargetingState(initialConfig),
         houseRules: initialConfig.houseRules || [
           "Winnings through cheating will not be processed.",
           "Only one spin allowed"
@@ -219,22 +304,22 @@ export default function PopupConfigurationModal({
       description: "Enter your email below and spin the wheel to see if you're our next lucky winner!",
       placeholder: "Enter your email",
       buttonText: "TRY YOUR LUCK",
-      discountCode: "SAVE10",
+      discountCode: "SPIN",
+      discountMinimumSubtotal: "",
       segments: [
-        { label: '5% OFF', color: '#0a2a43', code: 'SAVE5' },
-        { label: '10% OFF', color: '#133b5c', code: 'SAVE10' },
-        { label: '15% OFF', color: '#0a2a43', code: 'SAVE15' },
-        { label: '20% OFF', color: '#133b5c', code: 'SAVE20' },
-        { label: 'FREE SHIPPING', color: '#0a2a43', code: 'FREESHIP' },
-        { label: 'TRY AGAIN', color: '#133b5c', code: null }
+        { label: '5% OFF', color: '#0a2a43', discountType: 'percentage', discountValue: '5' },
+        { label: '10% OFF', color: '#133b5c', discountType: 'percentage', discountValue: '10' },
+        { label: '15% OFF', color: '#0a2a43', discountType: 'percentage', discountValue: '15' },
+        { label: '20% OFF', color: '#133b5c', discountType: 'percentage', discountValue: '20' },
+        { label: 'FREE SHIPPING', color: '#0a2a43', discountType: 'shipping', discountValue: '100' },
+        { label: 'TRY AGAIN', color: '#133b5c', discountType: 'none', discountValue: null }
       ],
       backgroundColor: "linear-gradient(135deg, #09090aff 0%, #2a5298 100%)",
       backgroundType: "gradient",
       textColor: "#ffffff",
       displayDelay: 3000,
       frequency: "once",
-      exitIntent: false,
-      exitIntentDelay: 1000,
+      ...getTargetingState({}),
       houseRules: [
         "Winnings through cheating will not be processed.",
         "Only one spin allowed"
@@ -266,8 +351,7 @@ export default function PopupConfigurationModal({
         showCloseButton: initialConfig.showCloseButton !== false,
         displayDelay: initialConfig.displayDelay || 3000,
         frequency: initialConfig.frequency || "once",
-        exitIntent: initialConfig.exitIntent || false,
-        exitIntentDelay: initialConfig.exitIntentDelay || 1000,
+        ...getTargetingState(initialConfig),
       };
     }
     return {
@@ -289,8 +373,7 @@ export default function PopupConfigurationModal({
       showCloseButton: true,
       displayDelay: 3000,
       frequency: "once",
-      exitIntent: false,
-      exitIntentDelay: 1000,
+      ...getTargetingState({}),
     };
   });
 
@@ -303,15 +386,17 @@ export default function PopupConfigurationModal({
         description: initialConfig.description || "Don't miss out on this exclusive deal. Time is running out!",
         placeholder: initialConfig.placeholder || "Enter your email to claim this offer",
         buttonText: initialConfig.buttonText || "CLAIM OFFER NOW",
-        discountCode: initialConfig.discountCode || "TIMER10",
+        discountCode: initialConfig.discountCode || "TIMER",
+        discountMinimumSubtotal: initialConfig.discountMinimumSubtotal || "",
+        discountType: initialConfig.discountType || "percentage",
+        discountValue: initialConfig.discountValue || "10",
         backgroundColor: initialConfig.backgroundColor || "linear-gradient(135deg, #667eea 0%, #764ba2 100%)",
         textColor: initialConfig.textColor || "#ffffff",
         borderRadius: initialConfig.borderRadius || 16,
         showCloseButton: initialConfig.showCloseButton !== false,
         displayDelay: initialConfig.displayDelay || 3000,
         frequency: initialConfig.frequency || "once",
-        exitIntent: initialConfig.exitIntent || false,
-        exitIntentDelay: initialConfig.exitIntentDelay || 1000,
+        ...getTargetingState(initialConfig),
         timerDays: initialConfig.timerDays || 0,
         timerHours: initialConfig.timerHours || 0,
         timerMinutes: initialConfig.timerMinutes || 5,
@@ -332,15 +417,17 @@ export default function PopupConfigurationModal({
       description: "Don't miss out on this exclusive deal. Time is running out!",
       placeholder: "Enter your email to claim this offer",
       buttonText: "CLAIM OFFER NOW",
-      discountCode: "TIMER10",
+      discountCode: "TIMER",
+      discountMinimumSubtotal: "",
+      discountType: "percentage",
+      discountValue: "10",
       backgroundColor: "linear-gradient(135deg, #667eea 0%, #764ba2 100%)",
       textColor: "#ffffff",
       borderRadius: 16,
       showCloseButton: true,
       displayDelay: 3000,
       frequency: "once",
-      exitIntent: false,
-      exitIntentDelay: 1000,
+      ...getTargetingState({}),
       timerDays: 0,
       timerHours: 0,
       timerMinutes: 5,
@@ -366,7 +453,8 @@ export default function PopupConfigurationModal({
         description: initialConfig.description || "Scratch the card to reveal your exclusive discount and enter your email to claim it!",
         placeholder: initialConfig.placeholder || "Enter your email",
         buttonText: initialConfig.buttonText || "CLAIM DISCOUNT",
-        discountCode: initialConfig.discountCode || "SCRATCH10",
+        discountCode: initialConfig.discountCode || "SCRATCH",
+        discountMinimumSubtotal: initialConfig.discountMinimumSubtotal || "",
         scratchDiscountPercentage: initialConfig.scratchDiscountPercentage || initialConfig.discountPercentage || 15,
         backgroundColor: initialConfig.backgroundColor || "#ffffff",
         textColor: initialConfig.textColor || "#000000",
@@ -374,8 +462,7 @@ export default function PopupConfigurationModal({
         showCloseButton: initialConfig.showCloseButton !== false,
         displayDelay: initialConfig.displayDelay || 3000,
         frequency: initialConfig.frequency || "once",
-        exitIntent: initialConfig.exitIntent || false,
-        exitIntentDelay: initialConfig.exitIntentDelay || 1000,
+        ...getTargetingState(initialConfig),
       };
     }
     return {
@@ -383,7 +470,8 @@ export default function PopupConfigurationModal({
       description: "Scratch the card to reveal your exclusive discount and enter your email to claim it!",
       placeholder: "Enter your email",
       buttonText: "CLAIM DISCOUNT",
-      discountCode: "SCRATCH10",
+      discountCode: "SCRATCH",
+      discountMinimumSubtotal: "",
       scratchDiscountPercentage: 15,
       backgroundColor: "#ffffff",
       textColor: "#000000",
@@ -391,8 +479,7 @@ export default function PopupConfigurationModal({
       showCloseButton: true,
       displayDelay: 3000,
       frequency: "once",
-      exitIntent: false,
-      exitIntentDelay: 1000,
+      ...getTargetingState({}),
     };
   });
 
@@ -464,13 +551,32 @@ export default function PopupConfigurationModal({
     return true;
   }, [existingPopupNames, initialConfig?.name]);
 
-  // Load storefront pages and existing popup names when modal opens
+  // Fetch the shop's markets and published languages from Shopify Admin API
+  const fetchLocalizationOptions = useCallback(async () => {
+    if (localizationLoaded) return;
+    
+    try {
+      const response = await fetch('/api/admin/localization');
+      const data = await response.json();
+      
+      if (data.success) {
+        setLocalizationOptions(data.localization);
+      }
+    } catch (error) {
+      console.error('Error fetching localization options:', error);
+    } finally {
+      setLocalizationLoaded(true);
+    }
+  }, [localizationLoaded]);
+
+  // Load storefront pages, markets and existing popup names when modal opens
   useEffect(() => {
     if (isOpen) {
       fetchStorefrontPages();
+      fetchLocalizationOptions();
       fetchExistingPopupNames();
     }
-  }, [isOpen, fetchStorefrontPages, fetchExistingPopupNames]);
+  }, [isOpen, fetchStorefrontPages, fetchLocalizationOptions, fetchExistingPopupNames]);
 
   // ============================================================================
   // SAVE AND FORM SUBMISSION HANDLERS
@@ -493,6 +599,16 @@ export default function PopupConfigurationModal({
       return;
     }
     
+    if (config.targetDevices && config.targetDevices.length === 0) {
+      shopify.toast.show("Select at least one device to show the popup on.", { isError: true });
+      return;
+    }
+
+    if (config.schedule?.startsAt && config.schedule?.endsAt && config.schedule.endsAt <= config.schedule.startsAt) {
+      shopify.toast.show("The end date must be after the start date.", { isError: true });
+      return;
+    }
+
     const formData = {
       popupConfig: JSON.stringify({
         type: popupType,
@@ -545,6 +661,619 @@ export default function PopupConfigurationModal({
     { label: "Scratch Card Popup", value: "scratch-card" },
   ];
 
+  // Win chance (as a percentage) of a wheel segment based on the segment weights.
+  // Segments without a weight count as 1, matching the server-side picker.
+  const getSegmentChance = (segments, index) => {
+    const weightOf = (segment) => {
+      const weight = parseFloat(segment.weight ?? 1);
+      return Number.isFinite(weight) && weight > 0 ? weight : 0;
+    };
+    const totalWeight = segments.reduce((sum, segment) => sum + weightOf(segment), 0);
+    
+    if (totalWeight <= 0) {
+      return (100 / segments.length).toFixed(1);
+    }
+    
+    return ((weightOf(segments[index]) / totalWeight) * 100).toFixed(1);
+  };
+
+  // Minimum order subtotal shared by every popup type that awards a discount
+  const renderMinimumSubtotalField = (config, updateConfig) => (
+    <TextField
+      label="Minimum Order Subtotal"
+      type="number"
+      min={0}
+      value={String(config.discountMinimumSubtotal ?? "")}
+      onChange={(value) => updateConfig({ ...config, discountMinimumSubtotal: value })}
+      placeholder="No minimum"
+      helpText="Codes only apply to orders at or above this subtotal. Leave empty for no minimum."
+      autoComplete="off"
+    />
+  );
+
+  // Scroll / inactivity / time-on-site / page-view conditions, combined with AND or OR
+  const renderTriggerRulesFields = (config, updateConfig) => {
+    const triggerRules = config.triggerRules || parseTriggerRules(null);
+    const setTriggerRules = (changes) =>
+      updateConfig(prev => ({ ...prev, triggerRules: { ...triggerRules, ...changes } }));
+    const updateCondition = (index, changes) => {
+      const conditions = triggerRules.conditions.map((condition, i) =>
+        i === index ? { ...condition, ...changes } : condition
+      );
+      setTriggerRules({ conditions });
+    };
+
+    return (
+      <BlockStack gap="200">
+        <Text as="h4" variant="headingSm">Trigger Conditions</Text>
+        <Text as="p" variant="bodySm" tone="subdued">
+          Show the popup once these conditions are met instead of after the display delay
+        </Text>
+        
+        {triggerRules.conditions.length > 1 && (
+          <Select
+            label="Show when"
+            options={[
+              { label: "All conditions are met", value: "all" },
+              { label: "Any condition is met", value: "any" },
+            ]}
+            value={triggerRules.match}
+            onChange={(value) => setTriggerRules({ match: value })}
+          />
+        )}
+        
+        {triggerRules.conditions.map((condition, index) => (
+          <InlineStack key={index} gap="200" blockAlign="end">
+            <Box minWidth="240px">
+              <Select
+                label={`Condition ${index + 1}`}
+                options={TRIGGER_TYPE_OPTIONS}
+                value={condition.type}
+                onChange={(value) => updateCondition(index, {
+                  type: value,
+                  value: TRIGGER_TYPES[value].defaultValue
+                })}
+              />
+            </Box>
+            <Box minWidth="100px">
+              <TextField
+                label="Value"
+                type="number"
+                min={TRIGGER_TYPES[condition.type].min}
+                max={TRIGGER_TYPES[condition.type].max}
+                value={String(condition.value ?? "")}
+                onChange={(value) => updateCondition(index, { value })}
+                autoComplete="off"
+              />
+            </Box>
+            <Button
+              onClick={() => setTriggerRules({
+                conditions: triggerRules.conditions.filter((_, i) => i !== index)
+              })}
+              variant="plain"
+              tone="critical"
+            >
+              Remove
+            </Button>
+          </InlineStack>
+        ))}
+        
+        <InlineStack>
+          <Button
+            onClick={() => setTriggerRules({
+              conditions: [...triggerRules.conditions, { type: "scroll", value: TRIGGER_TYPES.scroll.defaultValue }]
+            })}
+            variant="plain"
+          >
+            Add Condition
+          </Button>
+        </InlineStack>
+      </BlockStack>
+    );
+  };
+
+  // Cart subtotal / item count / product / collection targeting and the
+  // add-to-cart trigger. Handles are kept as typed until the popup is saved.
+  const renderCartRulesFields = (config, updateConfig) => {
+    const cartRules = config.cartRules || parseCartRules(null);
+    const setCartRule = (key, value) =>
+      updateConfig(prev => ({ ...prev, cartRules: { ...cartRules, [key]: value } }));
+    const handlesValue = (value) => Array.isArray(value) ? value.join(", ") : String(value ?? "");
+
+    return (
+      <BlockStack gap="300">
+        <Text as="h4" variant="headingSm">Cart Targeting</Text>
+        <Text as="p" variant="bodyMd" tone="subdued">
+          Only show this popup when the shopper's cart matches every rule you set. Leave a field empty to ignore it.
+        </Text>
+        
+        <InlineStack gap="200" wrap={false}>
+          <Box minWidth="160px">
+            <TextField
+              label="Cart subtotal at least"
+              type="number"
+              min={0}
+              value={String(cartRules.minSubtotal ?? "")}
+              onChange={(value) => setCartRule("minSubtotal", value)}
+              autoComplete="off"
+            />
+          </Box>
+          <Box minWidth="160px">
+            <TextField
+              label="Cart subtotal below"
+              type="number"
+              min={0}
+              value={String(cartRules.maxSubtotal ?? "")}
+              onChange={(value) => setCartRule("maxSubtotal", value)}
+              helpText="Use {{cart_remaining}} in the title or description to show the amount left"
+              autoComplete="off"
+            />
+          </Box>
+        </InlineStack>
+        
+        <InlineStack gap="200" wrap={false}>
+          <Box minWidth="160px">
+            <TextField
+              label="Items in cart at least"
+              type="number"
+              min={0}
+              value={String(cartRules.minItems ?? "")}
+              onChange={(value) => setCartRule("minItems", value)}
+              autoComplete="off"
+            />
+          </Box>
+          <Box minWidth="160px">
+            <TextField
+              label="Items in cart at most"
+              type="number"
+              min={0}
+              value={String(cartRules.maxItems ?? "")}
+              onChange={(value) => setCartRule("maxItems", value)}
+              autoComplete="off"
+            />
+          </Box>
+        </InlineStack>
+        
+        <TextField
+          label="Cart contains any of these products"
+          value={handlesValue(cartRules.productHandles)}
+          onChange={(value) => setCartRule("productHandles", value)}
+          placeholder="blue-t-shirt, canvas-tote"
+          helpText="Product handles, separated by commas"
+          autoComplete="off"
+        />
+        
+        <TextField
+          label="Cart contains a product from any of these collections"
+          value={handlesValue(cartRules.collectionHandles)}
+          onChange={(value) => setCartRule("collectionHandles", value)}
+          placeholder="summer-sale"
+          helpText="Collection handles, separated by commas"
+          autoComplete="off"
+        />
+        
+        <Checkbox
+          label="Show right after a product is added to the cart"
+          checked={cartRules.addToCartTrigger === true}
+          onChange={(checked) => setCartRule("addToCartTrigger", checked)}
+          helpText="Replaces the display delay and other triggers"
+        />
+      </BlockStack>
+    );
+  };
+
+  // New vs returning visitors, logged-in vs guest, order history and tags
+  const renderAudienceRulesFields = (config, updateConfig) => {
+    const audienceRules = config.audienceRules || parseAudienceRules(null);
+    const setAudienceRule = (key, value) =>
+      updateConfig(prev => ({ ...prev, audienceRules: { ...audienceRules, [key]: value } }));
+    const tagsValue = (value) => Array.isArray(value) ? value.join(", ") : String(value ?? "");
+
+    return (
+      <BlockStack gap="300">
+        <Text as="h4" variant="headingSm">Audience Targeting</Text>
+        <Text as="p" variant="bodyMd" tone="subdued">
+          Choose which visitors see this popup
+        </Text>
+        
+        <Select
+          label="Visitors"
+          options={VISITOR_OPTIONS}
+          value={audienceRules.visitor}
+          onChange={(value) => setAudienceRule("visitor", value)}
+          helpText="Returning visitors have been to your store in an earlier browsing session"
+        />
+        
+        <Select
+          label="Customer accounts"
+          options={CUSTOMER_OPTIONS}
+          value={audienceRules.customer}
+          onChange={(value) => setAudienceRule("customer", value)}
+        />
+        
+        <Select
+          label="Order history"
+          options={ORDER_HISTORY_OPTIONS}
+          value={audienceRules.orders}
+          onChange={(value) => setAudienceRule("orders", value)}
+          helpText="Known for logged-in customers only. Guests count as not having ordered."
+        />
+        
+        <TextField
+          label="Only customers tagged"
+          value={tagsValue(audienceRules.includeTags)}
+          onChange={(value) => setAudienceRule("includeTags", value)}
+          placeholder="vip, wholesale"
+          helpText="Customer tags, separated by commas. The customer needs any one of them."
+          autoComplete="off"
+        />
+        
+        <TextField
+          label="Hide from customers tagged"
+          value={tagsValue(audienceRules.excludeTags)}
+          onChange={(value) => setAudienceRule("excludeTags", value)}
+          placeholder="subscriber"
+          helpText="Customer tags, separated by commas"
+          autoComplete="off"
+        />
+      </BlockStack>
+    );
+  };
+
+  // UTM, query parameter and referrer targeting for campaign traffic
+  const renderTrafficSourceFields = (config, updateConfig) => {
+    const audienceRules = config.audienceRules || parseAudienceRules(null);
+    const setAudienceRule = (key, value) =>
+      updateConfig(prev => ({ ...prev, audienceRules: { ...audienceRules, [key]: value } }));
+    const listValue = (value) => Array.isArray(value) ? value.join(", ") : String(value ?? "");
+    const paramsValue = (value) => Array.isArray(value)
+      ? value.map(param => param.value ? `${param.key}=${param.value}` : param.key).join("\n")
+      : String(value ?? "");
+
+    return (
+      <BlockStack gap="300">
+        <Text as="h4" variant="headingSm">Traffic Source</Text>
+        <Text as="p" variant="bodyMd" tone="subdued">
+          Show this popup only to visitors who arrived from matching campaigns or sites. Sources are remembered for the whole visit. Use * as a wildcard.
+        </Text>
+        
+        <TextField
+          label="UTM source"
+          value={listValue(audienceRules.utmSources)}
+          onChange={(value) => setAudienceRule("utmSources", value)}
+          placeholder="google, facebook"
+          helpText="Values of utm_source, separated by commas"
+          autoComplete="off"
+        />
+        
+        <TextField
+          label="UTM campaign"
+          value={listValue(audienceRules.utmCampaigns)}
+          onChange={(value) => setAudienceRule("utmCampaigns", value)}
+          placeholder="summer-sale*"
+          helpText="Values of utm_campaign, separated by commas"
+          autoComplete="off"
+        />
+        
+        <TextField
+          label="URL parameters"
+          value={paramsValue(audienceRules.queryParams)}
+          onChange={(value) => setAudienceRule("queryParams", value)}
+          placeholder={"utm_medium=cpc\nref"}
+          helpText="One per line as name=value, or just name to match any value"
+          multiline={3}
+          autoComplete="off"
+        />
+        
+        <TextField
+          label="Referring site"
+          value={listValue(audienceRules.referrers)}
+          onChange={(value) => setAudienceRule("referrers", value)}
+          placeholder="*google.*, instagram.com"
+          helpText="Domains of the site the visitor came from, separated by commas"
+          autoComplete="off"
+        />
+      </BlockStack>
+    );
+  };
+
+  // Devices the popup shows on, plus optional mobile-only content and layout
+  const renderDeviceTargetingFields = (config, updateConfig) => {
+    const targetDevices = config.targetDevices || parseTargetDevices(null);
+    const mobileOverrides = config.mobileOverrides || {};
+    const hasMobileOverrides = Object.keys(mobileOverrides).length > 0;
+    const setMobileOverride = (key, value) =>
+      updateConfig(prev => ({ ...prev, mobileOverrides: { ...mobileOverrides, [key]: value } }));
+
+    return (
+      <BlockStack gap="300">
+        <Text as="h4" variant="headingSm">Device Targeting</Text>
+        
+        <ChoiceList
+          title="Show on"
+          allowMultiple
+          choices={DEVICE_OPTIONS}
+          selected={targetDevices}
+          onChange={(selected) => updateConfig(prev => ({ ...prev, targetDevices: selected }))}
+          error={targetDevices.length === 0 ? "Select at least one device" : undefined}
+        />
+        
+        {targetDevices.includes("mobile") && (
+          <Checkbox
+            label="Use different content on mobile"
+            checked={hasMobileOverrides}
+            onChange={(checked) => updateConfig(prev => ({
+              ...prev,
+              mobileOverrides: checked ? { position: "center" } : {}
+            }))}
+            helpText="Shorter copy or a bottom-sheet layout for phones. Empty fields use the regular content."
+          />
+        )}
+        
+        {targetDevices.includes("mobile") && hasMobileOverrides && (
+          <BlockStack gap="200">
+            <TextField
+              label="Mobile title"
+              value={mobileOverrides.title || ""}
+              onChange={(value) => setMobileOverride("title", value)}
+              placeholder={config.title}
+              autoComplete="off"
+            />
+            <TextField
+              label="Mobile description"
+              value={mobileOverrides.description || ""}
+              onChange={(value) => setMobileOverride("description", value)}
+              placeholder={config.description}
+              multiline={2}
+              autoComplete="off"
+            />
+            <TextField
+              label="Mobile button text"
+              value={mobileOverrides.buttonText || ""}
+              onChange={(value) => setMobileOverride("buttonText", value)}
+              placeholder={config.buttonText}
+              autoComplete="off"
+            />
+            <TextField
+              label="Mobile email placeholder"
+              value={mobileOverrides.placeholder || ""}
+              onChange={(value) => setMobileOverride("placeholder", value)}
+              placeholder={config.placeholder}
+              autoComplete="off"
+            />
+            <TextField
+              label="Mobile display delay (ms)"
+              type="number"
+              min={0}
+              value={String(mobileOverrides.displayDelay ?? "")}
+              onChange={(value) => setMobileOverride("displayDelay", value)}
+              placeholder={String(config.displayDelay)}
+              autoComplete="off"
+            />
+            <Select
+              label="Mobile layout"
+              options={MOBILE_POSITION_OPTIONS}
+              value={mobileOverrides.position || "center"}
+              onChange={(value) => setMobileOverride("position", value)}
+            />
+          </BlockStack>
+        )}
+      </BlockStack>
+    );
+  };
+
+  // Market, country and language targeting from the storefront localization
+  const renderLocaleRulesFields = (config, updateConfig) => {
+    const localeRules = config.localeRules || parseLocaleRules(null);
+    const setLocaleRule = (key, value) =>
+      updateConfig(prev => ({ ...prev, localeRules: { ...localeRules, [key]: value } }));
+    const countriesValue = Array.isArray(localeRules.countries)
+      ? localeRules.countries.join(", ")
+      : String(localeRules.countries ?? "");
+    
+    // Suggest the countries in the selected markets (or every market)
+    const suggestedMarkets = localeRules.markets.length > 0
+      ? localizationOptions.markets.filter(market => localeRules.markets.includes(market.value))
+      : localizationOptions.markets;
+    const suggestedCountries = [...new Set(
+      suggestedMarkets.flatMap(market => market.countries.map(country => country.value))
+    )];
+
+    return (
+      <BlockStack gap="300">
+        <Text as="h4" variant="headingSm">Market & Language Targeting</Text>
+        <Text as="p" variant="bodyMd" tone="subdued">
+          Show this popup only in some markets, countries or languages. Leave empty to show everywhere.
+        </Text>
+        
+        {localizationOptions.markets.length > 0 && (
+          <ChoiceList
+            title="Markets"
+            allowMultiple
+            choices={localizationOptions.markets.map(({ label, value }) => ({ label, value }))}
+            selected={localeRules.markets}
+            onChange={(selected) => setLocaleRule("markets", selected)}
+          />
+        )}
+        
+        <TextField
+          label="Countries"
+          value={countriesValue}
+          onChange={(value) => setLocaleRule("countries", value)}
+          placeholder="US, CA"
+          helpText={suggestedCountries.length > 0
+            ? `Two-letter country codes, separated by commas. Your markets include: ${suggestedCountries.slice(0, 20).join(", ")}${suggestedCountries.length > 20 ? ", …" : ""}`
+            : "Two-letter country codes, separated by commas"}
+          autoComplete="off"
+        />
+        
+        {localizationOptions.languages.length > 1 && (
+          <ChoiceList
+            title="Languages"
+            allowMultiple
+            choices={localizationOptions.languages}
+            selected={localeRules.languages}
+            onChange={(selected) => setLocaleRule("languages", selected)}
+          />
+        )}
+      </BlockStack>
+    );
+  };
+
+  // Consent checkbox, its wording and double opt-in for signup popups
+  const renderMarketingConsentFields = (config, updateConfig) => {
+    const marketingConsent = config.marketingConsent || parseMarketingConsent(null);
+    const setConsent = (key, value) =>
+      updateConfig(prev => ({ ...prev, marketingConsent: { ...marketingConsent, [key]: value } }));
+
+    return (
+      <BlockStack gap="300">
+        <Text as="h4" variant="headingSm">Marketing Consent</Text>
+        <Text as="p" variant="bodyMd" tone="subdued">
+          By default, signing up counts as agreeing to marketing emails. Ask for consent separately where the law requires it.
+        </Text>
+
+        <Checkbox
+          label="Show a consent checkbox"
+          checked={marketingConsent.showCheckbox}
+          onChange={(checked) => setConsent("showCheckbox", checked)}
+          helpText={popupType === "scratch-card"
+            ? "Uses your wording for the scratch card's agreement checkbox, which visitors must always tick"
+            : "Shoppers who leave it unticked are saved as not subscribed"}
+        />
+
+        {marketingConsent.showCheckbox && (
+          <BlockStack gap="300">
+            {popupType !== "scratch-card" && (
+              <Checkbox
+                label="Require consent to sign up"
+                checked={marketingConsent.required}
+                onChange={(checked) => setConsent("required", checked)}
+              />
+            )}
+            <TextField
+              label="Consent text"
+              value={marketingConsent.text}
+              onChange={(value) => setConsent("text", value)}
+              multiline={3}
+              maxLength={MAX_CONSENT_TEXT_LENGTH}
+              helpText="Saved with each subscriber, so you can show what they agreed to"
+              autoComplete="off"
+            />
+          </BlockStack>
+        )}
+
+        <Checkbox
+          label="Double opt-in"
+          checked={marketingConsent.doubleOptIn}
+          onChange={(checked) => setConsent("doubleOptIn", checked)}
+          helpText="Email shoppers a confirmation link. Their discount code is shown once they confirm."
+        />
+      </BlockStack>
+    );
+  };
+
+  // Start/end dates and weekly hours, entered in the store's timezone
+  const renderScheduleFields = (config, updateConfig) => {
+    const schedule = config.schedule || { startsAt: "", endsAt: "", windows: [] };
+    const setSchedule = (changes) =>
+      updateConfig(prev => ({ ...prev, schedule: { ...schedule, ...changes } }));
+    const updateWindow = (index, changes) =>
+      setSchedule({
+        windows: schedule.windows.map((scheduleWindow, i) =>
+          i === index ? { ...scheduleWindow, ...changes } : scheduleWindow
+        ),
+      });
+    const endsBeforeStart = schedule.startsAt && schedule.endsAt && schedule.endsAt <= schedule.startsAt;
+
+    return (
+      <BlockStack gap="300">
+        <Text as="h4" variant="headingSm">Schedule</Text>
+        <Text as="p" variant="bodyMd" tone="subdued">
+          Run this popup for a limited time or only during certain hours. Times are in your store's timezone.
+        </Text>
+        
+        <InlineStack gap="300" wrap={false}>
+          <div style={{ flex: 1 }}>
+            <TextField
+              label="Start date"
+              type="datetime-local"
+              value={schedule.startsAt}
+              onChange={(value) => setSchedule({ startsAt: value })}
+              helpText="Leave empty to start right away"
+              autoComplete="off"
+            />
+          </div>
+          <div style={{ flex: 1 }}>
+            <TextField
+              label="End date"
+              type="datetime-local"
+              value={schedule.endsAt}
+              onChange={(value) => setSchedule({ endsAt: value })}
+              helpText="Leave empty to run until turned off"
+              error={endsBeforeStart ? "End date must be after the start date" : undefined}
+              autoComplete="off"
+            />
+          </div>
+        </InlineStack>
+        
+        {schedule.windows.map((scheduleWindow, index) => (
+          <Box key={index} padding="300" background="bg-surface-secondary" borderRadius="200">
+            <BlockStack gap="200">
+              <ChoiceList
+                title="Days"
+                allowMultiple
+                choices={WEEKDAY_OPTIONS}
+                selected={scheduleWindow.days.map(String)}
+                onChange={(selected) => updateWindow(index, { days: selected.map(Number) })}
+              />
+              <InlineStack gap="200" blockAlign="end" wrap={false}>
+                <div style={{ flex: 1 }}>
+                  <Select
+                    label="From"
+                    options={HOUR_OPTIONS.slice(0, 24)}
+                    value={String(scheduleWindow.startHour)}
+                    onChange={(value) => updateWindow(index, { startHour: Number(value) })}
+                  />
+                </div>
+                <div style={{ flex: 1 }}>
+                  <Select
+                    label="Until"
+                    options={HOUR_OPTIONS.slice(1)}
+                    value={String(scheduleWindow.endHour)}
+                    onChange={(value) => updateWindow(index, { endHour: Number(value) })}
+                  />
+                </div>
+                <Button
+                  variant="plain"
+                  tone="critical"
+                  onClick={() => setSchedule({ windows: schedule.windows.filter((_, i) => i !== index) })}
+                >
+                  Remove
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Box>
+        ))}
+        
+        <InlineStack>
+          <Button
+            onClick={() => setSchedule({
+              windows: [...schedule.windows, { days: [1, 2, 3, 4, 5], startHour: 9, endHour: 17 }],
+            })}
+          >
+            Add weekly hours
+          </Button>
+        </InlineStack>
+        {schedule.windows.length > 0 && (
+          <Text as="p" variant="bodySm" tone="subdued">
+            The popup only shows during these hours.
+          </Text>
+        )}
+      </BlockStack>
+    );
+  };
+
   // Get current configuration object based on selected popup type
   const getCurrentConfig = () => {
     switch (popupType) {
@@ -643,11 +1372,36 @@ export default function PopupConfigurationModal({
               min={500}
               max={3000}
               step={100}
-              helpText="Delay before exit intent triggers"
+              helpText="Exit intent is ignored until this long after the page loads"
+            />
+          )}
+          
+          {config.exitIntent && (
+            <Checkbox
+              label="Detect exit intent on mobile"
+              checked={config.mobileExitIntent === true}
+              onChange={(checked) => {
+                const updateConfig = popupType === "email" ? setEmailConfig :
+                                   popupType === "community" ? setCommunityConfig :
+                                   popupType === "timer" ? setTimerConfig :
+                                   popupType === "scratch-card" ? setScratchCardConfig :
+                                   setWheelEmailConfig;
+                updateConfig(prev => ({ ...prev, mobileExitIntent: checked }));
+              }}
+              helpText="On phones, show the popup when the visitor scrolls up quickly or presses back"
             />
           )}
         </BlockStack>
         
+        {!config.exitIntent && renderTriggerRulesFields(
+          config,
+          popupType === "email" ? setEmailConfig :
+          popupType === "community" ? setCommunityConfig :
+          popupType === "timer" ? setTimerConfig :
+          popupType === "scratch-card" ? setScratchCardConfig :
+          setWheelEmailConfig
+        )}
+        
         <Divider />
         
         {/* Display Frequency */}
@@ -673,6 +1427,53 @@ export default function PopupConfigurationModal({
             }}
             helpText="Control how often the popup appears to the same visitor"
           />
+          
+          <TextField
+            label="Max impressions per session"
+            type="number"
+            min={0}
+            value={String(config.maxImpressionsPerSession ?? "")}
+            onChange={(value) => {
+              const updateConfig = popupType === "email" ? setEmailConfig :
+                                 popupType === "community" ? setCommunityConfig :
+                                 popupType === "timer" ? setTimerConfig :
+                                 popupType === "scratch-card" ? setScratchCardConfig :
+                                 setWheelEmailConfig;
+              updateConfig(prev => ({ ...prev, maxImpressionsPerSession: value }));
+            }}
+            helpText="Leave empty for no limit"
+            autoComplete="off"
+          />
+          
+          <TextField
+            label="Cool-down after any popup (minutes)"
+            type="number"
+            min={0}
+            value={String(config.cooldownMinutes ?? 0)}
+            onChange={(value) => {
+              const updateConfig = popupType === "email" ? setEmailConfig :
+                                 popupType === "community" ? setCommunityConfig :
+                                 popupType === "timer" ? setTimerConfig :
+                                 popupType === "scratch-card" ? setScratchCardConfig :
+                                 setWheelEmailConfig;
+              updateConfig(prev => ({ ...prev, cooldownMinutes: value }));
+            }}
+            helpText="Don't show this popup if another popup was shown within this time"
+            autoComplete="off"
+          />
+          
+          <Checkbox
+            label="Don't show again after the visitor subscribes"
+            checked={config.stopAfterConversion === true}
+            onChange={(checked) => {
+              const updateConfig = popupType === "email" ? setEmailConfig :
+                                 popupType === "community" ? setCommunityConfig :
+                                 popupType === "timer" ? setTimerConfig :
+                                 popupType === "scratch-card" ? setScratchCardConfig :
+                                 setWheelEmailConfig;
+              updateConfig(prev => ({ ...prev, stopAfterConversion: checked }));
+            }}
+          />
         </BlockStack>
         
         <Divider />
@@ -698,8 +1499,95 @@ export default function PopupConfigurationModal({
         
         <Divider />
         
+        {popupType !== "community" && (
+          <>
+            {/* Marketing Consent */}
+            {renderMarketingConsentFields(
+              config,
+              popupType === "email" ? setEmailConfig :
+              popupType === "timer" ? setTimerConfig :
+              popupType === "scratch-card" ? setScratchCardConfig :
+              setWheelEmailConfig
+            )}
+            
+            <Divider />
+          </>
+        )}
+        
         {/* Page Targeting */}
         {renderPageTargeting()}
+        
+        <Divider />
+        
+        {/* Schedule */}
+        {renderScheduleFields(
+          config,
+          popupType === "email" ? setEmailConfig :
+          popupType === "community" ? setCommunityConfig :
+          popupType === "timer" ? setTimerConfig :
+          popupType === "scratch-card" ? setScratchCardConfig :
+          setWheelEmailConfig
+        )}
+        
+        <Divider />
+        
+        {/* Market & Language Targeting */}
+        {renderLocaleRulesFields(
+          config,
+          popupType === "email" ? setEmailConfig :
+          popupType === "community" ? setCommunityConfig :
+          popupType === "timer" ? setTimerConfig :
+          popupType === "scratch-card" ? setScratchCardConfig :
+          setWheelEmailConfig
+        )}
+        
+        <Divider />
+        
+        {/* Device Targeting */}
+        {renderDeviceTargetingFields(
+          config,
+          popupType === "email" ? setEmailConfig :
+          popupType === "community" ? setCommunityConfig :
+          popupType === "timer" ? setTimerConfig :
+          popupType === "scratch-card" ? setScratchCardConfig :
+          setWheelEmailConfig
+        )}
+        
+        <Divider />
+        
+        {/* Traffic Source Targeting */}
+        {renderTrafficSourceFields(
+          config,
+          popupType === "email" ? setEmailConfig :
+          popupType === "community" ? setCommunityConfig :
+          popupType === "timer" ? setTimerConfig :
+          popupType === "scratch-card" ? setScratchCardConfig :
+          setWheelEmailConfig
+        )}
+        
+        <Divider />
+        
+        {/* Cart Targeting */}
+        {renderCartRulesFields(
+          config,
+          popupType === "email" ? setEmailConfig :
+          popupType === "community" ? setCommunityConfig :
+          popupType === "timer" ? setTimerConfig :
+          popupType === "scratch-card" ? setScratchCardConfig :
+          setWheelEmailConfig
+        )}
+        
+        <Divider />
+        
+        {/* Audience Targeting */}
+        {renderAudienceRulesFields(
+          config,
+          popupType === "email" ? setEmailConfig :
+          popupType === "community" ? setCommunityConfig :
+          popupType === "timer" ? setTimerConfig :
+          popupType === "scratch-card" ? setScratchCardConfig :
+          setWheelEmailConfig
+        )}
       </BlockStack>
     );
   };
@@ -808,14 +1696,40 @@ export default function PopupConfigurationModal({
       <BlockStack gap="300">
         <Text as="h4" variant="headingSm">Discount & Images</Text>
         
+        <InlineStack gap="300" wrap={false}>
+          <Box minWidth="180px">
+            <Select
+              label="Discount Type"
+              options={DISCOUNT_TYPE_OPTIONS}
+              value={emailConfig.discountType}
+              onChange={(value) => setEmailConfig({ ...emailConfig, discountType: value })}
+            />
+          </Box>
+          {emailConfig.discountType !== "shipping" && (
+            <Box minWidth="120px">
+              <TextField
+                label="Discount Value"
+                type="number"
+                min={0}
+                value={String(emailConfig.discountValue ?? "")}
+                onChange={(value) => setEmailConfig({ ...emailConfig, discountValue: value })}
+                suffix={emailConfig.discountType === "percentage" ? "%" : undefined}
+                autoComplete="off"
+              />
+            </Box>
+          )}
+        </InlineStack>
+        
         <TextField
-          label="Discount Code"
+          label="Code Prefix"
           value={emailConfig.discountCode}
           onChange={(value) => setEmailConfig({ ...emailConfig, discountCode: value })}
-          placeholder="Discount code to offer"
-          helpText="The discount code customers will receive"
+          placeholder="e.g. WELCOME"
+          helpText="Each subscriber gets their own single-use code, e.g. WELCOME-7KQ2XM"
         />
         
+        {renderMinimumSubtotalField(emailConfig, setEmailConfig)}
+        
         <TextField
           label="Banner Image URL"
           value={emailConfig.bannerImage}
@@ -966,12 +1880,14 @@ export default function PopupConfigurationModal({
         />
         
         <TextField
-          label="Default Discount Code"
+          label="Code Prefix"
           value={wheelEmailConfig.discountCode}
           onChange={(value) => setWheelEmailConfig({ ...wheelEmailConfig, discountCode: value })}
-          placeholder="Default discount code for winners"
-          helpText="Fallback discount code"
+          placeholder="e.g. SPIN"
+          helpText="Each winner gets their own single-use code, e.g. SPIN-7KQ2XM"
         />
+        
+        {renderMinimumSubtotalField(wheelEmailConfig, setWheelEmailConfig)}
       </BlockStack>
       
       <Divider />
@@ -980,7 +1896,7 @@ export default function PopupConfigurationModal({
       <BlockStack gap="300">
         <Text as="h4" variant="headingSm">Wheel Segments</Text>
         <Text as="p" variant="bodyMd" tone="subdued">
-          Configure the prizes and labels on your spinning wheel
+          Configure the prizes and labels on your spinning wheel. The prize is picked on the server using each segment's weight.
         </Text>
         
         <BlockStack gap="200">
@@ -998,16 +1914,53 @@ export default function PopupConfigurationModal({
                   placeholder="Segment text"
                 />
               </Box>
-              <Box minWidth="100px">
+              <Box minWidth="140px">
+                <Select
+                  label="Prize"
+                  options={SEGMENT_PRIZE_OPTIONS}
+                  value={segment.discountType || "none"}
+                  onChange={(value) => {
+                    const newSegments = [...wheelEmailConfig.segments];
+                    const { code, ...rest } = newSegments[index];
+                    newSegments[index] = {
+                      ...rest,
+                      discountType: value,
+                      discountValue: value === "none" ? null : value === "shipping" ? "100" : rest.discountValue || "10",
+                    };
+                    setWheelEmailConfig({ ...wheelEmailConfig, segments: newSegments });
+                  }}
+                />
+              </Box>
+              {(segment.discountType === "percentage" || segment.discountType === "fixed_amount") && (
+                <Box minWidth="80px">
+                  <TextField
+                    label="Value"
+                    type="number"
+                    min={0}
+                    value={String(segment.discountValue ?? "")}
+                    onChange={(value) => {
+                      const newSegments = [...wheelEmailConfig.segments];
+                      newSegments[index].discountValue = value;
+                      setWheelEmailConfig({ ...wheelEmailConfig, segments: newSegments });
+                    }}
+                    suffix={segment.discountType === "percentage" ? "%" : undefined}
+                    autoComplete="off"
+                  />
+                </Box>
+              )}
+              <Box minWidth="80px">
                 <TextField
-                  label="Discount Code"
-                  value={segment.code || ''}
+                  label="Weight"
+                  type="number"
+                  min={0}
+                  value={segment.weight === undefined || segment.weight === null ? "1" : String(segment.weight)}
                   onChange={(value) => {
                     const newSegments = [...wheelEmailConfig.segments];
-                    newSegments[index].code = value || null;
+                    newSegments[index].weight = value === "" ? 0 : Math.max(0, Number(value));
                     setWheelEmailConfig({ ...wheelEmailConfig, segments: newSegments });
                   }}
-                  placeholder="Discount code"
+                  helpText={`${getSegmentChance(wheelEmailConfig.segments, index)}% chance`}
+                  autoComplete="off"
                 />
               </Box>
             </InlineStack>
@@ -1475,13 +2428,39 @@ export default function PopupConfigurationModal({
           helpText="Text displayed on the submit button"
         />
         
+        <InlineStack gap="300" wrap={false}>
+          <Box minWidth="180px">
+            <Select
+              label="Discount Type"
+              options={DISCOUNT_TYPE_OPTIONS}
+              value={timerConfig.discountType}
+              onChange={(value) => setTimerConfig({ ...timerConfig, discountType: value })}
+            />
+          </Box>
+          {timerConfig.discountType !== "shipping" && (
+            <Box minWidth="120px">
+              <TextField
+                label="Discount Value"
+                type="number"
+                min={0}
+                value={String(timerConfig.discountValue ?? "")}
+                onChange={(value) => setTimerConfig({ ...timerConfig, discountValue: value })}
+                suffix={timerConfig.discountType === "percentage" ? "%" : undefined}
+                autoComplete="off"
+              />
+            </Box>
+          )}
+        </InlineStack>
+        
         <TextField
-          label="Discount Code"
+          label="Code Prefix"
           value={timerConfig.discountCode}
           onChange={(value) => setTimerConfig({ ...timerConfig, discountCode: value })}
-          placeholder="Discount code to offer"
-          helpText="The discount code customers will receive"
+          placeholder="e.g. TIMER"
+          helpText="Each subscriber gets their own single-use code, e.g. TIMER-7KQ2XM"
         />
+        
+        {renderMinimumSubtotalField(timerConfig, setTimerConfig)}
       </BlockStack>
       
       <Divider />
@@ -1676,12 +2655,14 @@ export default function PopupConfigurationModal({
         />
         
         <TextField
-          label="Discount Code"
+          label="Code Prefix"
           value={scratchCardConfig.discountCode}
           onChange={(value) => setScratchCardConfig({ ...scratchCardConfig, discountCode: value })}
-          placeholder="Discount code to offer (e.g., SCRATCH10)"
-          helpText="The discount code customers will receive after scratching"
+          placeholder="e.g. SCRATCH"
+          helpText="Each subscriber gets their own single-use code, e.g. SCRATCH-7KQ2XM"
         />
+        
+        {renderMinimumSubtotalField(scratchCardConfig, setScratchCardConfig)}
       </BlockStack>
       
       <Divider />
@@ -3200,7 +4181,7 @@ export default function PopupConfigurationModal({
               {previewDevice === 'mobile' ? (
                 renderMobileFrame(
                   <PopupPreview
-                    config={config}
+                    config={applyMobileOverrides(config)}
                     type={popupType}
                     disableInteractions={true}
                     style={getMobilePreviewStyles()}
@@ -4,9 +4,19 @@ import { RemixServer } from "@remix-run/react";
 import { createReadableStreamFromReadable } from "@remix-run/node";
 import { isbot } from "isbot";
 import { addDocumentResponseHeaders } from "./shopify.server";
+import { startRetentionJob } from "./utils/retention.server";
 
 export const streamTimeout = 5000;
 
+// This module is only loaded by the running server (remix-serve, or the Vite
+// dev server when it renders) - `remix vite:build` bundles it without running
+// it - so this starts the job once per server process. Its timers are unref'd
+// and it waits a minute before the first pass, so a script that does import
+// the module can still exit. Test runs skip it.
+if (process.env.NODE_ENV !== "test") {
+  startRetentionJob();
+}
+
 export default async function handleRequest(
   request,
   responseStatusCode,
@@ -1,6 +1,7 @@
 import { json } from "@remix-run/node";
 import { authenticate } from "../shopify.server";
 import db from "../db.server";
+import { countUniqueVisitors } from "../utils/ip.server";
 
 export const loader = async ({ request }) => {
   try {
@@ -48,6 +49,7 @@ export const loader = async ({ request }) => {
     const loses = events.filter(e => e.eventType === 'lose').length;
     const closes = events.filter(e => e.eventType === 'close').length;
     const codesCopied = events.filter(e => e.eventType === 'copy_code').length;
+    const uniqueVisitors = countUniqueVisitors(events);
 
     // Calculate conversion rates
     const emailConversionRate = totalViews > 0 ? ((emailsEntered / totalViews) * 100).toFixed(1) : 0;
@@ -105,6 +107,7 @@ export const loader = async ({ request }) => {
     const analytics = {
       summary: {
         totalViews,
+        uniqueVisitors,
         emailsEntered,
         spins,
         wins,
@@ -0,0 +1,34 @@
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { getDataRequestExport } from "../utils/compliance.server";
+
+/**
+ * Data Request Export Route
+ *
+ * Downloads the data collected for a customers/data_request (?id= is the
+ * ComplianceAudit ID) as JSON, for the merchant to send to the customer.
+ */
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const auditId = new URL(request.url).searchParams.get("id");
+
+  if (!auditId) {
+    return json({ error: "Data request ID is required" }, { status: 400 });
+  }
+
+  const result = await getDataRequestExport(session.shop, auditId);
+  if (!result) {
+    return json({ error: "Data request not found" }, { status: 404 });
+  }
+
+  const date = new Date(result.audit.createdAt).toISOString().slice(0, 10);
+  const customerId = result.audit.shopifyCustomerId?.split("/").pop() || "customer";
+
+  return new Response(JSON.stringify({ ...result.audit, ...result.data }, null, 2), {
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+      "Content-Disposition": `attachment; filename="data-request-${customerId}-${date}.json"`,
+      "Cache-Control": "no-store"
+    }
+  });
+};
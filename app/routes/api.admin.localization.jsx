@@ -0,0 +1,108 @@
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+
+/**
+ * Markets and languages for the popup locale targeting editor
+ */
+export const loader = async ({ request }) => {
+  try {
+    const { admin } = await authenticate.admin(request);
+    
+    const localization = {
+      markets: [],
+      languages: []
+    };
+
+    // Fetch Markets and the countries in each one
+    try {
+      const marketsQuery = `
+        query getMarkets($first: Int!) {
+          markets(first: $first) {
+            nodes {
+              id
+              name
+              handle
+              enabled
+              regions(first: 250) {
+                nodes {
+                  name
+                  ... on MarketRegionCountry {
+                    code
+                  }
+                }
+              }
+            }
+          }
+        }
+      `;
+      
+      const marketsResponse = await admin.graphql(marketsQuery, {
+        variables: { first: 50 }
+      });
+      const marketsData = await marketsResponse.json();
+      
+      if (marketsData.errors) {
+        console.error('GraphQL errors in markets query:', marketsData.errors);
+      }
+      
+      if (marketsData.data?.markets?.nodes) {
+        localization.markets = marketsData.data.markets.nodes
+          .filter(market => market.enabled)
+          .map(market => ({
+            label: market.name,
+            value: market.handle,
+            countries: market.regions.nodes
+              .filter(region => region.code)
+              .map(region => ({ label: region.name, value: region.code }))
+          }));
+      }
+    } catch (error) {
+      console.error('Error fetching markets:', error);
+    }
+
+    // Fetch the languages published on the storefront
+    try {
+      const localesQuery = `
+        query getShopLocales {
+          shopLocales(published: true) {
+            locale
+            name
+            primary
+          }
+        }
+      `;
+      
+      const localesResponse = await admin.graphql(localesQuery);
+      const localesData = await localesResponse.json();
+      
+      if (localesData.errors) {
+        console.error('GraphQL errors in locales query:', localesData.errors);
+      }
+      
+      if (localesData.data?.shopLocales) {
+        localization.languages = localesData.data.shopLocales.map(shopLocale => ({
+          label: shopLocale.primary ? `${shopLocale.name} (default)` : shopLocale.name,
+          value: shopLocale.locale.toLowerCase()
+        }));
+      }
+    } catch (error) {
+      console.error('Error fetching shop locales:', error);
+    }
+
+    return json({
+      success: true,
+      localization
+    });
+
+  } catch (error) {
+    console.error('Error in localization API:', error);
+    return json({
+      success: false,
+      error: error.message,
+      localization: {
+        markets: [],
+        languages: []
+      }
+    });
+  }
+};
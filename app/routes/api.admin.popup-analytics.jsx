@@ -1,6 +1,8 @@
 import { json } from "@remix-run/node";
 import { authenticate } from "../shopify.server";
 import prisma from "../db.server";
+import { getPopupVariants, getVariantResults } from "../utils/abTest.server";
+import { countUniqueVisitors } from "../utils/ip.server";
 
 export const loader = async ({ request }) => {
   try {
@@ -69,11 +71,20 @@ export const loader = async ({ request }) => {
       }
     });
     const subscribers = uniqueEmails.size;
+    const uniqueVisitors = countUniqueVisitors(events);
+
+    // A/B test results cover the whole test, whatever the time range
+    let abTest = null;
+    const variants = (await getPopupVariants(session.shop, [popupId]))[popupId];
+    if (variants) {
+      abTest = await getVariantResults({ id: popupId, shop: session.shop }, variants);
+    }
 
     const analytics = {
       popupId,
       summary: {
         totalViews,
+        uniqueVisitors,
         subscribers,
         emailsEntered,
         spins,
@@ -86,6 +97,7 @@ export const loader = async ({ request }) => {
         winRate: parseFloat(winRate),
         copyRate: parseFloat(copyRate)
       },
+      abTest,
       timeRange,
       lastUpdated: new Date().toISOString()
     };
@@ -0,0 +1,31 @@
+import { authenticate } from "../shopify.server";
+import { createSubscriberCsvStream } from "../utils/subscriberExport.server";
+
+/**
+ * Subscriber Export Route
+ *
+ * Streams the subscriber list as a CSV download, filtered and sorted with
+ * the same search, consentStatus, sortBy and sortOrder parameters as
+ * /api/admin/subscribers.
+ */
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+
+  const stream = createSubscriberCsvStream(session.shop, {
+    search: url.searchParams.get("search") || "",
+    consentStatus: url.searchParams.get("consentStatus") || "",
+    sortBy: url.searchParams.get("sortBy") || "lastActivity",
+    sortOrder: url.searchParams.get("sortOrder") || "desc"
+  });
+
+  const date = new Date().toISOString().slice(0, 10);
+
+  return new Response(stream, {
+    headers: {
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="subscribers-${date}.csv"`,
+      "Cache-Control": "no-store"
+    }
+  });
+};
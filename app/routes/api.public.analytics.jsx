@@ -1,40 +1,21 @@
 import { json } from "@remix-run/node";
 import prisma from "../db.server";
+import { getProxyShop } from "../utils/appProxy.server";
+import { getClientIP, hashIP } from "../utils/ip.server";
+import { checkRateLimit, isHoneypotTripped, rateLimitResponse } from "../utils/rateLimit.server";
+import { recordSubscriberActivity } from "../utils/subscribers.server";
+import { getShopSettings } from "../utils/shopSettings.server";
 
-// CORS headers for cross-origin requests
-const corsHeaders = {
-  "Access-Control-Allow-Origin": "*",
-  "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
-  "Access-Control-Allow-Headers": "Content-Type, Authorization, X-Requested-With",
-};
+export const action = async ({ request }) => {
+  // Throws a 400/401 response if the App Proxy signature doesn't check out
+  const shop = await getProxyShop(request);
 
-// Hash IP address for privacy
-function hashIP(ip) {
-  if (!ip) return null;
-  // Simple hash for privacy - in production, use a proper hashing library
-  let hash = 0;
-  for (let i = 0; i < ip.length; i++) {
-    const char = ip.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32bit integer
+  if (!shop) {
+    return json({ error: "App is not installed on this shop" }, { status: 404 });
   }
-  return hash.toString();
-}
 
-export const action = async ({ request }) => {
   try {
-    const url = new URL(request.url);
-    const shopFromQuery = url.searchParams.get('shop');
     const formData = await request.formData();
-    const shopFromForm = formData.get("shop");
-    const shop = shopFromQuery || shopFromForm;
-
-    if (!shop) {
-      return json({ error: "Shop parameter is required" }, {
-        status: 400,
-        headers: corsHeaders
-      });
-    }
 
     const eventType = formData.get("eventType");
     const popupId = formData.get("popupId");
@@ -43,66 +24,76 @@ export const action = async ({ request }) => {
     const prizeLabel = formData.get("prizeLabel");
     const sessionId = formData.get("sessionId");
     const metadata = formData.get("metadata");
+    const variantId = formData.get("variantId");
+    // Sent by the storefront when the visitor declined analytics cookies
+    const anonymous = formData.get("anonymous") === "true";
 
     if (!eventType) {
-      return json({ error: "Event type is required" }, {
-        status: 400,
-        headers: corsHeaders
-      });
+      return json({ error: "Event type is required" }, { status: 400 });
     }
 
     // Get user info
     const userAgent = request.headers.get("user-agent");
-    const forwarded = request.headers.get("x-forwarded-for");
-    const realIP = request.headers.get("x-real-ip");
-    const clientIP = forwarded?.split(',')[0] || realIP || request.headers.get("cf-connecting-ip");
-    const hashedIP = hashIP(clientIP);
+    const hashedIP = await hashIP(getClientIP(request), shop);
+
+    // Drop events from bots that filled in the honeypot, without telling them
+    if (isHoneypotTripped(formData)) {
+      return json({ success: true, message: "Event recorded successfully" });
+    }
+
+    const rateLimit = await checkRateLimit("analytics", { shop, ipHash: hashedIP });
+    if (rateLimit.limited) {
+      return rateLimitResponse(rateLimit.retryAfter);
+    }
 
     console.log(`Recording analytics event: ${eventType} for shop: ${shop}`);
 
+    // In privacy mode, and for anonymous events, the user agent and IP hash
+    // are only used for rate limiting, and no email is stored with the event
+    const { privacyMode } = await getShopSettings(shop);
+    const storeVisitorDetails = !privacyMode && !anonymous;
+
     // Save analytics event to database
     await prisma.popupAnalytics.create({
       data: {
         shop: shop,
         popupId: popupId || null,
         eventType: eventType,
-        email: email || null,
+        email: storeVisitorDetails ? email || null : null,
         discountCode: discountCode || null,
         prizeLabel: prizeLabel || null,
-        userAgent: userAgent || null,
-        ipAddress: hashedIP,
-        sessionId: sessionId || null,
+        userAgent: storeVisitorDetails ? userAgent || null : null,
+        ipAddress: storeVisitorDetails ? hashedIP : null,
+        sessionId: anonymous ? null : sessionId || null,
         metadata: metadata || null,
+        variantId: variantId ? String(variantId).slice(0, 191) : null,
       }
     });
 
+    // Events with an email count on the shopper's subscriber record, unless
+    // the shopper declined analytics. Anyone can send these, so they never
+    // create subscribers - signups are recorded by the generate-discount and
+    // spin endpoints
+    if (email && !anonymous && eventType !== "email_entered") {
+      try {
+        await recordSubscriberActivity(shop, { email, eventType, popupId: popupId || null, createIfMissing: false });
+      } catch (subscriberError) {
+        console.error("Error recording subscriber activity:", subscriberError);
+      }
+    }
+
     return json({
       success: true,
       message: "Event recorded successfully"
-    }, {
-      headers: corsHeaders
     });
 
   } catch (error) {
     console.error("Error recording analytics event:", error);
-    return json({ error: "Internal server error" }, {
-      status: 500,
-      headers: corsHeaders
-    });
+    return json({ error: "Internal server error" }, { status: 500 });
   }
 };
 
-// Handle OPTIONS preflight requests
-export const loader = async ({ request }) => {
-  if (request.method === "OPTIONS") {
-    return new Response(null, {
-      status: 200,
-      headers: corsHeaders,
-    });
-  }
-  
-  return json({ error: "Method not allowed" }, {
-    status: 405,
-    headers: corsHeaders
-  });
-};
\ No newline at end of file
+// Storefront requests are POSTs through the App Proxy
+export const loader = async () => {
+  return json({ error: "Method not allowed" }, { status: 405 });
+};
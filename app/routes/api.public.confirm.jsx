@@ -0,0 +1,117 @@
+import { getProxyShop } from "../utils/appProxy.server";
+import { confirmOptIn, findOptInConfirmation } from "../utils/optIn.server";
+
+/**
+ * Confirm Opt-In Route
+ *
+ * The link in double opt-in emails (/apps/popup/confirm?token=...). Opening
+ * it shows a button; only submitting that confirms the address, so mail
+ * scanners and link previews that fetch the link don't subscribe anyone.
+ * Shopify renders the pages inside the shop's theme, so the discount code
+ * shows on the store itself.
+ */
+
+// The page is rendered as Liquid, so braces and percent signs are escaped
+// too - otherwise a value like "{{ shop.email }}@x.io" would run as Liquid
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+    .replace(/\{/g, "&#123;")
+    .replace(/\}/g, "&#125;")
+    .replace(/%/g, "&#37;");
+
+const renderPage = (title, body, status = 200) =>
+  new Response(
+    `<div style="max-width: 480px; margin: 60px auto; padding: 0 20px; text-align: center;">
+  <h1>${escapeHtml(title)}</h1>
+  ${body}
+  <p><a href="/">Continue shopping</a></p>
+</div>`,
+    {
+      status,
+      // Liquid responses are rendered inside the shop's theme
+      headers: { "Content-Type": "application/liquid" }
+    }
+  );
+
+// Posts back to the proxied URL, so the request is signed like the link was
+const renderConfirmForm = (token, buttonText) => `<form method="post" action="/apps/popup/confirm">
+    <input type="hidden" name="token" value="${escapeHtml(token)}" />
+    <button type="submit" class="button">${escapeHtml(buttonText)}</button>
+  </form>`;
+
+export const loader = async ({ request }) => {
+  // Throws a 400/401 response if the App Proxy signature doesn't check out
+  const shop = await getProxyShop(request);
+
+  if (!shop) {
+    return renderPage("Link not available", "<p>This store isn't accepting signups right now.</p>", 404);
+  }
+
+  try {
+    const token = new URL(request.url).searchParams.get("token");
+    const result = await findOptInConfirmation(shop, token);
+
+    if (!result.success) {
+      return renderPage("We couldn't confirm your email", `<p>${escapeHtml(result.error)}</p>`, result.status);
+    }
+
+    if (result.confirmation.confirmedAt) {
+      return renderPage(
+        "Your email is confirmed",
+        `<p>You've already confirmed ${escapeHtml(result.confirmation.email)}.</p>
+  ${renderConfirmForm(token, "Show my discount code")}`
+      );
+    }
+
+    return renderPage(
+      "Confirm your email",
+      `<p>Confirm that you'd like to receive emails at ${escapeHtml(result.confirmation.email)}.</p>
+  ${renderConfirmForm(token, "Confirm my email")}`
+    );
+  } catch (error) {
+    console.error("Error loading opt-in confirmation:", error);
+    return renderPage("Something went wrong", "<p>Please try the link again in a few minutes.</p>", 500);
+  }
+};
+
+export const action = async ({ request }) => {
+  // Throws a 400/401 response if the App Proxy signature doesn't check out
+  const shop = await getProxyShop(request);
+
+  if (!shop) {
+    return renderPage("Link not available", "<p>This store isn't accepting signups right now.</p>", 404);
+  }
+
+  let token = null;
+  try {
+    const formData = await request.formData();
+    token = formData.get("token");
+    const result = await confirmOptIn(shop, token);
+
+    if (!result.success) {
+      // Server-side failures can be retried from here
+      const retry = result.status >= 500 ? renderConfirmForm(token, "Try again") : "";
+      return renderPage("We couldn't confirm your email", `<p>${escapeHtml(result.error)}</p>\n  ${retry}`, result.status);
+    }
+
+    if (!result.discountCode) {
+      return renderPage("You're subscribed!", "<p>Thanks for confirming your email address.</p>");
+    }
+
+    return renderPage(
+      "You're subscribed!",
+      `<p>Thanks for confirming your email address. Here's your ${escapeHtml(result.prizeLabel)} code:</p>
+  <p style="font-size: 24px; font-weight: bold; letter-spacing: 2px;">${escapeHtml(result.discountCode)}</p>
+  <p>Enter it at checkout.</p>`
+    );
+  } catch (error) {
+    console.error("Error confirming opt-in:", error);
+    const retry = token ? renderConfirmForm(token, "Try again") : "";
+    return renderPage("Something went wrong", `<p>Please try again in a few minutes.</p>\n  ${retry}`, 500);
+  }
+};
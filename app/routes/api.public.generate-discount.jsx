@@ -1,127 +1,133 @@
 import { json } from "@remix-run/node";
+import prisma from "../db.server";
+import { getProxyShop } from "../utils/appProxy.server";
+import { getClientIP, hashIP } from "../utils/ip.server";
+import { getScheduleStatus } from "../utils/popupSchedule";
+import { applyVariantOverrides } from "../utils/popupVariants";
+import { checkRateLimit, isHoneypotTripped, rateLimitResponse } from "../utils/rateLimit.server";
+import { issueDiscountCode } from "../utils/discount.server";
+import { getAssignedVariant } from "../utils/abTest.server";
+import { isValidEmail, recordSignupConsent } from "../utils/optIn.server";
+import { recordSubscriberActivity } from "../utils/subscribers.server";
+import { scheduleSubscriberSyncs } from "../utils/customerSync.server";
 
-// CORS headers for cross-origin requests
-const corsHeaders = {
-  "Access-Control-Allow-Origin": "*",
-  "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
-  "Access-Control-Allow-Headers": "Content-Type, Authorization, X-Requested-With",
-};
-
+/**
+ * Generate Discount Route
+ *
+ * Issues a unique, single-use discount code to a shopper for a popup. The
+ * offer comes from the saved popup (or its A/B test variant, or the
+ * shopper's recorded wheel spin), and asking again with the same email
+ * returns the code already issued. Popups with double opt-in email a
+ * confirmation link instead, and the code is issued once it's clicked.
+ */
 export const action = async ({ request }) => {
+  // Throws a 400/401 response if the App Proxy signature doesn't check out
+  const shop = await getProxyShop(request);
+
+  if (!shop) {
+    return json({ error: "App is not installed on this shop" }, { status: 404 });
+  }
+
   try {
-    // Get shop from query params or form data
-    const url = new URL(request.url);
-    const shopFromQuery = url.searchParams.get('shop');
     const formData = await request.formData();
-    const shopFromForm = formData.get("shop");
-    const shop = shopFromQuery || shopFromForm;
 
-    if (!shop) {
-      return json({ error: "Shop parameter is required" }, {
-        status: 400,
-        headers: corsHeaders
-      });
+    const popupId = formData.get("popupId");
+    const email = formData.get("email");
+    const visitorId = formData.get("visitorId");
+    const marketingConsent = formData.get("marketingConsent") === "true";
+
+    if (!popupId) {
+      return json({ error: "Popup ID is required" }, { status: 400 });
     }
 
-    const discountType = formData.get("discountType") || "percentage";
-    const discountValue = formData.get("discountValue") || "10";
-    const email = formData.get("email");
+    if (!isValidEmail(email)) {
+      return json({ error: "A valid email is required" }, { status: 400 });
+    }
 
-    if (!email) {
-      return json({ error: "Email is required" }, {
-        status: 400,
-        headers: corsHeaders
-      });
+    // Bots fill in the hidden honeypot field - real shoppers never see it
+    if (isHoneypotTripped(formData)) {
+      return json({ error: "Invalid submission" }, { status: 400 });
     }
 
-    console.log(`Creating discount for email: ${email} on shop: ${shop}`);
-
-    // Try to create real Shopify discount code via admin API
-    try {
-      // Get the app URL from environment or construct it
-      const appUrl = process.env.SHOPIFY_APP_URL || 'https://considerations-fits-steel-meal.trycloudflare.com';
-      
-      // Call the admin API to create the discount
-      const adminFormData = new FormData();
-      adminFormData.append('discountType', discountType);
-      adminFormData.append('discountValue', discountValue);
-      adminFormData.append('email', email);
-      
-      const adminResponse = await fetch(`${appUrl}/api/admin/create-discount`, {
-        method: 'POST',
-        body: adminFormData,
-        headers: {
-          'X-Shopify-Shop-Domain': shop,
-        },
-      });
+    const rateLimit = await checkRateLimit("discount", {
+      shop,
+      ipHash: await hashIP(getClientIP(request), shop),
+      email
+    });
+    if (rateLimit.limited) {
+      return rateLimitResponse(rateLimit.retryAfter);
+    }
 
-      if (adminResponse.ok) {
-        const adminData = await adminResponse.json();
-        console.log('Successfully created Shopify discount via admin API:', adminData.discountCode);
-        
-        return json({
-          success: true,
-          discountCode: adminData.discountCode,
-          discountType: adminData.discountType,
-          discountValue: adminData.discountValue,
-          expiresAt: adminData.expiresAt,
-          shopifyCreated: true,
-        }, {
-          headers: corsHeaders
-        });
-      } else {
-        const errorText = await adminResponse.text();
-        console.error('Admin API failed:', errorText);
-        throw new Error(`Admin API failed: ${adminResponse.status}`);
+    const popupConfig = await prisma.popupConfig.findFirst({
+      where: {
+        id: popupId,
+        shop: shop,
+        isActive: true
       }
+    });
+
+    if (!popupConfig) {
+      return json({ error: "Popup not found" }, { status: 404 });
+    }
 
-    } catch (adminError) {
-      console.error("Admin API Error:", adminError);
-      
-      // Generate simple 6-character fallback code
-      const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-      let fallbackCode = '';
-      for (let i = 0; i < 6; i++) {
-        fallbackCode += chars.charAt(Math.floor(Math.random() * chars.length));
+    // A shopper may still have the popup open after its end date
+    const scheduleStatus = getScheduleStatus(popupConfig);
+    if (scheduleStatus === "scheduled" || scheduleStatus === "expired") {
+      return json({ error: "This offer is not available right now" }, { status: 410 });
+    }
+
+    // Shoppers in an A/B test variant get the variant's offer - the arm the
+    // server assigned them, the same one their popup showed
+    const variant = await getAssignedVariant(popupConfig, visitorId);
+
+    const consentResult = await recordSignupConsent(popupConfig, {
+      email,
+      consentGiven: marketingConsent,
+      variantId: variant?.id
+    });
+    if (!consentResult.success) {
+      return json({ error: consentResult.error }, { status: consentResult.status });
+    }
+
+    // Wheel signups are recorded when the shopper spins
+    if (popupConfig.type !== "wheel-email") {
+      try {
+        await recordSubscriberActivity(shop, { email, eventType: "email_entered", popupId: popupConfig.id });
+        // New signups are copied to Shopify customers in the background
+        scheduleSubscriberSyncs(shop);
+      } catch (subscriberError) {
+        console.error("Error recording subscriber activity:", subscriberError);
       }
-      
-      // Normalize discount type and value for consistency
-      const finalDiscountType = (discountType === "shipping" || discountValue === "100") ? "shipping" : discountType;
-      const finalDiscountValue = (discountType === "shipping" || discountValue === "100") ? "100" : discountValue;
-      
-      // Fallback: Return simple discount code
+    }
+
+    if (consentResult.confirmationRequired) {
       return json({
         success: true,
-        discountCode: fallbackCode,
-        discountType: finalDiscountType,
-        discountValue: finalDiscountValue,
-        expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
-        shopifyCreated: false,
-      }, {
-        headers: corsHeaders
+        confirmationRequired: true,
+        message: "Check your inbox to confirm your email and get your code."
       });
     }
 
+    const result = await issueDiscountCode(applyVariantOverrides(popupConfig, variant), email);
+
+    if (!result.success) {
+      console.error(`Could not issue discount for popup ${popupId} on shop ${shop}:`, result.error);
+      // Never hand out a made-up code - tell the popup so the shopper can retry
+      return json({
+        error: result.error,
+        userErrors: result.userErrors || []
+      }, { status: result.status });
+    }
+
+    return json(result);
+
   } catch (error) {
     console.error("Error generating discount code:", error);
-    return json({ error: "Internal server error" }, {
-      status: 500,
-      headers: corsHeaders
-    });
+    return json({ error: "Internal server error" }, { status: 500 });
   }
 };
 
-// Handle OPTIONS preflight requests
-export const loader = async ({ request }) => {
-  if (request.method === "OPTIONS") {
-    return new Response(null, {
-      status: 200,
-      headers: corsHeaders,
-    });
-  }
-  
-  return json({ error: "Method not allowed" }, {
-    status: 405,
-    headers: corsHeaders
-  });
-};
\ No newline at end of file
+// Storefront requests are POSTs through the App Proxy
+export const loader = async () => {
+  return json({ error: "Method not allowed" }, { status: 405 });
+};
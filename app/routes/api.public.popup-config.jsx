@@ -1,112 +1,74 @@
 import { json } from "@remix-run/node";
-import prisma from "../db.server";
+import { getProxyShop } from "../utils/appProxy.server";
+import { parseAudienceRules } from "../utils/audienceRules";
+import { parseCartRules } from "../utils/cartRules";
+import { getActivePopupConfigs } from "../utils/db.server";
+import { parseMobileOverrides, parseTargetDevices } from "../utils/deviceTargeting";
+import { parseLocaleRules } from "../utils/localeRules";
+import { parseMarketingConsent } from "../utils/marketingConsent";
+import { isPopupScheduledNow } from "../utils/popupSchedule";
+import { applyVariantOverrides, CONTROL_VARIANT_ID } from "../utils/popupVariants";
+import { assignVariant, getPopupVariants } from "../utils/abTest.server";
+import { parseTriggerRules } from "../utils/popupTriggers";
+import { parseSegments, toPublicSegments } from "../utils/wheel.server";
+import { getShopSettings } from "../utils/shopSettings.server";
 
+/**
+ * Popup Config Route (App Proxy: /apps/popup/popup-config)
+ *
+ * Returns every active popup for the shop that signed the request that is
+ * within its schedule, highest priority first. The storefront script decides
+ * which one (if any) to show, and whether to wait for cookie consent first.
+ * Popups in an A/B test come back as the arm assigned to ?visitorId=, so
+ * the other arms' offers never reach the storefront.
+ */
 export const loader = async ({ request }) => {
-  const url = new URL(request.url);
-  const shop = url.searchParams.get("shop");
-  
-  if (!shop) {
-    const errorResponse = { error: "Shop parameter is required" };
-    return json(errorResponse, {
-      status: 400,
-      headers: {
-        "Access-Control-Allow-Origin": "*",
-        "Access-Control-Allow-Methods": "GET, OPTIONS",
-        "Access-Control-Allow-Headers": "Content-Type, Authorization",
-        "Access-Control-Max-Age": "86400",
-      }
-    });
-  }
+  // Throws a 400/401 response if the App Proxy signature doesn't check out
+  const shop = await getProxyShop(request);
 
-  // Validate shop domain format
-  const isValidShopFormat = shop.includes('.myshopify.com') || shop.includes('.shopify.com');
-  
-  if (!isValidShopFormat) {
-    const errorResponse = { error: "Invalid shop domain format" };
-    return json(errorResponse, {
-      status: 400,
-      headers: {
-        "Access-Control-Allow-Origin": "*",
-        "Access-Control-Allow-Methods": "GET, OPTIONS",
-        "Access-Control-Allow-Headers": "Content-Type, Authorization",
-        "Access-Control-Max-Age": "86400",
-      }
-    });
+  if (!shop) {
+    return json({ error: "App is not installed on this shop" }, { status: 404 });
   }
   
   try {
-    const popupConfig = await prisma.popupConfig.findFirst({
-      where: {
-        shop: shop,
-        isActive: true
-      }
-    });
-    
-    if (!popupConfig) {
-      const nullResponse = { config: null };
-      
-      return json(nullResponse, {
-        headers: {
-          "Access-Control-Allow-Origin": "*",
-          "Access-Control-Allow-Methods": "GET, OPTIONS",
-          "Access-Control-Allow-Headers": "Content-Type, Authorization",
-          "Access-Control-Max-Age": "86400",
-        }
-      });
-    }
-    
-    
-    // Parse segments if it's a wheel type
-    let parsedSegments = null;
-    if (popupConfig.segments) {
-      try {
-        parsedSegments = JSON.parse(popupConfig.segments);
-      } catch (parseError) {
-        // Failed to parse segments JSON
-      }
-    }
-    
-    const config = {
-      ...popupConfig,
-      segments: parsedSegments
-    };
-    
-    const finalResponse = { config };
+    const visitorId = new URL(request.url).searchParams.get("visitorId");
+
+    // Leave out popups that haven't started, have ended or are outside their weekly windows
+    const now = new Date();
+    const popupConfigs = (await getActivePopupConfigs(shop))
+      .filter((popupConfig) => isPopupScheduledNow(popupConfig, now));
+    const variantsByPopup = await getPopupVariants(shop, popupConfigs.map((popupConfig) => popupConfig.id));
+    const { requireMarketingConsent } = await getShopSettings(shop);
     
-    return json(finalResponse, {
-      headers: {
-        "Access-Control-Allow-Origin": "*",
-        "Access-Control-Allow-Methods": "GET, OPTIONS",
-        "Access-Control-Allow-Headers": "Content-Type, Authorization",
-        "Access-Control-Max-Age": "86400",
+    const configs = popupConfigs.map((savedConfig) => {
+      const variants = variantsByPopup[savedConfig.id] || [];
+      const variant = assignVariant(savedConfig.id, variants, visitorId);
+      const popupConfig = applyVariantOverrides(savedConfig, variant);
+
+      // Parse segments if it's a wheel type - prize codes and odds stay on the server
+      let parsedSegments = null;
+      if (popupConfig.type === "wheel-email") {
+        parsedSegments = toPublicSegments(parseSegments(popupConfig.segments));
       }
+      
+      return {
+        ...popupConfig,
+        segments: parsedSegments,
+        triggerRules: parseTriggerRules(popupConfig.triggerRules),
+        cartRules: parseCartRules(popupConfig.cartRules),
+        audienceRules: parseAudienceRules(popupConfig.audienceRules),
+        targetDevices: parseTargetDevices(popupConfig.targetDevices),
+        mobileOverrides: parseMobileOverrides(popupConfig.mobileOverrides),
+        localeRules: parseLocaleRules(popupConfig.localeRules),
+        marketingConsent: parseMarketingConsent(popupConfig.marketingConsent),
+        // The visitor's A/B test arm, recorded on their analytics events
+        variantId: variants.length > 0 ? variant?.id || CONTROL_VARIANT_ID : null
+      };
     });
-  } catch (error) {
-    const errorResponse = { error: "Failed to fetch configuration" };
     
-    return json(errorResponse, {
-      status: 500,
-      headers: {
-        "Access-Control-Allow-Origin": "*",
-        "Access-Control-Allow-Methods": "GET, OPTIONS",
-        "Access-Control-Allow-Headers": "Content-Type, Authorization",
-        "Access-Control-Max-Age": "86400",
-      }
-    });
+    return json({ configs, requireMarketingConsent });
+  } catch (error) {
+    console.error("Error fetching popup configuration:", error);
+    return json({ error: "Failed to fetch configuration" }, { status: 500 });
   }
 };
-
-// Handle preflight requests for CORS
-export const options = () => {
-  return new Response(null, {
-    status: 200,
-    headers: {
-      "Access-Control-Allow-Origin": "*",
-      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-      "Access-Control-Allow-Headers": "Content-Type, Authorization, X-Requested-With, Accept, Origin",
-      "Access-Control-Allow-Credentials": "false",
-      "Access-Control-Max-Age": "86400",
-      "Vary": "Origin",
-    },
-  });
-};
\ No newline at end of file
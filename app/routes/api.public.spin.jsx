@@ -0,0 +1,113 @@
+import { json } from "@remix-run/node";
+import prisma from "../db.server";
+import { getProxyShop } from "../utils/appProxy.server";
+import { getClientIP, hashIP } from "../utils/ip.server";
+import { getScheduleStatus } from "../utils/popupSchedule";
+import { checkRateLimit, isHoneypotTripped, rateLimitResponse } from "../utils/rateLimit.server";
+import { spinWheel } from "../utils/wheel.server";
+import { isValidEmail, recordSignupConsent } from "../utils/optIn.server";
+import { recordSubscriberActivity } from "../utils/subscribers.server";
+import { scheduleSubscriberSyncs } from "../utils/customerSync.server";
+
+/**
+ * Spin Wheel Route
+ *
+ * Decides the prize for a wheel popup on the server. The popup sends the
+ * shopper's email and gets back the segment index to animate to.
+ */
+export const action = async ({ request }) => {
+  // Throws a 400/401 response if the App Proxy signature doesn't check out
+  const shop = await getProxyShop(request);
+
+  if (!shop) {
+    return json({ error: "App is not installed on this shop" }, { status: 404 });
+  }
+
+  try {
+    const formData = await request.formData();
+
+    const popupId = formData.get("popupId");
+    const email = formData.get("email");
+    const sessionId = formData.get("sessionId");
+    const marketingConsent = formData.get("marketingConsent") === "true";
+
+    if (!popupId) {
+      return json({ error: "Popup ID is required" }, { status: 400 });
+    }
+
+    if (!isValidEmail(email)) {
+      return json({ error: "A valid email is required" }, { status: 400 });
+    }
+
+    // Bots fill in the hidden honeypot field - real shoppers never see it
+    if (isHoneypotTripped(formData)) {
+      return json({ error: "Invalid submission" }, { status: 400 });
+    }
+
+    const rateLimit = await checkRateLimit("spin", {
+      shop,
+      ipHash: await hashIP(getClientIP(request), shop),
+      email
+    });
+    if (rateLimit.limited) {
+      return rateLimitResponse(rateLimit.retryAfter);
+    }
+
+    const popupConfig = await prisma.popupConfig.findFirst({
+      where: {
+        id: popupId,
+        shop: shop,
+        type: "wheel-email",
+        isActive: true
+      }
+    });
+
+    if (!popupConfig) {
+      return json({ error: "Wheel popup not found" }, { status: 404 });
+    }
+
+    // A shopper may still have the popup open after its end date
+    const scheduleStatus = getScheduleStatus(popupConfig);
+    if (scheduleStatus === "scheduled" || scheduleStatus === "expired") {
+      return json({ error: "This offer is not available right now" }, { status: 410 });
+    }
+
+    const result = await spinWheel(popupConfig, { email, sessionId });
+
+    console.log(`Wheel spin for popup ${popupId} on shop ${shop}: segment ${result.segmentIndex}`);
+
+    // Shoppers who don't win still sign up - the prize itself is claimed separately.
+    // Without a consent record there's no prize: the spin is kept, so trying
+    // again lands on the same segment.
+    const consentResult = await recordSignupConsent(popupConfig, {
+      email,
+      consentGiven: marketingConsent
+    });
+    if (!consentResult.success) {
+      console.error(`Could not record consent for wheel popup ${popupId} on shop ${shop}:`, consentResult.error);
+      return json({ error: consentResult.error }, { status: consentResult.status });
+    }
+
+    try {
+      await recordSubscriberActivity(shop, { email, eventType: "email_entered", popupId: popupConfig.id });
+      // New signups are copied to Shopify customers in the background
+      scheduleSubscriberSyncs(shop);
+    } catch (subscriberError) {
+      console.error("Error recording subscriber activity:", subscriberError);
+    }
+
+    return json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error("Error spinning wheel:", error);
+    return json({ error: "Internal server error" }, { status: 500 });
+  }
+};
+
+// Storefront requests are POSTs through the App Proxy
+export const loader = async () => {
+  return json({ error: "Method not allowed" }, { status: 405 });
+};
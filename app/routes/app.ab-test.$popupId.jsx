@@ -0,0 +1,361 @@
+import { useState, useEffect, useCallback } from "react";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  Button,
+  BlockStack,
+  Box,
+  InlineStack,
+  Badge,
+  Banner,
+  DataTable,
+  TextField,
+  Select,
+  Divider,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import { getPopupVariants, promoteVariant, savePopupVariants } from "../utils/abTest.server";
+import {
+  CONTROL_VARIANT_ID,
+  VARIANT_DISCOUNT_TYPE_OPTIONS,
+  getControlWeight,
+  getVariantFieldGroups,
+  parseVariantOverrides,
+} from "../utils/popupVariants";
+
+const GROUP_LABELS = {
+  content: "Content",
+  design: "Design",
+  offer: "Offer",
+};
+
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+
+  const popup = await prisma.popupConfig.findFirst({
+    where: { id: params.popupId, shop: session.shop }
+  });
+
+  if (!popup) {
+    throw new Response("Popup not found", { status: 404 });
+  }
+
+  const variants = (await getPopupVariants(session.shop, [popup.id]))[popup.id] || [];
+
+  return {
+    popup,
+    variants: variants.map((variant) => ({
+      id: variant.id,
+      name: variant.name,
+      weight: variant.weight,
+      overrides: parseVariantOverrides(variant.overrides)
+    }))
+  };
+};
+
+export const action = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const actionType = formData.get("actionType");
+
+  try {
+    if (actionType === "saveVariants") {
+      let variants;
+      try {
+        variants = JSON.parse(formData.get("variants") || "[]");
+      } catch (parseError) {
+        return { success: false, error: "Invalid variants" };
+      }
+
+      const result = await savePopupVariants(session.shop, params.popupId, Array.isArray(variants) ? variants : []);
+      if (!result.success) {
+        return { success: false, error: result.error };
+      }
+
+      return {
+        success: true,
+        message: result.variants.length > 0 ? "Variants saved - the test is running" : "A/B test stopped"
+      };
+    }
+
+    if (actionType === "promoteVariant") {
+      const result = await promoteVariant(session.shop, params.popupId, formData.get("variantId"));
+      if (!result.success) {
+        return { success: false, error: result.error };
+      }
+
+      return { success: true, message: "Winner promoted - the A/B test has ended" };
+    }
+
+    return { success: false, error: "Invalid action" };
+  } catch (error) {
+    console.error("A/B test action error:", error);
+    return { success: false, error: error.message };
+  }
+};
+
+const formatPercent = (fraction) => `${(fraction * 100).toFixed(1)}%`;
+
+// Difference between two rates in percentage points, e.g. "+1.2 pts"
+const formatPoints = (fraction) => `${fraction >= 0 ? "+" : ""}${(fraction * 100).toFixed(1)} pts`;
+
+export default function AbTestPage() {
+  const fetcher = useFetcher();
+  const resultsFetcher = useFetcher();
+  const shopify = useAppBridge();
+  const { popup, variants: savedVariants } = useLoaderData();
+
+  const [variants, setVariants] = useState(savedVariants);
+
+  // Pick up the saved variants after a save or promotion
+  useEffect(() => {
+    setVariants(savedVariants);
+  }, [savedVariants]);
+
+  // fetcher.load keeps its identity between renders, unlike the fetcher
+  const { load: loadResultsData } = resultsFetcher;
+  const loadResults = useCallback(() => {
+    loadResultsData(`/api/admin/popup-analytics?popupId=${popup.id}`);
+  }, [loadResultsData, popup.id]);
+
+  useEffect(() => {
+    loadResults();
+  }, [loadResults]);
+
+  // Handle fetcher response
+  useEffect(() => {
+    if (fetcher.data) {
+      if (fetcher.data.success) {
+        shopify.toast.show(fetcher.data.message);
+        loadResults();
+      } else if (fetcher.data.error) {
+        shopify.toast.show(`Error: ${fetcher.data.error}`, { isError: true });
+      }
+    }
+  }, [fetcher.data, shopify, loadResults]);
+
+  const fieldGroups = getVariantFieldGroups(popup.type);
+  const controlWeight = getControlWeight(
+    variants.map((variant) => ({ weight: parseInt(variant.weight, 10) || 0 }))
+  );
+  const abTest = resultsFetcher.data?.analytics?.abTest;
+
+  const updateVariant = (index, changes) => {
+    setVariants((prev) => prev.map((variant, i) => (i === index ? { ...variant, ...changes } : variant)));
+  };
+
+  const updateOverride = (index, field, value) => {
+    setVariants((prev) => prev.map((variant, i) =>
+      i === index ? { ...variant, overrides: { ...variant.overrides, [field]: value } } : variant
+    ));
+  };
+
+  const handleAddVariant = () => {
+    // Split the traffic evenly between the original and every variant
+    const share = Math.floor(100 / (variants.length + 2));
+    setVariants((prev) => [
+      ...prev.map((variant) => ({ ...variant, weight: share })),
+      { id: null, name: `Variant ${String.fromCharCode(66 + prev.length)}`, weight: share, overrides: {} }
+    ]);
+  };
+
+  const handleSave = () => {
+    fetcher.submit(
+      { actionType: "saveVariants", variants: JSON.stringify(variants) },
+      { method: "POST" }
+    );
+  };
+
+  const handlePromote = (arm) => {
+    const message = arm.id === CONTROL_VARIANT_ID
+      ? "Keep the original popup and end the test? The variants will be deleted."
+      : `Copy "${arm.name}" onto the popup and end the test? The variants will be deleted.`;
+    if (confirm(message)) {
+      fetcher.submit(
+        { actionType: "promoteVariant", variantId: arm.id },
+        { method: "POST" }
+      );
+    }
+  };
+
+  const renderVariantFields = (variant, index) => (
+    <Box key={variant.id || `new-${index}`} padding="400" background="bg-surface-secondary" borderRadius="200">
+      <BlockStack gap="300">
+        <InlineStack align="space-between" blockAlign="end" gap="300" wrap={false}>
+          <div style={{ flex: 2 }}>
+            <TextField
+              label="Variant name"
+              value={variant.name}
+              onChange={(value) => updateVariant(index, { name: value })}
+              autoComplete="off"
+            />
+          </div>
+          <div style={{ flex: 1 }}>
+            <TextField
+              label="Traffic"
+              type="number"
+              min={1}
+              max={99}
+              suffix="%"
+              value={String(variant.weight)}
+              onChange={(value) => updateVariant(index, { weight: value })}
+              autoComplete="off"
+            />
+          </div>
+          <Button
+            variant="plain"
+            tone="critical"
+            onClick={() => setVariants((prev) => prev.filter((_, i) => i !== index))}
+          >
+            Remove
+          </Button>
+        </InlineStack>
+
+        {Object.entries(fieldGroups)
+          .filter(([, fields]) => fields.length > 0)
+          .map(([group, fields]) => (
+            <BlockStack key={group} gap="200">
+              <Text as="h4" variant="headingXs">{GROUP_LABELS[group]}</Text>
+              {fields.map(({ field, label }) => field === "discountType" ? (
+                <Select
+                  key={field}
+                  label={label}
+                  options={[{ label: "Same as original", value: "" }, ...VARIANT_DISCOUNT_TYPE_OPTIONS]}
+                  value={variant.overrides.discountType || ""}
+                  onChange={(value) => updateOverride(index, field, value)}
+                />
+              ) : (
+                <TextField
+                  key={field}
+                  label={label}
+                  value={String(variant.overrides[field] ?? "")}
+                  onChange={(value) => updateOverride(index, field, value)}
+                  placeholder={String(popup[field] ?? "")}
+                  multiline={field === "description" ? 2 : undefined}
+                  autoComplete="off"
+                />
+              ))}
+            </BlockStack>
+          ))}
+      </BlockStack>
+    </Box>
+  );
+
+  const renderResults = () => {
+    if (!abTest) {
+      return (
+        <Text as="p" variant="bodyMd" tone="subdued">
+          {resultsFetcher.state === "loading" ? "Loading results..." : "Results appear here once the test is running."}
+        </Text>
+      );
+    }
+
+    const rows = abTest.arms.map((arm) => [
+      <InlineStack key="name" gap="200" blockAlign="center">
+        <Text as="span" fontWeight="semibold">{arm.name}</Text>
+        {abTest.winnerId === arm.id && <Badge tone="success">Winner</Badge>}
+      </InlineStack>,
+      `${arm.weight}%`,
+      arm.visitors,
+      arm.conversions,
+      formatPercent(arm.rate),
+      arm.visitors > 0 ? `${formatPercent(arm.lower)} – ${formatPercent(arm.upper)}` : "–",
+      arm.difference
+        ? `${formatPoints(arm.rate - abTest.arms[0].rate)} (${formatPoints(arm.difference.lower)} to ${formatPoints(arm.difference.upper)})`
+        : "–",
+      <Button
+        key="promote"
+        size="slim"
+        variant={abTest.winnerId === arm.id ? "primary" : "secondary"}
+        onClick={() => handlePromote(arm)}
+        loading={fetcher.state !== "idle"}
+      >
+        {arm.id === CONTROL_VARIANT_ID ? "Keep original" : "Promote"}
+      </Button>
+    ]);
+
+    return (
+      <BlockStack gap="300">
+        <Text as="p" variant="bodySm" tone="subdued">
+          Since {new Date(abTest.startedAt).toLocaleDateString()}. Conversion is the share of visitors who entered their email.
+          Ranges are 95% confidence intervals - a variant is only marked the winner when its whole range of
+          difference from the original is above zero.
+        </Text>
+        <DataTable
+          columnContentTypes={["text", "numeric", "numeric", "numeric", "numeric", "text", "text", "text"]}
+          headings={["Variant", "Traffic", "Visitors", "Conversions", "Conversion", "95% interval", "vs. original", ""]}
+          rows={rows}
+        />
+      </BlockStack>
+    );
+  };
+
+  return (
+    <Page
+      backAction={{ content: "Popups", url: "/app/popups" }}
+      title={`A/B test: ${popup.name}`}
+    >
+      <TitleBar title="A/B Test" />
+
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="500">
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h2" variant="headingMd">Results</Text>
+                {renderResults()}
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="400">
+                <BlockStack gap="100">
+                  <Text as="h2" variant="headingMd">Variants</Text>
+                  <Text as="p" variant="bodyMd" tone="subdued">
+                    Each variant changes some of the popup's fields - leave a field empty to keep the original.
+                    Visitors keep the version they were first shown.
+                  </Text>
+                </BlockStack>
+
+                <InlineStack align="space-between">
+                  <Text as="span" fontWeight="semibold">Original</Text>
+                  <Text as="span" tone={controlWeight < 1 ? "critical" : "subdued"}>
+                    {controlWeight}% of traffic
+                  </Text>
+                </InlineStack>
+
+                {variants.length > 0 && <Divider />}
+                {variants.map(renderVariantFields)}
+
+                {controlWeight < 1 && (
+                  <Banner tone="warning">
+                    Leave at least 1% of traffic for the original popup.
+                  </Banner>
+                )}
+
+                <InlineStack align="space-between">
+                  <Button onClick={handleAddVariant} disabled={variants.length >= 4}>
+                    Add variant
+                  </Button>
+                  <Button
+                    variant="primary"
+                    onClick={handleSave}
+                    loading={fetcher.state !== "idle"}
+                    disabled={controlWeight < 1}
+                  >
+                    {variants.length === 0 && savedVariants.length > 0 ? "Stop test" : "Save variants"}
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
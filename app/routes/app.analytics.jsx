@@ -1,5 +1,5 @@
 import { useState, useEffect } from "react";
-import { useFetcher } from "@remix-run/react";
+import { useFetcher, useLoaderData } from "@remix-run/react";
 import {
   Page,
   Layout,
@@ -16,9 +16,16 @@ import {
   ProgressBar,
   Tooltip,
   Button,
+  Checkbox,
 } from "@shopify/polaris";
-import { TitleBar } from "@shopify/app-bridge-react";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
 import { authenticate } from "../shopify.server";
+import {
+  ANALYTICS_RETENTION_DAYS,
+  getShopSettings,
+  updateShopSettings,
+} from "../utils/shopSettings.server";
+import { listDataRequests } from "../utils/compliance.server";
 import {
   LineChart,
   Line,
@@ -37,13 +44,116 @@ import {
 
 export const loader = async ({ request }) => {
   const { session } = await authenticate.admin(request);
-  return { shop: session.shop };
+  const [settings, dataRequests] = await Promise.all([
+    getShopSettings(session.shop),
+    listDataRequests(session.shop)
+  ]);
+  return {
+    shop: session.shop,
+    analyticsRetentionDays: settings.analyticsRetentionDays,
+    privacyMode: settings.privacyMode,
+    requireMarketingConsent: settings.requireMarketingConsent,
+    dataRequests
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const actionType = formData.get("actionType");
+
+  try {
+    if (actionType === "saveDataSettings") {
+      const analyticsRetentionDays = parseInt(formData.get("analyticsRetentionDays"), 10);
+
+      if (!ANALYTICS_RETENTION_DAYS.includes(analyticsRetentionDays)) {
+        return { success: false, error: "Invalid retention period" };
+      }
+
+      await updateShopSettings(session.shop, {
+        analyticsRetentionDays,
+        privacyMode: formData.get("privacyMode") === "true",
+        requireMarketingConsent: formData.get("requireMarketingConsent") === "true"
+      });
+
+      return { success: true, message: "Privacy settings saved" };
+    }
+
+    return { success: false, error: "Invalid action" };
+  } catch (error) {
+    console.error("Analytics action error:", error);
+    return { success: false, error: error.message };
+  }
 };
 
+const RETENTION_OPTIONS = [
+  { label: "30 days", value: "30" },
+  { label: "90 days", value: "90" },
+  { label: "6 months", value: "180" },
+  { label: "1 year", value: "365" },
+  { label: "2 years", value: "730" },
+  { label: "Keep forever", value: "0" },
+];
+
 export default function AnalyticsPage() {
+  const loaderData = useLoaderData();
   const analyticsFetcher = useFetcher();
+  const settingsFetcher = useFetcher();
+  const shopify = useAppBridge();
   const [timeRange, setTimeRange] = useState("24h");
   const [autoRefresh, setAutoRefresh] = useState(true);
+  const [retentionDays, setRetentionDays] = useState(String(loaderData?.analyticsRetentionDays ?? 365));
+  const [privacyMode, setPrivacyMode] = useState(loaderData?.privacyMode ?? false);
+  const [requireMarketingConsent, setRequireMarketingConsent] = useState(loaderData?.requireMarketingConsent ?? false);
+  const [downloadingRequestId, setDownloadingRequestId] = useState(null);
+  const dataRequests = loaderData?.dataRequests || [];
+
+  // Show the result of saving settings
+  useEffect(() => {
+    if (settingsFetcher.data?.success) {
+      shopify.toast.show(settingsFetcher.data.message);
+    } else if (settingsFetcher.data?.error) {
+      shopify.toast.show(`Error: ${settingsFetcher.data.error}`, { isError: true });
+    }
+  }, [settingsFetcher.data, shopify]);
+
+  const handleSaveDataSettings = () => {
+    settingsFetcher.submit(
+      {
+        actionType: "saveDataSettings",
+        analyticsRetentionDays: retentionDays,
+        privacyMode: privacyMode.toString(),
+        requireMarketingConsent: requireMarketingConsent.toString()
+      },
+      { method: "POST" }
+    );
+  };
+
+  // Download the data collected for a customer data request as JSON
+  const handleDownloadDataRequest = async (requestId) => {
+    setDownloadingRequestId(requestId);
+    try {
+      const response = await fetch(`/api/admin/data-request-export?id=${encodeURIComponent(requestId)}`);
+      if (!response.ok) {
+        throw new Error(`Download failed with status ${response.status}`);
+      }
+
+      const blob = await response.blob();
+      const fileName = response.headers.get("Content-Disposition")?.match(/filename="(.+)"/)?.[1] || "data-request.json";
+      const link = document.createElement("a");
+      link.href = URL.createObjectURL(blob);
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(link.href);
+    } catch (error) {
+      console.error("Error downloading data request:", error);
+      shopify.toast.show("Couldn't download the customer's data. Please try again.", { isError: true });
+    } finally {
+      setDownloadingRequestId(null);
+    }
+  };
 
   // Load analytics data on component mount
   useEffect(() => {
@@ -435,7 +545,7 @@ export default function AnalyticsPage() {
                     {renderMetricCard(
                       "Total Views", 
                       analytics.summary.totalViews.toLocaleString(),
-                      "Popup impressions"
+                      `${analytics.summary.uniqueVisitors.toLocaleString()} unique visitors`
                     )}
                   </Layout.Section>
                   <Layout.Section oneThird>
@@ -522,6 +632,86 @@ export default function AnalyticsPage() {
             </Layout.Section>
           </Layout>
         )}
+
+        <Layout>
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">
+                  Privacy and data retention
+                </Text>
+                <Checkbox
+                  label="Privacy mode"
+                  helpText="Don't store visitors' browser details, IP hashes or emails with analytics events. Unique visitors are then counted by browser session."
+                  checked={privacyMode}
+                  onChange={setPrivacyMode}
+                />
+                <Checkbox
+                  label="Only show popups after marketing consent"
+                  helpText="Waits for visitors to accept marketing in your store's cookie banner. Visitors in regions without a banner see popups as usual."
+                  checked={requireMarketingConsent}
+                  onChange={setRequireMarketingConsent}
+                />
+                <InlineStack gap="300" blockAlign="end">
+                  <Box width="240px">
+                    <Select
+                      label="Keep analytics events for"
+                      helpText="Spin results and issued codes are kept separately, so deleting events never lets a shopper spin again."
+                      options={RETENTION_OPTIONS}
+                      value={retentionDays}
+                      onChange={setRetentionDays}
+                    />
+                  </Box>
+                  <Button onClick={handleSaveDataSettings} loading={settingsFetcher.state !== "idle"}>
+                    Save
+                  </Button>
+                </InlineStack>
+                <Text as="p" variant="bodySm" tone="subdued">
+                  Older views, clicks and signups are deleted automatically. Subscribers and their totals are kept.
+                </Text>
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">
+                  Customer data requests
+                </Text>
+                <Text as="p" variant="bodyMd" tone="subdued">
+                  When a customer asks Shopify for their data, the popup data stored about them is collected here. Download it and send it to the customer.
+                </Text>
+                {dataRequests.length === 0 ? (
+                  <Text as="p" variant="bodyMd">No data requests yet.</Text>
+                ) : (
+                  <DataTable
+                    columnContentTypes={["text", "text", "numeric", "text"]}
+                    headings={["Received", "Customer ID", "Records", ""]}
+                    rows={dataRequests.map((dataRequest) => [
+                      new Date(dataRequest.createdAt).toLocaleString(),
+                      dataRequest.shopifyCustomerId?.split("/").pop() || "—",
+                      (dataRequest.summary.subscribers || 0) +
+                        (dataRequest.summary.discountCodes || 0) +
+                        (dataRequest.summary.analyticsEvents || 0) +
+                        (dataRequest.summary.wheelSpins || 0),
+                      dataRequest.hasExport ? (
+                        <Button
+                          size="slim"
+                          onClick={() => handleDownloadDataRequest(dataRequest.id)}
+                          loading={downloadingRequestId === dataRequest.id}
+                        >
+                          Download
+                        </Button>
+                      ) : (
+                        <Badge>Erased</Badge>
+                      ),
+                    ])}
+                  />
+                )}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        </Layout>
       </BlockStack>
     </Page>
   );
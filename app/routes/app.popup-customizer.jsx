@@ -23,6 +23,13 @@ import { EmailIcon } from "@shopify/polaris-icons";
 import { authenticate } from "../shopify.server";
 import prisma from "../db.server";
 import PopupPreview from "../components/PopupPreview";
+import { serializeAudienceRules } from "../utils/audienceRules";
+import { serializeCartRules } from "../utils/cartRules";
+import { serializeMobileOverrides, serializeTargetDevices } from "../utils/deviceTargeting";
+import { serializeLocaleRules } from "../utils/localeRules";
+import { serializeMarketingConsent } from "../utils/marketingConsent";
+import { serializeScheduleWindows, zonedLocalStringToDate } from "../utils/popupSchedule";
+import { serializeTriggerRules } from "../utils/popupTriggers";
 
 export const loader = async ({ request }) => {
   const { session } = await authenticate.admin(request);
@@ -51,8 +58,26 @@ export const loader = async ({ request }) => {
   }
 };
 
+// The shop's IANA timezone, used to read and evaluate popup schedules
+async function getShopTimezone(admin) {
+  try {
+    const response = await admin.graphql(`#graphql
+      query getShopTimezone {
+        shop {
+          ianaTimezone
+        }
+      }
+    `);
+    const { data } = await response.json();
+    return data?.shop?.ianaTimezone || "UTC";
+  } catch (error) {
+    console.error("Error fetching shop timezone:", error);
+    return "UTC";
+  }
+}
+
 export const action = async ({ request }) => {
-  const { session } = await authenticate.admin(request);
+  const { session, admin } = await authenticate.admin(request);
   const formData = await request.formData();
   const popupConfigString = formData.get("popupConfig");
   const popupId = formData.get("popupId");
@@ -98,6 +123,25 @@ export const action = async ({ request }) => {
     
     // Generate a default name if not provided
     const popupName = name || `${type.charAt(0).toUpperCase() + type.slice(1)} Popup - ${new Date().toLocaleDateString()}`;
+    
+    // Schedule dates arrive as wall-clock times in the shop's timezone
+    let scheduleData = {};
+    if (config.schedule !== undefined) {
+      const scheduleTimezone = await getShopTimezone(admin);
+      const startsAt = zonedLocalStringToDate(config.schedule?.startsAt, scheduleTimezone);
+      const endsAt = zonedLocalStringToDate(config.schedule?.endsAt, scheduleTimezone);
+      
+      if (startsAt && endsAt && endsAt <= startsAt) {
+        return { success: false, error: "The end date must be after the start date" };
+      }
+      
+      scheduleData = {
+        startsAt,
+        endsAt,
+        scheduleWindows: serializeScheduleWindows(config.schedule?.windows),
+        scheduleTimezone
+      };
+    }
   
   try {
     let savedConfig;
@@ -124,6 +168,9 @@ export const action = async ({ request }) => {
           buttonText: config.buttonText || (type === "community" ? "Follow Us" : ""),
           discountCode: config.discountCode || "",
           scratchDiscountPercentage: type === "scratch-card" ? config.scratchDiscountPercentage || 15 : null,
+          discountType: config.discountType || undefined,
+          discountValue: config.discountValue != null ? String(config.discountValue) : undefined,
+          discountMinimumSubtotal: config.discountMinimumSubtotal !== undefined ? (config.discountMinimumSubtotal ? String(config.discountMinimumSubtotal) : null) : undefined,
           backgroundColor: config.backgroundColor,
           textColor: config.textColor,
           buttonColor: config.buttonColor || "#007ace",
@@ -133,6 +180,18 @@ export const action = async ({ request }) => {
           frequency: config.frequency ?? "once",
           exitIntent: config.exitIntent ?? false,
           exitIntentDelay: config.exitIntentDelay || 1000,
+          mobileExitIntent: config.mobileExitIntent ?? undefined,
+          maxImpressionsPerSession: config.maxImpressionsPerSession !== undefined ? (parseInt(config.maxImpressionsPerSession, 10) || null) : undefined,
+          stopAfterConversion: config.stopAfterConversion ?? undefined,
+          cooldownMinutes: config.cooldownMinutes !== undefined ? (parseInt(config.cooldownMinutes, 10) || 0) : undefined,
+          triggerRules: config.triggerRules !== undefined ? serializeTriggerRules(config.triggerRules) : undefined,
+          cartRules: config.cartRules !== undefined ? serializeCartRules(config.cartRules) : undefined,
+          audienceRules: config.audienceRules !== undefined ? serializeAudienceRules(config.audienceRules) : undefined,
+          targetDevices: config.targetDevices !== undefined ? serializeTargetDevices(config.targetDevices) : undefined,
+          mobileOverrides: config.mobileOverrides !== undefined ? serializeMobileOverrides(config.mobileOverrides) : undefined,
+          localeRules: config.localeRules !== undefined ? serializeLocaleRules(config.localeRules) : undefined,
+          marketingConsent: config.marketingConsent !== undefined ? serializeMarketingConsent(config.marketingConsent) : undefined,
+          ...scheduleData,
           segments: type === "wheel-email" ? JSON.stringify(config.segments) : null,
           backgroundType: config.backgroundType || null,
           bannerImage: (type === "community" || type === "email") ? config.bannerImage || null : null,
@@ -157,6 +216,8 @@ export const action = async ({ request }) => {
           pageTargeting: pageTargeting?.selectedPages ? JSON.stringify(pageTargeting.selectedPages) : null,
           targetAllPages: pageTargeting?.targetAllPages ?? true,
           targetSpecificPages: pageTargeting?.targetSpecificPages ?? false,
+          // Storefront frequency state is keyed by revision, so edits are shown again
+          revision: { increment: 1 },
           updatedAt: new Date()
         }
       });
@@ -182,6 +243,9 @@ export const action = async ({ request }) => {
           buttonText: config.buttonText || (type === "community" ? "Follow Us" : ""),
           discountCode: config.discountCode || "",
           scratchDiscountPercentage: type === "scratch-card" ? config.scratchDiscountPercentage || 15 : null,
+          discountType: config.discountType || undefined,
+          discountValue: config.discountValue != null ? String(config.discountValue) : undefined,
+          discountMinimumSubtotal: config.discountMinimumSubtotal !== undefined ? (config.discountMinimumSubtotal ? String(config.discountMinimumSubtotal) : null) : undefined,
           backgroundColor: config.backgroundColor,
           textColor: config.textColor,
           buttonColor: config.buttonColor || "#007ace",
@@ -191,6 +255,18 @@ export const action = async ({ request }) => {
           frequency: config.frequency ?? "once",
           exitIntent: config.exitIntent ?? false,
           exitIntentDelay: config.exitIntentDelay || 1000,
+          mobileExitIntent: config.mobileExitIntent ?? undefined,
+          maxImpressionsPerSession: config.maxImpressionsPerSession !== undefined ? (parseInt(config.maxImpressionsPerSession, 10) || null) : undefined,
+          stopAfterConversion: config.stopAfterConversion ?? undefined,
+          cooldownMinutes: config.cooldownMinutes !== undefined ? (parseInt(config.cooldownMinutes, 10) || 0) : undefined,
+          triggerRules: config.triggerRules !== undefined ? serializeTriggerRules(config.triggerRules) : undefined,
+          cartRules: config.cartRules !== undefined ? serializeCartRules(config.cartRules) : undefined,
+          audienceRules: config.audienceRules !== undefined ? serializeAudienceRules(config.audienceRules) : undefined,
+          targetDevices: config.targetDevices !== undefined ? serializeTargetDevices(config.targetDevices) : undefined,
+          mobileOverrides: config.mobileOverrides !== undefined ? serializeMobileOverrides(config.mobileOverrides) : undefined,
+          localeRules: config.localeRules !== undefined ? serializeLocaleRules(config.localeRules) : undefined,
+          marketingConsent: config.marketingConsent !== undefined ? serializeMarketingConsent(config.marketingConsent) : undefined,
+          ...scheduleData,
           segments: type === "wheel-email" ? JSON.stringify(config.segments) : null,
           backgroundType: config.backgroundType || null,
           bannerImage: (type === "community" || type === "email") ? config.bannerImage || null : null,
@@ -324,14 +400,14 @@ export default function PopupCustomizer() {
         description: existingConfig.description || "Enter your email below and spin the wheel to see if you're our next lucky winner!",
         placeholder: existingConfig.placeholder || "Your email",
         buttonText: existingConfig.buttonText || "TRY YOUR LUCK",
-        discountCode: existingConfig.discountCode || "SAVE5",
+        discountCode: existingConfig.discountCode || "SPIN",
         segments: existingConfig.segments ? JSON.parse(existingConfig.segments) : [
-          { label: '5% OFF', color: '#ef4444', code: 'SAVE5' },
-          { label: '10% OFF', color: '#06b6d4', code: 'SAVE10' },
-          { label: '15% OFF', color: '#10b981', code: 'SAVE15' },
-          { label: '20% OFF', color: '#f59e0b', code: 'SAVE20' },
-          { label: 'FREE SHIPPING', color: '#ff9ff3', code: 'FREESHIP' },
-          { label: 'TRY AGAIN', color: '#54a0ff', code: null }
+          { label: '5% OFF', color: '#ef4444', discountType: 'percentage', discountValue: '5' },
+          { label: '10% OFF', color: '#06b6d4', discountType: 'percentage', discountValue: '10' },
+          { label: '15% OFF', color: '#10b981', discountType: 'percentage', discountValue: '15' },
+          { label: '20% OFF', color: '#f59e0b', discountType: 'percentage', discountValue: '20' },
+          { label: 'FREE SHIPPING', color: '#ff9ff3', discountType: 'shipping', discountValue: '100' },
+          { label: 'TRY AGAIN', color: '#54a0ff', discountType: 'none', discountValue: null }
         ],
         backgroundColor: backgroundColor,
         backgroundType: backgroundType,
@@ -348,14 +424,14 @@ export default function PopupCustomizer() {
       description: "Enter your email below and spin the wheel to see if you're our next lucky winner!",
       placeholder: "Your email",
       buttonText: "TRY YOUR LUCK",
-      discountCode: "SAVE5",
+      discountCode: "SPIN",
       segments: [
-        { label: '5% OFF', color: '#ff6b6b', code: 'SAVE5' },
-        { label: '10% OFF', color: '#4ecdc4', code: 'SAVE10' },
-        { label: '15% OFF', color: '#45b7d1', code: 'SAVE15' },
-        { label: '20% OFF', color: '#feca57', code: 'SAVE20' },
-        { label: 'FREE SHIPPING', color: '#ff9ff3', code: 'FREESHIP' },
-        { label: 'TRY AGAIN', color: '#54a0ff', code: null }
+        { label: '5% OFF', color: '#ff6b6b', discountType: 'percentage', discountValue: '5' },
+        { label: '10% OFF', color: '#4ecdc4', discountType: 'percentage', discountValue: '10' },
+        { label: '15% OFF', color: '#45b7d1', discountType: 'percentage', discountValue: '15' },
+        { label: '20% OFF', color: '#feca57', discountType: 'percentage', discountValue: '20' },
+        { label: 'FREE SHIPPING', color: '#ff9ff3', discountType: 'shipping', discountValue: '100' },
+        { label: 'TRY AGAIN', color: '#54a0ff', discountType: 'none', discountValue: null }
       ],
       backgroundColor: "linear-gradient(135deg, #1e3a8a 0%, #1e40af 100%)",
       backgroundType: "gradient",
@@ -650,10 +726,10 @@ export default function PopupCustomizer() {
       />
       
       <TextField
-        label="Discount Code"
+        label="Code Prefix"
         value={emailConfig.discountCode}
         onChange={(value) => setEmailConfig({ ...emailConfig, discountCode: value })}
-        placeholder="Discount code to offer"
+        placeholder="Prefix for each subscriber's unique code"
       />
       
       <InlineStack gap="400">
@@ -795,10 +871,10 @@ export default function PopupCustomizer() {
       />
       
       <TextField
-        label="Default Discount Code"
+        label="Code Prefix"
         value={wheelEmailConfig.discountCode}
         onChange={(value) => setWheelEmailConfig({ ...wheelEmailConfig, discountCode: value })}
-        placeholder="Default discount code for winners"
+        placeholder="Prefix for each winner's unique code"
       />
       
       <Text as="h4" variant="headingSm">Wheel Segments</Text>
@@ -828,15 +904,54 @@ export default function PopupCustomizer() {
                 style={{ width: "40px", height: "30px", border: "none", borderRadius: "4px", cursor: "pointer" }}
               />
             </Box>
-            <Box minWidth="100px">
+            <Box minWidth="140px">
+              <Select
+                options={[
+                  { label: "Percentage off", value: "percentage" },
+                  { label: "Fixed amount off", value: "fixed_amount" },
+                  { label: "Free shipping", value: "shipping" },
+                  { label: "No prize", value: "none" },
+                ]}
+                value={segment.discountType || (segment.code ? "percentage" : "none")}
+                onChange={(value) => {
+                  const newSegments = [...wheelEmailConfig.segments];
+                  const { code, ...rest } = newSegments[index];
+                  newSegments[index] = {
+                    ...rest,
+                    discountType: value,
+                    discountValue: value === "none" ? null : value === "shipping" ? "100" : rest.discountValue || "10",
+                  };
+                  setWheelEmailConfig({ ...wheelEmailConfig, segments: newSegments });
+                }}
+              />
+            </Box>
+            <Box minWidth="80px">
+              <TextField
+                type="number"
+                min={0}
+                value={String(segment.discountValue ?? "")}
+                disabled={!segment.discountType || segment.discountType === "none" || segment.discountType === "shipping"}
+                onChange={(value) => {
+                  const newSegments = [...wheelEmailConfig.segments];
+                  newSegments[index].discountValue = value;
+                  setWheelEmailConfig({ ...wheelEmailConfig, segments: newSegments });
+                }}
+                placeholder="Value"
+                autoComplete="off"
+              />
+            </Box>
+            <Box minWidth="80px">
               <TextField
-                value={segment.code || ''}
+                type="number"
+                min={0}
+                value={segment.weight === undefined || segment.weight === null ? "1" : String(segment.weight)}
                 onChange={(value) => {
                   const newSegments = [...wheelEmailConfig.segments];
-                  newSegments[index].code = value || null;
+                  newSegments[index].weight = value === "" ? 0 : Math.max(0, Number(value));
                   setWheelEmailConfig({ ...wheelEmailConfig, segments: newSegments });
                 }}
-                placeholder="Discount code"
+                placeholder="Weight"
+                autoComplete="off"
               />
             </Box>
           </InlineStack>
@@ -1181,10 +1296,10 @@ export default function PopupCustomizer() {
       />
       
       <TextField
-        label="Discount Code"
+        label="Code Prefix"
         value={timerConfig.discountCode}
         onChange={(value) => setTimerConfig({ ...timerConfig, discountCode: value })}
-        placeholder="Discount code to offer"
+        placeholder="Prefix for each subscriber's unique code"
       />
       
       <Text as="h4" variant="headingSm">Timer Duration</Text>
@@ -1440,10 +1555,10 @@ export default function PopupCustomizer() {
       />
       
       <TextField
-        label="Discount Code"
+        label="Code Prefix"
         value={scratchCardConfig.discountCode || ""}
         onChange={(value) => setScratchCardConfig({ ...scratchCardConfig, discountCode: value })}
-        placeholder="Discount code to offer (e.g., SCRATCH10)"
+        placeholder="Prefix for each subscriber's unique code (e.g., SCRATCH)"
       />
       
       <TextField
@@ -1,5 +1,5 @@
 import { useState, useCallback, useEffect } from "react";
-import { useFetcher, useLoaderData } from "@remix-run/react";
+import { useFetcher, useLoaderData, useNavigate } from "@remix-run/react";
 import {
   Page,
   Layout,
@@ -27,16 +27,19 @@ import prisma from "../db.server";
 import PopupTypeSelectionModal from "../components/PopupTypeSelectionModal";
 import PopupConfigurationModal from "../components/PopupConfigurationModal";
 import { getPopupThumbnailPath } from "../utils/popupImages";
+import { getScheduleStatus } from "../utils/popupSchedule";
+import { getPopupVariants } from "../utils/abTest.server";
 
 export const loader = async ({ request }) => {
   const { session } = await authenticate.admin(request);
   
   try {
-    // Load all popups for this shop
+    // Load all popups for this shop in the order the storefront considers them
     const popups = await prisma.popupConfig.findMany({
       where: { shop: session.shop },
-      orderBy: { createdAt: 'desc' }
+      orderBy: [{ priority: 'desc' }, { createdAt: 'desc' }]
     });
+    const variantsByPopup = await getPopupVariants(session.shop, popups.map(popup => popup.id));
 
     // Get analytics for each popup (last 30 days)
     const popupsWithAnalytics = await Promise.all(
@@ -70,6 +73,8 @@ export const loader = async ({ request }) => {
 
           return {
             ...popup,
+            scheduleStatus: getScheduleStatus(popup),
+            variantCount: variantsByPopup[popup.id]?.length || 0,
             analytics: {
               views: totalViews,
               subscribers: subscribers,
@@ -80,6 +85,8 @@ export const loader = async ({ request }) => {
           console.error(`Error fetching analytics for popup ${popup.id}:`, analyticsError);
           return {
             ...popup,
+            scheduleStatus: getScheduleStatus(popup),
+            variantCount: variantsByPopup[popup.id]?.length || 0,
             analytics: {
               views: 0,
               subscribers: 0,
@@ -125,9 +132,14 @@ export const action = async ({ request }) => {
     }
     
     if (actionType === "deletePopup") {
-      await prisma.popupConfig.delete({
-        where: { id: popupId }
-      });
+      await prisma.$transaction([
+        prisma.popupVariant.deleteMany({
+          where: { shop: session.shop, popupId }
+        }),
+        prisma.popupConfig.delete({
+          where: { id: popupId }
+        })
+      ]);
       
       return { 
         success: true, 
@@ -149,6 +161,28 @@ export const action = async ({ request }) => {
       };
     }
     
+    if (actionType === "updatePriority") {
+      const priority = parseInt(formData.get("priority"), 10);
+      
+      if (Number.isNaN(priority)) {
+        return { success: false, error: "Priority must be a number" };
+      }
+      
+      const { count } = await prisma.popupConfig.updateMany({
+        where: { id: popupId, shop: session.shop },
+        data: { priority }
+      });
+
+      if (count === 0) {
+        return { success: false, error: "Popup not found" };
+      }
+      
+      return { 
+        success: true, 
+        message: "Popup priority updated successfully!" 
+      };
+    }
+    
     return { success: false, error: "Invalid action" };
   } catch (error) {
     console.error("Action error:", error);
@@ -158,6 +192,7 @@ export const action = async ({ request }) => {
 
 export default function PopupsPage() {
   const fetcher = useFetcher();
+  const navigate = useNavigate();
   const shopify = useAppBridge();
   const { popups } = useLoaderData();
   
@@ -168,6 +203,9 @@ export default function PopupsPage() {
   const [showNameModal, setShowNameModal] = useState(false);
   const [editingName, setEditingName] = useState("");
   const [namePopupId, setNamePopupId] = useState(null);
+  const [showPriorityModal, setShowPriorityModal] = useState(false);
+  const [editingPriority, setEditingPriority] = useState("0");
+  const [priorityPopupId, setPriorityPopupId] = useState(null);
   const [activePopover, setActivePopover] = useState(null);
 
   // Handle fetcher response
@@ -228,6 +266,25 @@ export default function PopupsPage() {
     }
   }, [fetcher, editingName, namePopupId]);
 
+  const handleEditPriority = useCallback((popup) => {
+    setEditingPriority(String(popup.priority ?? 0));
+    setPriorityPopupId(popup.id);
+    setShowPriorityModal(true);
+  }, []);
+
+  const handleSavePriority = useCallback(() => {
+    fetcher.submit(
+      { 
+        actionType: "updatePriority", 
+        popupId: priorityPopupId,
+        priority: editingPriority
+      },
+      { method: "POST" }
+    );
+    setShowPriorityModal(false);
+    setPriorityPopupId(null);
+  }, [fetcher, editingPriority, priorityPopupId]);
+
   const getPopupTypeLabel = (type) => {
     switch (type) {
       case "email": return "Email Discount";
@@ -311,15 +368,39 @@ export default function PopupsPage() {
               />
 
               <BlockStack gap="050">
-                <Text as="h3" variant="headingSm" fontWeight="semibold">
-                  {popup.name && popup.name.length > 30 ? `${popup.name.substring(0, 30)}...` : popup.name}
-                </Text>
+                <InlineStack gap="200" blockAlign="center">
+                  <Text as="h3" variant="headingSm" fontWeight="semibold">
+                    {popup.name && popup.name.length > 30 ? `${popup.name.substring(0, 30)}...` : popup.name}
+                  </Text>
+                  {popup.scheduleStatus === "scheduled" && (
+                    <Badge tone="info">Scheduled</Badge>
+                  )}
+                  {popup.scheduleStatus === "expired" && (
+                    <Badge tone="critical">Expired</Badge>
+                  )}
+                  {popup.variantCount > 0 && (
+                    <Badge tone="magic">A/B test</Badge>
+                  )}
+                </InlineStack>
                 <Text variant="bodySm" tone="subdued">
                   Created: {formatDate(popup.createdAt)}
                 </Text>
                 <Text variant="bodySm" tone="subdued">
                   Last saved: {formatDate(popup.updatedAt || popup.createdAt)}
                 </Text>
+                <Text variant="bodySm" tone="subdued">
+                  Priority: {popup.priority ?? 0}
+                </Text>
+                {popup.scheduleStatus === "scheduled" && (
+                  <Text variant="bodySm" tone="subdued">
+                    Starts: {formatDate(popup.startsAt)}
+                  </Text>
+                )}
+                {popup.scheduleStatus === "expired" && (
+                  <Text variant="bodySm" tone="subdued">
+                    Ended: {formatDate(popup.endsAt)}
+                  </Text>
+                )}
               </BlockStack>
             </InlineStack>
 
@@ -400,6 +481,20 @@ export default function PopupsPage() {
                           setActivePopover(null);
                         },
                       },
+                      {
+                        content: 'Set priority',
+                        onAction: () => {
+                          handleEditPriority(popup);
+                          setActivePopover(null);
+                        },
+                      },
+                      {
+                        content: popup.variantCount > 0 ? 'View A/B test' : 'A/B test',
+                        onAction: () => {
+                          setActivePopover(null);
+                          navigate(`/app/ab-test/${popup.id}`);
+                        },
+                      },
                       {
                         content: 'Delete',
                         destructive: true,
@@ -482,6 +577,35 @@ export default function PopupsPage() {
           />
         </Modal.Section>
       </Modal>
+
+      {/* Edit Priority Modal */}
+      <Modal
+        open={showPriorityModal}
+        onClose={() => setShowPriorityModal(false)}
+        title="Set Popup Priority"
+        primaryAction={{
+          content: "Save",
+          onAction: handleSavePriority,
+          disabled: editingPriority === "" || Number.isNaN(parseInt(editingPriority, 10))
+        }}
+        secondaryActions={[
+          {
+            content: "Cancel",
+            onAction: () => setShowPriorityModal(false)
+          }
+        ]}
+      >
+        <Modal.Section>
+          <TextField
+            label="Priority"
+            type="number"
+            value={editingPriority}
+            onChange={setEditingPriority}
+            helpText="When several active popups match a page, only the one with the highest priority is shown"
+            autoComplete="off"
+          />
+        </Modal.Section>
+      </Modal>
     </Page>
   );
 }
\ No newline at end of file
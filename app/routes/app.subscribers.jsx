@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback } from "react";
+import { useState, useEffect, useCallback, useRef } from "react";
 import { useFetcher, useLoaderData } from "@remix-run/react";
 import {
   Page,
@@ -20,14 +20,22 @@ import {
   Divider,
   Modal,
   List,
+  Checkbox,
 } from "@shopify/polaris";
-import { TitleBar } from "@shopify/app-bridge-react";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
 import { SearchIcon, ExportIcon } from "@shopify/polaris-icons";
 import { authenticate } from "../shopify.server";
 import db from "../db.server";
+import { getShopSettings, updateShopSettings } from "../utils/shopSettings.server";
+import { processSubscriberSyncs, queueSubscriberSync, scheduleSubscriberSyncs } from "../utils/customerSync.server";
 
 export const loader = async ({ request }) => {
   const { session } = await authenticate.admin(request);
+  const settings = await getShopSettings(session.shop);
+  const syncSettings = {
+    customerSyncEnabled: settings.customerSyncEnabled,
+    customerTag: settings.customerTag
+  };
   
   try {
     // Load existing popup configuration for dashboard modal
@@ -46,20 +54,76 @@ export const loader = async ({ request }) => {
     return {
       shop: session.shop,
       existingConfig,
-      appEmbedEnabled
+      appEmbedEnabled,
+      syncSettings
     };
   } catch (error) {
     return {
       shop: session.shop,
       existingConfig: null,
-      appEmbedEnabled: false
+      appEmbedEnabled: false,
+      syncSettings
     };
   }
 };
 
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const actionType = formData.get("actionType");
+  
+  try {
+    if (actionType === "saveSyncSettings") {
+      const customerTag = String(formData.get("customerTag") || "").trim();
+      
+      if (customerTag.length > 255) {
+        return { success: false, error: "The customer tag can be at most 255 characters" };
+      }
+      
+      const customerSyncEnabled = formData.get("customerSyncEnabled") === "true";
+      await updateShopSettings(session.shop, {
+        customerSyncEnabled,
+        customerTag
+      });
+      
+      // Start on the subscribers waiting for their first sync
+      if (customerSyncEnabled) {
+        scheduleSubscriberSyncs(session.shop);
+      }
+      
+      return { success: true, message: "Customer sync settings saved" };
+    }
+    
+    if (actionType === "retrySync") {
+      const subscriber = await db.subscriber.findFirst({
+        where: { id: formData.get("subscriberId"), shop: session.shop }
+      });
+      
+      if (!subscriber) {
+        return { success: false, error: "Subscriber not found" };
+      }
+      
+      await queueSubscriberSync(subscriber.id);
+      const result = await processSubscriberSyncs(session.shop);
+      
+      return {
+        success: true,
+        message: result.synced > 0 ? "Subscriber synced to Shopify" : "Sync queued - check back shortly"
+      };
+    }
+    
+    return { success: false, error: "Invalid action" };
+  } catch (error) {
+    console.error("Subscriber action error:", error);
+    return { success: false, error: error.message };
+  }
+};
+
 export default function SubscribersPage() {
   const loaderData = useLoaderData();
   const subscribersFetcher = useFetcher();
+  const actionFetcher = useFetcher();
+  const shopify = useAppBridge();
   const [searchQuery, setSearchQuery] = useState("");
   const [sortBy, setSortBy] = useState("timestamp");
   const [sortOrder, setSortOrder] = useState("desc");
@@ -67,9 +131,12 @@ export default function SubscribersPage() {
   const [selectedSubscriber, setSelectedSubscriber] = useState(null);
   const [showDetailsModal, setShowDetailsModal] = useState(false);
   const [showDashboardModal, setShowDashboardModal] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
   const limit = 25;
   
   const existingConfig = loaderData?.existingConfig;
+  const [syncEnabled, setSyncEnabled] = useState(loaderData?.syncSettings?.customerSyncEnabled ?? false);
+  const [customerTag, setCustomerTag] = useState(loaderData?.syncSettings?.customerTag ?? "");
 
   // Load subscribers data
   const loadSubscribers = useCallback(() => {
@@ -98,6 +165,41 @@ export default function SubscribersPage() {
     return () => clearTimeout(timeoutId);
   }, [searchQuery]);
 
+  // Handle settings and retry responses - once each, since loadSubscribers
+  // changes with the page and search
+  const handledActionData = useRef(null);
+  useEffect(() => {
+    const data = actionFetcher.data;
+    if (!data || data === handledActionData.current) return;
+    handledActionData.current = data;
+
+    if (data.success) {
+      shopify.toast.show(data.message);
+      loadSubscribers();
+    } else if (data.error) {
+      shopify.toast.show(`Error: ${data.error}`, { isError: true });
+    }
+  }, [actionFetcher.data, shopify, loadSubscribers]);
+
+  const handleSaveSyncSettings = () => {
+    actionFetcher.submit(
+      {
+        actionType: "saveSyncSettings",
+        customerSyncEnabled: syncEnabled.toString(),
+        customerTag
+      },
+      { method: "POST" }
+    );
+  };
+
+  const handleRetrySync = (subscriber) => {
+    actionFetcher.submit(
+      { actionType: "retrySync", subscriberId: subscriber.id },
+      { method: "POST" }
+    );
+    setShowDetailsModal(false);
+  };
+
   const subscribers = subscribersFetcher.data?.subscribers || [];
   const pagination = subscribersFetcher.data?.pagination || {};
   const summary = subscribersFetcher.data?.summary || {};
@@ -113,6 +215,33 @@ export default function SubscribersPage() {
     setCurrentPage(1);
   };
 
+  // Download the subscribers matching the current search and sort as CSV
+  const handleExport = useCallback(async () => {
+    setIsExporting(true);
+    try {
+      const params = new URLSearchParams({ search: searchQuery, sortBy, sortOrder });
+      const response = await fetch(`/api/admin/subscribers-export?${params}`);
+      if (!response.ok) {
+        throw new Error(`Export failed with status ${response.status}`);
+      }
+
+      const blob = await response.blob();
+      const fileName = response.headers.get("Content-Disposition")?.match(/filename="(.+)"/)?.[1] || "subscribers.csv";
+      const link = document.createElement("a");
+      link.href = URL.createObjectURL(blob);
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(link.href);
+    } catch (error) {
+      console.error("Error exporting subscribers:", error);
+      shopify.toast.show("Couldn't export subscribers. Please try again.", { isError: true });
+    } finally {
+      setIsExporting(false);
+    }
+  }, [searchQuery, sortBy, sortOrder, shopify]);
+
   const handlePageChange = (page) => {
     setCurrentPage(page);
   };
@@ -140,6 +269,22 @@ export default function SubscribersPage() {
     );
   };
 
+  const getConsentBadge = (consentStatus) => {
+    if (consentStatus === "pending") return <Badge tone="attention">Pending confirmation</Badge>;
+    if (consentStatus === "unsubscribed") return <Badge tone="critical">Unsubscribed</Badge>;
+    if (consentStatus === "not_subscribed") return <Badge>Not subscribed</Badge>;
+    return <Badge tone="success">Subscribed</Badge>;
+  };
+
+  const getSyncBadge = (shopifySync) => {
+    switch (shopifySync?.status) {
+      case "synced": return <Badge tone="success">Synced</Badge>;
+      case "failed": return <Badge tone="critical">Failed</Badge>;
+      case "skipped": return <Badge>Not synced</Badge>;
+      default: return <Badge tone="attention">{shopifySync?.attempts > 0 ? "Retrying" : "Pending"}</Badge>;
+    }
+  };
+
   const getActivityStatus = (lastActivity) => {
     const daysSince = (new Date() - new Date(lastActivity)) / (1000 * 60 * 60 * 24);
     if (daysSince <= 7) return <Badge tone="success">Active</Badge>;
@@ -234,6 +379,7 @@ export default function SubscribersPage() {
         {subscriber.totalDiscounts}
       </Text>
     </div>,
+    getSyncBadge(subscriber.shopifySync),
     <Button
       size="slim"
       onClick={() => handleViewDetails(subscriber)}
@@ -250,6 +396,7 @@ export default function SubscribersPage() {
     { title: "Total Interactions", sortable: true, id: "totalInteractions" },
     { title: "Wins", sortable: true, id: "wins" },
     { title: "Discounts", sortable: true, id: "totalDiscounts" },
+    { title: "Shopify", sortable: false },
     { title: "Actions", sortable: false },
   ];
 
@@ -300,6 +447,63 @@ export default function SubscribersPage() {
                         <Text as="span" variant="bodyMd">Status:</Text>
                         {getActivityStatus(selectedSubscriber.lastActivity)}
                       </InlineStack>
+                      <InlineStack align="space-between">
+                        <Text as="span" variant="bodyMd">Consent:</Text>
+                        {getConsentBadge(selectedSubscriber.consentStatus)}
+                      </InlineStack>
+                      {selectedSubscriber.consent?.consentedAt && (
+                        <BlockStack gap="100">
+                          <InlineStack align="space-between">
+                            <Text as="span" variant="bodyMd">Consented:</Text>
+                            <Text as="span" variant="bodyMd">
+                              {formatDate(selectedSubscriber.consent.consentedAt)} (text version {selectedSubscriber.consent.textVersion})
+                            </Text>
+                          </InlineStack>
+                          <Text as="p" variant="bodySm" tone="subdued">
+                            “{selectedSubscriber.consent.text}”
+                          </Text>
+                        </BlockStack>
+                      )}
+                      {selectedSubscriber.consent?.confirmedAt && (
+                        <InlineStack align="space-between">
+                          <Text as="span" variant="bodyMd">Email confirmed:</Text>
+                          <Text as="span" variant="bodyMd">
+                            {formatDate(selectedSubscriber.consent.confirmedAt)}
+                          </Text>
+                        </InlineStack>
+                      )}
+                      <InlineStack align="space-between">
+                        <Text as="span" variant="bodyMd">Shopify customer:</Text>
+                        {getSyncBadge(selectedSubscriber.shopifySync)}
+                      </InlineStack>
+                      {selectedSubscriber.shopifySync?.error && (
+                        <Text as="p" variant="bodySm" tone="critical">
+                          {selectedSubscriber.shopifySync.error}
+                        </Text>
+                      )}
+                      {["failed", "skipped"].includes(selectedSubscriber.shopifySync?.status) && (
+                        <InlineStack align="end">
+                          <Button size="slim" onClick={() => handleRetrySync(selectedSubscriber)}>
+                            Retry sync
+                          </Button>
+                        </InlineStack>
+                      )}
+                      {selectedSubscriber.tags?.length > 0 && (
+                        <InlineStack align="space-between">
+                          <Text as="span" variant="bodyMd">Tags:</Text>
+                          <InlineStack gap="100">
+                            {selectedSubscriber.tags.map((tag) => (
+                              <Badge key={tag}>{tag}</Badge>
+                            ))}
+                          </InlineStack>
+                        </InlineStack>
+                      )}
+                      {Object.entries(selectedSubscriber.customFields || {}).map(([field, value]) => (
+                        <InlineStack key={field} align="space-between">
+                          <Text as="span" variant="bodyMd">{field}:</Text>
+                          <Text as="span" variant="bodyMd">{String(value)}</Text>
+                        </InlineStack>
+                      ))}
                     </BlockStack>
                   </BlockStack>
                 </Card>
@@ -535,18 +739,46 @@ export default function SubscribersPage() {
         </Button>
         <Button
           icon={ExportIcon}
-          onClick={() => {
-            // TODO: Implement export functionality
-            console.log("Export subscribers");
-          }}
+          onClick={handleExport}
+          loading={isExporting}
+          disabled={isExporting}
         >
-          Export
+          {searchQuery ? "Export matching" : "Export"}
         </Button>
       </TitleBar>
 
       <BlockStack gap="500">
         {renderSummaryCards()}
 
+        <Card>
+          <BlockStack gap="300">
+            <Text as="h2" variant="headingMd">
+              Shopify customer sync
+            </Text>
+            <Checkbox
+              label="Add subscribers to your Shopify customers"
+              helpText="Subscribers are created as Shopify customers, or matched to existing ones and tagged, with the email marketing consent they gave. Turning this on also adds the subscribers you already have."
+              checked={syncEnabled}
+              onChange={setSyncEnabled}
+            />
+            <InlineStack gap="300" blockAlign="end">
+              <Box width="320px">
+                <TextField
+                  label="Customer tag"
+                  value={customerTag}
+                  onChange={setCustomerTag}
+                  helpText="{type} is replaced with the popup type, e.g. quickpop-wheel"
+                  disabled={!syncEnabled}
+                  autoComplete="off"
+                />
+              </Box>
+              <Button onClick={handleSaveSyncSettings} loading={actionFetcher.state !== "idle"}>
+                Save
+              </Button>
+            </InlineStack>
+          </BlockStack>
+        </Card>
+
         <Layout>
           <Layout.Section>
             <Card>
@@ -595,6 +827,7 @@ export default function SubscribersPage() {
                         "numeric",
                         "numeric",
                         "text",
+                        "text",
                       ]}
                       headings={tableHeadings.map((heading) => (
                         <Button
@@ -1,5 +1,6 @@
 import { authenticate } from "../shopify.server";
 import db from "../db.server";
+import { scheduleShopPurge } from "../utils/retention.server";
 
 export const action = async ({ request }) => {
   const { shop, session, topic } = await authenticate.webhook(request);
@@ -10,5 +11,9 @@ export const action = async ({ request }) => {
     await db.session.deleteMany({ where: { shop } });
   }
 
+  // Scheduled even without a session, so a retried delivery still sets the
+  // purge. Popups, analytics and subscribers are kept until the grace period ends.
+  await scheduleShopPurge(shop);
+
   return new Response();
 };
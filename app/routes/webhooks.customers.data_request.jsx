@@ -0,0 +1,16 @@
+import { authenticate } from "../shopify.server";
+import { exportCustomerData } from "../utils/compliance.server";
+
+export const action = async ({ request }) => {
+  const { shop, payload, webhookId } = await authenticate.webhook(request);
+
+  const { summary } = await exportCustomerData(shop, payload.customer, {
+    webhookId,
+    requestId: payload.data_request?.id
+  });
+  if (summary) {
+    console.log(`Customer data request for ${shop}:`, summary);
+  }
+
+  return new Response();
+};
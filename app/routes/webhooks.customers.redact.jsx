@@ -0,0 +1,13 @@
+import { authenticate } from "../shopify.server";
+import { redactCustomer } from "../utils/compliance.server";
+
+export const action = async ({ request }) => {
+  const { shop, payload, webhookId } = await authenticate.webhook(request);
+
+  const { summary } = await redactCustomer(shop, payload.customer, { webhookId });
+  if (summary) {
+    console.log(`Customer redacted for ${shop}:`, summary);
+  }
+
+  return new Response();
+};
@@ -0,0 +1,13 @@
+import { authenticate } from "../shopify.server";
+import { redactShop } from "../utils/compliance.server";
+
+export const action = async ({ request }) => {
+  const { shop, webhookId } = await authenticate.webhook(request);
+
+  const { summary } = await redactShop(shop, { webhookId });
+  if (summary) {
+    console.log(`Shop data redacted for ${shop}:`, summary);
+  }
+
+  return new Response();
+};
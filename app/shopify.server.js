@@ -6,6 +6,7 @@ import {
 } from "@shopify/shopify-app-remix/server";
 import { PrismaSessionStorage } from "@shopify/shopify-app-session-storage-prisma";
 import prisma from "./db.server";
+import { cancelShopPurge } from "./utils/retention.server";
 
 const shopify = shopifyApp({
   apiKey: process.env.SHOPIFY_API_KEY,
@@ -16,6 +17,12 @@ const shopify = shopifyApp({
   authPathPrefix: "/auth",
   sessionStorage: new PrismaSessionStorage(prisma),
   distribution: AppDistribution.AppStore,
+  hooks: {
+    // Reinstalling within the grace period keeps the shop's data
+    afterAuth: async ({ session }) => {
+      await cancelShopPurge(session.shop);
+    },
+  },
   future: {
     unstable_newEmbeddedAuthStrategy: false,
     removeRest: true,
@@ -0,0 +1,302 @@
+import { createHash } from "node:crypto";
+import { Prisma } from "@prisma/client";
+import prisma from "../db.server";
+import {
+  CONTROL_VARIANT_ID,
+  getControlWeight,
+  parseVariantOverrides,
+  serializeVariantOverrides,
+} from "./popupVariants";
+
+/**
+ * A/B Test Utility Functions
+ *
+ * A popup with variants is running an A/B test. The server assigns each
+ * visitor to the original popup or one of its variants from a hash of the
+ * popup and the visitor ID the storefront keeps, so a visitor always sees -
+ * and is issued the offer of - the same arm, and can't pick one. The
+ * storefront records the arm on every analytics event. Results compare the
+ * share of visitors (browser sessions) who entered their email, with 95%
+ * Wilson score confidence intervals.
+ *
+ * Changes return a result object rather than throwing:
+ * { success: true, ... } or { success: false, status, error }
+ */
+
+// 95% confidence
+const Z_SCORE = 1.96;
+
+const MAX_VARIANTS = 4;
+
+// Analytics events that count as a conversion (matches the storefront script)
+const CONVERSION_EVENTS = ["email_entered"];
+
+/**
+ * Get the variants of a shop's popups
+ * @param {string} shop - The shop domain
+ * @param {Array<string>} popupIds - Popup IDs
+ * @returns {Promise<Object>} Variants keyed by popup ID, oldest first
+ */
+export async function getPopupVariants(shop, popupIds) {
+  if (popupIds.length === 0) return {};
+
+  const variants = await prisma.popupVariant.findMany({
+    where: {
+      shop,
+      popupId: { in: popupIds }
+    },
+    orderBy: { createdAt: "asc" }
+  });
+
+  return variants.reduce((byPopup, variant) => {
+    (byPopup[variant.popupId] = byPopup[variant.popupId] || []).push(variant);
+    return byPopup;
+  }, {});
+}
+
+/**
+ * The A/B test arm a visitor is in. The same popup and visitor ID always
+ * give the same arm, with each variant getting its weight in percent of
+ * visitors.
+ * @param {string} popupId - The popup ID
+ * @param {Array<Object>} variants - The popup's variants, oldest first
+ * @param {string|null} visitorId - The storefront's visitor ID
+ * @returns {Object|null} The variant, or null for the original popup
+ */
+export function assignVariant(popupId, variants, visitorId) {
+  if (!visitorId || variants.length === 0) return null;
+
+  // A point in [0, 100) from the first 32 bits of the hash
+  const hash = createHash("sha256").update(`${popupId}:${visitorId}`).digest();
+  let roll = (hash.readUInt32BE(0) / 2 ** 32) * 100;
+  for (const variant of variants) {
+    roll -= variant.weight;
+    if (roll < 0) return variant;
+  }
+  return null;
+}
+
+/**
+ * The A/B test variant a visitor was shown, worked out the same way as for
+ * the popup config the storefront loaded. Signup requests used to name the
+ * variant themselves, which let a shopper pick whichever arm had the best
+ * offer.
+ * @param {Object} popupConfig - The popup configuration
+ * @param {string|null} visitorId - The storefront's visitor ID
+ * @returns {Promise<Object|null>} The variant, or null for the original popup
+ */
+export async function getAssignedVariant(popupConfig, visitorId) {
+  const variantsByPopup = await getPopupVariants(popupConfig.shop, [popupConfig.id]);
+  return assignVariant(popupConfig.id, variantsByPopup[popupConfig.id] || [], visitorId);
+}
+
+/**
+ * Wilson score interval for a conversion rate
+ * @param {number} conversions - Visitors who converted
+ * @param {number} visitors - Visitors who saw the popup
+ * @returns {Object} { rate, lower, upper } as fractions between 0 and 1
+ */
+export function wilsonInterval(conversions, visitors) {
+  if (visitors === 0) {
+    return { rate: 0, lower: 0, upper: 0 };
+  }
+
+  const rate = conversions / visitors;
+  const zSquared = Z_SCORE * Z_SCORE;
+  const denominator = 1 + zSquared / visitors;
+  const center = (rate + zSquared / (2 * visitors)) / denominator;
+  const margin =
+    (Z_SCORE * Math.sqrt((rate * (1 - rate)) / visitors + zSquared / (4 * visitors * visitors))) /
+    denominator;
+
+  return {
+    rate,
+    lower: Math.max(center - margin, 0),
+    upper: Math.min(center + margin, 1)
+  };
+}
+
+// Newcombe's interval for the difference between two rates, built from
+// their Wilson intervals. The variant beats (or loses to) the control when
+// the interval doesn't include zero.
+function differenceInterval(variant, control) {
+  const difference = variant.rate - control.rate;
+  return {
+    lower: difference - Math.sqrt((variant.rate - variant.lower) ** 2 + (control.upper - control.rate) ** 2),
+    upper: difference + Math.sqrt((variant.upper - variant.rate) ** 2 + (control.rate - control.lower) ** 2)
+  };
+}
+
+/**
+ * Conversion results for each arm of a popup's A/B test
+ * @param {Object} popupConfig - The popup configuration
+ * @param {Array<Object>} variants - The popup's variants
+ * @returns {Promise<Object>} { startedAt, arms, winnerId }, where each arm has
+ *   visitors, conversions, rate and interval (fractions) and, for variants,
+ *   the difference interval against the original
+ */
+export async function getVariantResults(popupConfig, variants) {
+  // Only count events since the test started, not the popup's earlier history
+  const startedAt = variants.reduce(
+    (earliest, variant) => (variant.createdAt < earliest ? variant.createdAt : earliest),
+    variants[0].createdAt
+  );
+
+  // Count visitors rather than impressions - a visitor keeps their variant
+  // and session ID across page views, so repeat views would inflate the
+  // denominator. Anonymous events (no cookie consent) have no session ID
+  // and can't be tied to a visitor, so COUNT(DISTINCT) leaves them out.
+  const counts = await prisma.$queryRaw`
+    SELECT \`variantId\`, \`eventType\`, COUNT(DISTINCT \`sessionId\`) AS \`visitors\`
+    FROM \`PopupAnalytics\`
+    WHERE \`shop\` = ${popupConfig.shop}
+      AND \`popupId\` = ${popupConfig.id}
+      AND \`variantId\` IS NOT NULL
+      AND \`eventType\` IN (${Prisma.join(["view", ...CONVERSION_EVENTS])})
+      AND \`timestamp\` >= ${startedAt}
+    GROUP BY \`variantId\`, \`eventType\`
+  `;
+
+  const visitorsByArm = {};
+  const convertersByArm = {};
+  counts.forEach((row) => {
+    const target = row.eventType === "view" ? visitorsByArm : convertersByArm;
+    // COUNT comes back as a BigInt
+    target[row.variantId] = (target[row.variantId] || 0) + Number(row.visitors);
+  });
+
+  const buildArm = (id, name, weight) => {
+    const visitors = visitorsByArm[id] || 0;
+    // A shopper can convert without a recorded view if the view event was lost
+    const conversions = Math.min(convertersByArm[id] || 0, visitors);
+    return { id, name, weight, visitors, conversions, ...wilsonInterval(conversions, visitors) };
+  };
+
+  const control = buildArm(CONTROL_VARIANT_ID, "Original", getControlWeight(variants));
+  const arms = [
+    control,
+    ...variants.map((variant) => {
+      const arm = buildArm(variant.id, variant.name, variant.weight);
+      return {
+        ...arm,
+        difference: arm.visitors > 0 && control.visitors > 0 ? differenceInterval(arm, control) : null
+      };
+    })
+  ];
+
+  // The winner is the best variant that clearly beats the original, or the
+  // original when it clearly beats every variant
+  const clearWinners = arms.filter((arm) => arm.difference && arm.difference.lower > 0);
+  let winnerId = null;
+  if (clearWinners.length > 0) {
+    winnerId = clearWinners.reduce((best, arm) => (arm.rate > best.rate ? arm : best)).id;
+  } else if (arms.slice(1).every((arm) => arm.difference && arm.difference.upper < 0)) {
+    winnerId = CONTROL_VARIANT_ID;
+  }
+
+  return { startedAt, arms, winnerId };
+}
+
+/**
+ * Replace a popup's variants with the ones from the editor
+ * @param {string} shop - The shop domain
+ * @param {string} popupId - The popup ID
+ * @param {Array<Object>} variants - [{ id?, name, weight, overrides }]
+ * @returns {Promise<Object>} Result object with the saved variants
+ */
+export async function savePopupVariants(shop, popupId, variants) {
+  const popupConfig = await prisma.popupConfig.findFirst({
+    where: { id: popupId, shop }
+  });
+  if (!popupConfig) {
+    return { success: false, status: 404, error: "Popup not found" };
+  }
+
+  if (variants.length > MAX_VARIANTS) {
+    return { success: false, status: 400, error: `A test can have up to ${MAX_VARIANTS} variants` };
+  }
+
+  const cleaned = variants.map((variant, index) => ({
+    id: variant.id || null,
+    name: String(variant.name || "").trim() || `Variant ${String.fromCharCode(66 + index)}`,
+    weight: parseInt(variant.weight, 10),
+    overrides: serializeVariantOverrides(variant.overrides)
+  }));
+
+  if (cleaned.some((variant) => Number.isNaN(variant.weight) || variant.weight < 1 || variant.weight > 99)) {
+    return { success: false, status: 400, error: "Each variant's traffic share must be between 1% and 99%" };
+  }
+  if (getControlWeight(cleaned) < 1) {
+    return { success: false, status: 400, error: "Leave at least 1% of traffic for the original popup" };
+  }
+  if (cleaned.some((variant) => !variant.overrides)) {
+    return { success: false, status: 400, error: "Each variant must change at least one field" };
+  }
+
+  const existing = await prisma.popupVariant.findMany({
+    where: { shop, popupId },
+    select: { id: true }
+  });
+  const existingIds = existing.map((variant) => variant.id);
+  const keptIds = cleaned.map((variant) => variant.id).filter((id) => existingIds.includes(id));
+
+  await prisma.$transaction([
+    prisma.popupVariant.deleteMany({
+      where: { shop, popupId, id: { notIn: keptIds } }
+    }),
+    ...cleaned.map(({ id, ...data }) =>
+      id && keptIds.includes(id)
+        ? prisma.popupVariant.update({ where: { id }, data })
+        : prisma.popupVariant.create({ data: { ...data, shop, popupId } })
+    )
+  ]);
+
+  const saved = await getPopupVariants(shop, [popupId]);
+  return { success: true, variants: saved[popupId] || [] };
+}
+
+/**
+ * End a popup's A/B test, keeping the winning arm. Promoting a variant
+ * copies its fields onto the popup; promoting the original just removes
+ * the variants.
+ * @param {string} shop - The shop domain
+ * @param {string} popupId - The popup ID
+ * @param {string} variantId - A variant ID or CONTROL_VARIANT_ID
+ * @returns {Promise<Object>} Result object
+ */
+export async function promoteVariant(shop, popupId, variantId) {
+  const popupConfig = await prisma.popupConfig.findFirst({
+    where: { id: popupId, shop }
+  });
+  if (!popupConfig) {
+    return { success: false, status: 404, error: "Popup not found" };
+  }
+
+  const removeVariants = prisma.popupVariant.deleteMany({
+    where: { shop, popupId }
+  });
+
+  if (variantId === CONTROL_VARIANT_ID) {
+    await removeVariants;
+    return { success: true };
+  }
+
+  const variant = await prisma.popupVariant.findFirst({
+    where: { id: variantId, shop, popupId }
+  });
+  if (!variant) {
+    return { success: false, status: 404, error: "Variant not found" };
+  }
+
+  // The revision stays the same - visitors have already seen one of the arms,
+  // so the promoted popup shouldn't count as new to them
+  await prisma.$transaction([
+    prisma.popupConfig.update({
+      where: { id: popupId },
+      data: parseVariantOverrides(variant.overrides)
+    }),
+    removeVariants
+  ]);
+
+  return { success: true };
+}
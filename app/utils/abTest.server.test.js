@@ -0,0 +1,133 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import prisma from "../db.server";
+import { assignVariant, getVariantResults, wilsonInterval } from "./abTest.server";
+import { CONTROL_VARIANT_ID } from "./popupVariants";
+
+vi.mock("../db.server", () => ({ default: { $queryRaw: vi.fn() } }));
+vi.mock("@prisma/client", () => ({ Prisma: { join: (values) => values } }));
+
+describe("wilsonInterval", () => {
+  it("matches the reference interval for 10 conversions in 100", () => {
+    const interval = wilsonInterval(10, 100);
+    expect(interval.rate).toBe(0.1);
+    expect(interval.lower).toBeCloseTo(0.0552, 4);
+    expect(interval.upper).toBeCloseTo(0.1744, 4);
+  });
+
+  it("stays within 0 and 1 at the extremes", () => {
+    const none = wilsonInterval(0, 10);
+    expect(none.lower).toBe(0);
+    expect(none.upper).toBeCloseTo(0.2775, 4);
+
+    const all = wilsonInterval(10, 10);
+    expect(all.lower).toBeCloseTo(0.7225, 4);
+    expect(all.upper).toBe(1);
+  });
+
+  it("is empty without visitors", () => {
+    expect(wilsonInterval(0, 0)).toEqual({ rate: 0, lower: 0, upper: 0 });
+  });
+});
+
+describe("getVariantResults", () => {
+  const popupConfig = { id: "popup-1", shop: "test.myshopify.com" };
+  const variants = [{ id: "variant-b", name: "B", weight: 50, createdAt: new Date("2026-10-01T00:00:00Z") }];
+
+  // Rows as MySQL returns them, with COUNT as a BigInt
+  const countRows = (counts) =>
+    Object.entries(counts).flatMap(([variantId, { views, signups }]) => [
+      { variantId, eventType: "view", visitors: views },
+      { variantId, eventType: "email_entered", visitors: signups },
+    ]);
+
+  beforeEach(() => {
+    prisma.$queryRaw.mockReset();
+  });
+
+  it("gives each variant Newcombe's interval for its difference from the original", async () => {
+    // Newcombe (1998) worked example: 56/70 against 48/80
+    prisma.$queryRaw.mockResolvedValue(countRows({
+      [CONTROL_VARIANT_ID]: { views: 80n, signups: 48n },
+      "variant-b": { views: 70n, signups: 56n },
+    }));
+
+    const results = await getVariantResults(popupConfig, variants);
+    const [control, variant] = results.arms;
+
+    expect(control).toMatchObject({ id: CONTROL_VARIANT_ID, weight: 50, visitors: 80, conversions: 48, rate: 0.6 });
+    expect(variant).toMatchObject({ id: "variant-b", visitors: 70, conversions: 56, rate: 0.8 });
+    expect(variant.difference.lower).toBeCloseTo(0.0524, 4);
+    expect(variant.difference.upper).toBeCloseTo(0.3339, 4);
+    expect(results.winnerId).toBe("variant-b");
+    expect(results.startedAt).toEqual(variants[0].createdAt);
+  });
+
+  it("names the original the winner when it clearly beats every variant", async () => {
+    prisma.$queryRaw.mockResolvedValue(countRows({
+      [CONTROL_VARIANT_ID]: { views: 70n, signups: 56n },
+      "variant-b": { views: 80n, signups: 48n },
+    }));
+
+    const results = await getVariantResults(popupConfig, variants);
+    expect(results.arms[1].difference.upper).toBeCloseTo(-0.0524, 4);
+    expect(results.winnerId).toBe(CONTROL_VARIANT_ID);
+  });
+
+  it("has no winner while the intervals overlap zero", async () => {
+    prisma.$queryRaw.mockResolvedValue(countRows({
+      [CONTROL_VARIANT_ID]: { views: 20n, signups: 4n },
+      "variant-b": { views: 20n, signups: 6n },
+    }));
+
+    const results = await getVariantResults(popupConfig, variants);
+    expect(results.arms[1].difference.lower).toBeLessThan(0);
+    expect(results.arms[1].difference.upper).toBeGreaterThan(0);
+    expect(results.winnerId).toBeNull();
+  });
+
+  it("caps conversions at visitors and skips the difference for an arm without visitors", async () => {
+    prisma.$queryRaw.mockResolvedValue([
+      { variantId: CONTROL_VARIANT_ID, eventType: "view", visitors: 5n },
+      { variantId: CONTROL_VARIANT_ID, eventType: "email_entered", visitors: 7n },
+    ]);
+
+    const results = await getVariantResults(popupConfig, variants);
+    expect(results.arms[0]).toMatchObject({ visitors: 5, conversions: 5, rate: 1 });
+    expect(results.arms[1]).toMatchObject({ visitors: 0, conversions: 0, difference: null });
+    expect(results.winnerId).toBeNull();
+  });
+});
+
+describe("assignVariant", () => {
+  const variants = [
+    { id: "variant-b", weight: 25 },
+    { id: "variant-c", weight: 25 },
+  ];
+  const visitorIds = Array.from({ length: 4000 }, (_, index) => `visitor-${index}`);
+
+  it("keeps a visitor in the same arm", () => {
+    const first = assignVariant("popup-1", variants, "visitor-42");
+    expect(assignVariant("popup-1", variants, "visitor-42")).toBe(first);
+  });
+
+  it("shows the original without a visitor ID or variants", () => {
+    expect(assignVariant("popup-1", variants, null)).toBeNull();
+    expect(assignVariant("popup-1", [], "visitor-42")).toBeNull();
+  });
+
+  it("splits visitors by variant weight", () => {
+    const counts = { "variant-b": 0, "variant-c": 0, original: 0 };
+    visitorIds.forEach((visitorId) => {
+      counts[assignVariant("popup-1", variants, visitorId)?.id || "original"]++;
+    });
+
+    expect(counts["variant-b"] / visitorIds.length).toBeCloseTo(0.25, 1);
+    expect(counts["variant-c"] / visitorIds.length).toBeCloseTo(0.25, 1);
+    expect(counts.original / visitorIds.length).toBeCloseTo(0.5, 1);
+  });
+
+  it("always picks a variant when they take all the traffic", () => {
+    const fullTraffic = [{ id: "variant-b", weight: 60 }, { id: "variant-c", weight: 40 }];
+    expect(visitorIds.every((visitorId) => assignVariant("popup-1", fullTraffic, visitorId) !== null)).toBe(true);
+  });
+});
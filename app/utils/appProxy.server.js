@@ -0,0 +1,21 @@
+import { authenticate } from "../shopify.server";
+
+/**
+ * App Proxy Utility Functions
+ *
+ * Storefront requests reach the app through the Shopify App Proxy
+ * (/apps/popup/* on the shop's own domain). Shopify signs every proxied
+ * request, so the shop can only be trusted once that signature is verified -
+ * never from a `shop` query parameter or form field on its own.
+ */
+
+/**
+ * Verify an App Proxy request and get the shop it was made for
+ * @param {Request} request - The incoming proxied request
+ * @returns {Promise<string|null>} The shop domain, or null if the app isn't installed on it
+ * @throws {Response} 400/401 response when the signature is missing or invalid
+ */
+export async function getProxyShop(request) {
+  const { session } = await authenticate.public.appProxy(request);
+  return session?.shop || null;
+}
@@ -0,0 +1,134 @@
+import { parseJsonField, serializeJsonField } from "./jsonField";
+
+/**
+ * Utility functions for popup audience rules
+ *
+ * Audience rules target popups at kinds of visitors. They are stored as JSON
+ * on PopupConfig.audienceRules:
+ *   {
+ *     visitor: "any" | "new" | "returning",
+ *     customer: "any" | "logged_in" | "guest",
+ *     orders: "any" | "none" | "ordered",   // logged-in customers' order history
+ *     includeTags: [],                      // customer has any of these tags
+ *     excludeTags: [],                      // customer has none of these tags
+ *     utmSources: [],                       // utm_source matches any of these
+ *     utmCampaigns: [],                     // utm_campaign matches any of these
+ *     queryParams: [{ key, value }],        // landing URL has any of these params
+ *     referrers: []                         // referring site matches any of these
+ *   }
+ * Customer data comes from the Liquid `customer` object on the storefront, so
+ * guests count as having no tags and no orders. Traffic source values are
+ * taken from the page the visitor landed on and kept for the session. Source,
+ * campaign and referrer values accept * wildcards, and a referrer such as
+ * example.com also matches its subdomains. Tags and traffic values are
+ * lowercased here so the storefront can compare them directly.
+ */
+
+export const VISITOR_OPTIONS = [
+  { label: "All visitors", value: "any" },
+  { label: "First-time visitors", value: "new" },
+  { label: "Returning visitors", value: "returning" },
+];
+
+export const CUSTOMER_OPTIONS = [
+  { label: "Everyone", value: "any" },
+  { label: "Logged-in customers", value: "logged_in" },
+  { label: "Guests", value: "guest" },
+];
+
+export const ORDER_HISTORY_OPTIONS = [
+  { label: "Any order history", value: "any" },
+  { label: "Hasn't ordered yet", value: "none" },
+  { label: "Has ordered before", value: "ordered" },
+];
+
+export const DEFAULT_AUDIENCE_RULES = {
+  visitor: "any",
+  customer: "any",
+  orders: "any",
+  includeTags: [],
+  excludeTags: [],
+  utmSources: [],
+  utmCampaigns: [],
+  queryParams: [],
+  referrers: [],
+};
+
+const pickOption = (options, value) =>
+  options.some((option) => option.value === value) ? value : "any";
+
+// Tags and patterns come from the editor as a comma separated string
+const toTagList = (value) => {
+  const list = Array.isArray(value) ? value : String(value || "").split(",");
+  return list
+    .map((tag) => String(tag).trim().toLowerCase())
+    .filter(Boolean);
+};
+
+// Query params come from the editor as "key=value" lines; a bare key only
+// requires the param to be present
+const toQueryParamList = (value) => {
+  const list = Array.isArray(value) ? value : String(value || "").split(/[\n,]/);
+  return list
+    .map((param) => {
+      if (param && typeof param === "object") {
+        return { key: String(param.key || "").trim(), value: String(param.value ?? "").trim() };
+      }
+      const [key, ...rest] = String(param).split("=");
+      return { key: key.trim(), value: rest.join("=").trim() };
+    })
+    .filter((param) => param.key);
+};
+
+/**
+ * Clean up audience rules from the editor or the database
+ * @param {string|Object|null} value - Rules object or its JSON string
+ * @returns {Object} Audience rules with every field normalized
+ */
+export function parseAudienceRules(value) {
+  const rules = parseJsonField(value, "audience rules");
+
+  if (!rules || typeof rules !== "object") {
+    return {
+      ...DEFAULT_AUDIENCE_RULES,
+      includeTags: [],
+      excludeTags: [],
+      utmSources: [],
+      utmCampaigns: [],
+      queryParams: [],
+      referrers: [],
+    };
+  }
+
+  return {
+    visitor: pickOption(VISITOR_OPTIONS, rules.visitor),
+    customer: pickOption(CUSTOMER_OPTIONS, rules.customer),
+    orders: pickOption(ORDER_HISTORY_OPTIONS, rules.orders),
+    includeTags: toTagList(rules.includeTags),
+    excludeTags: toTagList(rules.excludeTags),
+    utmSources: toTagList(rules.utmSources),
+    utmCampaigns: toTagList(rules.utmCampaigns),
+    queryParams: toQueryParamList(rules.queryParams),
+    referrers: toTagList(rules.referrers),
+  };
+}
+
+/**
+ * Serialize audience rules for the database
+ * @param {string|Object|null} value - Rules object or its JSON string
+ * @returns {string|null} JSON string, or null when the popup targets everyone
+ */
+export function serializeAudienceRules(value) {
+  const rules = parseAudienceRules(value);
+  const targetsEveryone =
+    rules.visitor === "any" &&
+    rules.customer === "any" &&
+    rules.orders === "any" &&
+    rules.includeTags.length === 0 &&
+    rules.excludeTags.length === 0 &&
+    rules.utmSources.length === 0 &&
+    rules.utmCampaigns.length === 0 &&
+    rules.queryParams.length === 0 &&
+    rules.referrers.length === 0;
+  return serializeJsonField(rules, !targetsEveryone);
+}
@@ -0,0 +1,96 @@
+import { parseJsonField, serializeJsonField } from "./jsonField";
+
+/**
+ * Utility functions for popup cart rules
+ *
+ * Cart rules target popups at the shopper's cart (read from /cart.js on the
+ * storefront) and can trigger a popup right after an add-to-cart. They are
+ * stored as JSON on PopupConfig.cartRules:
+ *   {
+ *     minSubtotal, maxSubtotal,   // cart subtotal in the store currency
+ *     minItems, maxItems,         // total item quantity
+ *     productHandles,             // any of these products in the cart
+ *     collectionHandles,          // any product from these collections in the cart
+ *     addToCartTrigger            // show right after an item is added
+ *   }
+ * Every rule that is set must match; the subtotal must stay below maxSubtotal.
+ * Collections are read from their public products.json, which only lists the
+ * first 250 products.
+ */
+
+export const DEFAULT_CART_RULES = {
+  minSubtotal: null,
+  maxSubtotal: null,
+  minItems: null,
+  maxItems: null,
+  productHandles: [],
+  collectionHandles: [],
+  addToCartTrigger: false,
+};
+
+const toNumberOrNull = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : null;
+};
+
+// Handles come from the editor as a comma/newline separated string
+const toHandleList = (value) => {
+  const list = Array.isArray(value) ? value : String(value || "").split(/[,\n]/);
+  return list
+    .map((handle) => String(handle).trim().toLowerCase())
+    .filter(Boolean);
+};
+
+/**
+ * Clean up cart rules from the editor or the database
+ * @param {string|Object|null} value - Rules object or its JSON string
+ * @returns {Object} Cart rules with every field normalized
+ */
+export function parseCartRules(value) {
+  const rules = parseJsonField(value, "cart rules");
+
+  if (!rules || typeof rules !== "object") {
+    return { ...DEFAULT_CART_RULES, productHandles: [], collectionHandles: [] };
+  }
+
+  const minItems = toNumberOrNull(rules.minItems);
+  const maxItems = toNumberOrNull(rules.maxItems);
+
+  return {
+    minSubtotal: toNumberOrNull(rules.minSubtotal),
+    maxSubtotal: toNumberOrNull(rules.maxSubtotal),
+    minItems: minItems === null ? null : Math.floor(minItems),
+    maxItems: maxItems === null ? null : Math.floor(maxItems),
+    productHandles: toHandleList(rules.productHandles),
+    collectionHandles: toHandleList(rules.collectionHandles),
+    addToCartTrigger: rules.addToCartTrigger === true,
+  };
+}
+
+/**
+ * Whether any cart rule is set
+ * @param {Object} rules - Parsed cart rules
+ * @returns {boolean}
+ */
+export function hasCartRules(rules) {
+  return (
+    rules.minSubtotal !== null ||
+    rules.maxSubtotal !== null ||
+    rules.minItems !== null ||
+    rules.maxItems !== null ||
+    rules.productHandles.length > 0 ||
+    rules.collectionHandles.length > 0 ||
+    rules.addToCartTrigger
+  );
+}
+
+/**
+ * Serialize cart rules for the database
+ * @param {string|Object|null} value - Rules object or its JSON string
+ * @returns {string|null} JSON string, or null when no rule is set
+ */
+export function serializeCartRules(value) {
+  const rules = parseCartRules(value);
+  return serializeJsonField(rules, hasCartRules(rules));
+}
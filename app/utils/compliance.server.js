@@ -0,0 +1,342 @@
+import { randomUUID } from "crypto";
+import prisma from "../db.server";
+import { normalizeEmail } from "./subscribers.server";
+
+/**
+ * Compliance Utility Functions
+ *
+ * Handles Shopify's mandatory privacy webhooks:
+ * - customers/data_request: collect everything stored about a shopper
+ * - customers/redact: erase a shopper's personal data
+ * - shop/redact: erase all of a shop's data, 48 hours after uninstall
+ *
+ * Every request leaves a ComplianceAudit row recording what was found or
+ * removed. Audit rows hold counts and the Shopify customer ID, never the
+ * email that was erased. Rate limit buckets aren't touched: their keys are
+ * one-way hashes and they expire within the hour.
+ */
+
+const customerGid = (customerId) => (customerId ? `gid://shopify/Customer/${customerId}` : null);
+
+/**
+ * Check whether a webhook delivery was already handled, so retries don't
+ * repeat the work or the audit row
+ * @param {string|null} webhookId - X-Shopify-Webhook-Id of the delivery
+ * @returns {Promise<boolean>}
+ */
+async function isAlreadyProcessed(webhookId) {
+  if (!webhookId) return false;
+
+  const audit = await prisma.complianceAudit.findUnique({
+    where: { webhookId },
+    select: { id: true }
+  });
+  return Boolean(audit);
+}
+
+async function recordAudit({ shop, topic, webhookId, customerId = null, status = "completed", summary, exportData = null }) {
+  return prisma.complianceAudit.create({
+    data: {
+      shop,
+      topic,
+      webhookId: webhookId || null,
+      shopifyCustomerId: customerGid(customerId),
+      status,
+      summary: JSON.stringify(summary),
+      exportData: exportData ? JSON.stringify(exportData) : null
+    }
+  });
+}
+
+/**
+ * All emails stored for a Shopify customer: the one in the webhook, plus any
+ * a synced subscriber was matched to
+ * @param {string} shop - The shop domain
+ * @param {Object} customer - Webhook payload customer ({ id, email })
+ * @returns {Promise<string[]>} Normalized emails
+ */
+async function findCustomerEmails(shop, customer) {
+  const emails = new Set();
+  const payloadEmail = normalizeEmail(customer?.email);
+  if (payloadEmail) emails.add(payloadEmail);
+
+  const gid = customerGid(customer?.id);
+  if (gid) {
+    const synced = await prisma.subscriber.findMany({
+      where: { shop, shopifyCustomerId: gid },
+      select: { email: true }
+    });
+    synced.forEach((subscriber) => emails.add(subscriber.email));
+  }
+
+  return [...emails];
+}
+
+/**
+ * Collect everything stored about a shopper for a customers/data_request.
+ * The export is kept on the audit row so the merchant can download it from
+ * the analytics page and pass it on.
+ * @param {string} shop - The shop domain
+ * @param {Object} customer - Webhook payload customer ({ id, email })
+ * @param {Object} [options]
+ * @param {string} [options.webhookId] - Webhook delivery ID
+ * @param {string|number} [options.requestId] - Shopify's data request ID
+ * @returns {Promise<Object>} { success, summary }
+ */
+export async function exportCustomerData(shop, customer, { webhookId, requestId } = {}) {
+  if (await isAlreadyProcessed(webhookId)) {
+    return { success: true, duplicate: true };
+  }
+
+  const emails = await findCustomerEmails(shop, customer);
+  const gid = customerGid(customer?.id);
+
+  const [subscribers, discountCodes, events, wheelSpins] = emails.length === 0 && !gid
+    ? [[], [], [], []]
+    : await Promise.all([
+      prisma.subscriber.findMany({
+        where: {
+          shop,
+          OR: [{ email: { in: emails } }, ...(gid ? [{ shopifyCustomerId: gid }] : [])]
+        },
+        select: {
+          email: true,
+          firstSeenAt: true,
+          lastSeenAt: true,
+          consentStatus: true,
+          consentedAt: true,
+          consentText: true,
+          confirmedAt: true,
+          tags: true,
+          customFields: true,
+          shopifyCustomerId: true
+        }
+      }),
+      prisma.discountCode.findMany({
+        where: { shop, email: { in: emails } },
+        select: { email: true, code: true, discountType: true, discountValue: true, usageCount: true, createdAt: true, endsAt: true },
+        orderBy: { createdAt: "asc" }
+      }),
+      prisma.popupAnalytics.findMany({
+        where: { shop, email: { in: emails } },
+        select: { popupId: true, eventType: true, email: true, discountCode: true, prizeLabel: true, userAgent: true, timestamp: true },
+        orderBy: { timestamp: "asc" }
+      }),
+      prisma.wheelSpin.findMany({
+        where: { shop, email: { in: emails } },
+        select: { popupId: true, email: true, prizeLabel: true, createdAt: true },
+        orderBy: { createdAt: "asc" }
+      })
+    ]);
+
+  const summary = {
+    requestId: requestId ? String(requestId) : null,
+    emailsMatched: emails.length,
+    subscribers: subscribers.length,
+    discountCodes: discountCodes.length,
+    analyticsEvents: events.length,
+    wheelSpins: wheelSpins.length
+  };
+
+  await recordAudit({
+    shop,
+    topic: "customers/data_request",
+    webhookId,
+    customerId: customer?.id,
+    summary,
+    exportData: { subscribers, discountCodes, events, wheelSpins }
+  });
+
+  return { success: true, summary };
+}
+
+/**
+ * A shop's customer data requests, newest first
+ * @param {string} shop - The shop domain
+ * @param {number} [limit] - Most requests to return
+ * @returns {Promise<Array<Object>>} { id, createdAt, shopifyCustomerId, requestId, summary, hasExport }
+ */
+export async function listDataRequests(shop, limit = 20) {
+  const audits = await prisma.complianceAudit.findMany({
+    where: { shop, topic: "customers/data_request" },
+    orderBy: { createdAt: "desc" },
+    take: limit,
+    select: { id: true, createdAt: true, shopifyCustomerId: true, summary: true, exportData: true }
+  });
+
+  return audits.map((audit) => {
+    let summary = {};
+    try {
+      summary = JSON.parse(audit.summary || "{}");
+    } catch (error) {
+      console.warn("Invalid compliance audit summary:", error);
+    }
+    return {
+      id: audit.id,
+      createdAt: audit.createdAt,
+      shopifyCustomerId: audit.shopifyCustomerId,
+      requestId: summary.requestId || null,
+      summary,
+      // Cleared once the customer or the shop is redacted
+      hasExport: audit.exportData !== null
+    };
+  });
+}
+
+/**
+ * The data collected for one customer data request
+ * @param {string} shop - The shop domain
+ * @param {string} auditId - The ComplianceAudit ID
+ * @returns {Promise<Object|null>} { audit, data }, or null if there is no export
+ */
+export async function getDataRequestExport(shop, auditId) {
+  const audit = await prisma.complianceAudit.findFirst({
+    where: { id: auditId, shop, topic: "customers/data_request", exportData: { not: null } }
+  });
+  if (!audit) {
+    return null;
+  }
+
+  return {
+    audit: { id: audit.id, createdAt: audit.createdAt, shopifyCustomerId: audit.shopifyCustomerId },
+    data: JSON.parse(audit.exportData)
+  };
+}
+
+/**
+ * Erase a shopper's personal data for a customers/redact. Subscriber, wheel
+ * spin and discount code rows are deleted; analytics events are kept for the
+ * popup stats but lose their email, user agent and IP hash, and their session
+ * is replaced with a random one so it can't be linked back. Earlier data request
+ * exports for the shopper are cleared too.
+ * @param {string} shop - The shop domain
+ * @param {Object} customer - Webhook payload customer ({ id, email })
+ * @param {Object} [options]
+ * @param {string} [options.webhookId] - Webhook delivery ID
+ * @returns {Promise<Object>} { success, summary }
+ */
+export async function redactCustomer(shop, customer, { webhookId } = {}) {
+  if (await isAlreadyProcessed(webhookId)) {
+    return { success: true, duplicate: true };
+  }
+
+  const emails = await findCustomerEmails(shop, customer);
+  const gid = customerGid(customer?.id);
+
+  // Sessions the shopper identified themselves in - their anonymous events
+  // (views, closes) carry the same user agent and IP hash
+  const sessions = emails.length === 0 ? [] : await prisma.popupAnalytics.findMany({
+    where: { shop, email: { in: emails }, sessionId: { not: null } },
+    select: { sessionId: true },
+    distinct: ["sessionId"]
+  });
+  const sessionIds = sessions.map((event) => event.sessionId);
+
+  const summary = await prisma.$transaction(async (tx) => {
+    let analyticsAnonymized = 0;
+    for (const sessionId of sessionIds) {
+      const { count } = await tx.popupAnalytics.updateMany({
+        where: { shop, sessionId },
+        data: { email: null, userAgent: null, ipAddress: null, sessionId: `redacted-${randomUUID()}` }
+      });
+      analyticsAnonymized += count;
+    }
+
+    if (emails.length > 0) {
+      const { count } = await tx.popupAnalytics.updateMany({
+        where: { shop, email: { in: emails } },
+        data: { email: null, userAgent: null, ipAddress: null }
+      });
+      analyticsAnonymized += count;
+    }
+
+    const discountCodes = emails.length === 0 ? { count: 0 } : await tx.discountCode.deleteMany({
+      where: { shop, email: { in: emails } }
+    });
+    const subscribers = await tx.subscriber.deleteMany({
+      where: {
+        shop,
+        OR: [{ email: { in: emails } }, ...(gid ? [{ shopifyCustomerId: gid }] : [])]
+      }
+    });
+    if (emails.length > 0) {
+      await tx.optInConfirmation.deleteMany({ where: { shop, email: { in: emails } } });
+      await tx.wheelSpin.deleteMany({ where: { shop, email: { in: emails } } });
+    }
+
+    // Exports are matched by customer ID, or by the emails inside them
+    const exportMatches = [
+      ...(gid ? [{ shopifyCustomerId: gid }] : []),
+      ...emails.map((email) => ({ exportData: { contains: JSON.stringify({ email }).slice(1, -1) } }))
+    ];
+    const exports = exportMatches.length === 0 ? { count: 0 } : await tx.complianceAudit.updateMany({
+      where: { shop, topic: "customers/data_request", exportData: { not: null }, OR: exportMatches },
+      data: { exportData: null }
+    });
+
+    return {
+      emailsMatched: emails.length,
+      analyticsAnonymized,
+      discountCodesDeleted: discountCodes.count,
+      subscribersDeleted: subscribers.count,
+      exportsCleared: exports.count
+    };
+  });
+
+  await recordAudit({
+    shop,
+    topic: "customers/redact",
+    webhookId,
+    customerId: customer?.id,
+    summary
+  });
+
+  return { success: true, summary };
+}
+
+/**
+ * Erase everything stored for a shop, for a shop/redact or once an
+ * uninstalled shop's grace period is over. The audit trail is kept, minus
+ * any data request exports in it.
+ * @param {string} shop - The shop domain
+ * @param {Object} [options]
+ * @param {string} [options.webhookId] - Webhook delivery ID
+ * @param {string} [options.topic] - What triggered the erasure, for the audit
+ * @returns {Promise<Object>} { success, summary }
+ */
+export async function redactShop(shop, { webhookId, topic = "shop/redact" } = {}) {
+  if (await isAlreadyProcessed(webhookId)) {
+    return { success: true, duplicate: true };
+  }
+
+  const results = await prisma.$transaction([
+    prisma.popupAnalytics.deleteMany({ where: { shop } }),
+    prisma.discountCode.deleteMany({ where: { shop } }),
+    prisma.subscriber.deleteMany({ where: { shop } }),
+    prisma.popupVariant.deleteMany({ where: { shop } }),
+    prisma.popupConfig.deleteMany({ where: { shop } }),
+    prisma.shopSettings.deleteMany({ where: { shop } }),
+    prisma.session.deleteMany({ where: { shop } }),
+    prisma.optInConfirmation.deleteMany({ where: { shop } }),
+    prisma.wheelSpin.deleteMany({ where: { shop } }),
+    prisma.complianceAudit.updateMany({
+      where: { shop, exportData: { not: null } },
+      data: { exportData: null }
+    })
+  ]);
+
+  const [analytics, discountCodes, subscribers, variants, popups, settings, sessions] = results;
+  const summary = {
+    analyticsDeleted: analytics.count,
+    discountCodesDeleted: discountCodes.count,
+    subscribersDeleted: subscribers.count,
+    variantsDeleted: variants.count,
+    popupsDeleted: popups.count,
+    settingsDeleted: settings.count,
+    sessionsDeleted: sessions.count
+  };
+
+  await recordAudit({ shop, topic, webhookId, summary });
+
+  return { success: true, summary };
+}
@@ -0,0 +1,323 @@
+import prisma from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import { getShopSettings } from "./shopSettings.server";
+
+/**
+ * Customer Sync Utility Functions
+ *
+ * Copies subscribers into the shop's Shopify customers: an existing customer
+ * with the same email is tagged, anyone else is created as a new customer.
+ * Email marketing consent is only sent when the subscriber's consent was
+ * recorded (a ticked consent box or a confirmed double opt-in), with the
+ * time it was given. Subscriber.syncStatus tracks each subscriber:
+ * - pending: waiting for its first sync or a retry (at nextSyncAt)
+ * - synced: the customer exists in Shopify (shopifyCustomerId)
+ * - failed: gave up after MAX_SYNC_ATTEMPTS, or Shopify rejected the customer
+ * - skipped: the subscriber hasn't given marketing consent
+ *
+ * There is no job queue, so syncs run in the background after a signup and
+ * whenever the subscriber list is opened, each pass picking up whatever is due.
+ */
+
+// Minutes to wait before each retry
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 720];
+export const MAX_SYNC_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+
+// Subscribers synced per pass, to keep each pass well inside the API rate limit
+const SYNC_BATCH_SIZE = 25;
+
+// Shops with a pass running in this process
+const runningShops = new Set();
+
+const CUSTOMER_FIND = `#graphql
+  query findCustomerByEmail($query: String!) {
+    customers(first: 1, query: $query) {
+      nodes {
+        id
+        emailMarketingConsent {
+          marketingState
+        }
+      }
+    }
+  }
+`;
+
+const CUSTOMER_CREATE = `#graphql
+  mutation customerCreate($input: CustomerInput!) {
+    customerCreate(input: $input) {
+      customer {
+        id
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const CUSTOMER_CONSENT_UPDATE = `#graphql
+  mutation customerEmailMarketingConsentUpdate($input: CustomerEmailMarketingConsentUpdateInput!) {
+    customerEmailMarketingConsentUpdate(input: $input) {
+      customer {
+        id
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const TAGS_ADD = `#graphql
+  mutation tagsAdd($id: ID!, $tags: [String!]!) {
+    tagsAdd(id: $id, tags: $tags) {
+      node {
+        id
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+// Short popup type names for customer tags
+const POPUP_TAG_TYPES = {
+  "wheel-email": "wheel",
+  "scratch-card": "scratch",
+  email: "email",
+  timer: "timer",
+  community: "community",
+};
+
+/**
+ * The customer tag for a subscriber
+ * @param {string} template - ShopSettings.customerTag, may contain {type}
+ * @param {string|null} popupType - Type of the popup they signed up through
+ * @returns {string} Tag, or "" when the template is empty
+ */
+export function buildCustomerTag(template, popupType) {
+  return String(template || "")
+    .replace(/\{type\}/g, POPUP_TAG_TYPES[popupType] || "popup")
+    .replace(/,/g, "")
+    .trim()
+    .slice(0, 255);
+}
+
+// Errors Shopify returned for the request itself (not for the customer)
+class RetryableSyncError extends Error {}
+
+async function runGraphql(admin, query, variables) {
+  let responseJson;
+  try {
+    const response = await admin.graphql(query, { variables });
+    responseJson = await response.json();
+  } catch (error) {
+    throw new RetryableSyncError(error.message || "Shopify API request failed");
+  }
+
+  if (responseJson.errors) {
+    const message = Array.isArray(responseJson.errors)
+      ? responseJson.errors.map((error) => error.message).join("; ")
+      : String(responseJson.errors.message || responseJson.errors);
+    throw new RetryableSyncError(message);
+  }
+  return responseJson.data;
+}
+
+// Throw the first userError - these are about the customer, so retrying won't help
+function checkUserErrors(result) {
+  const userErrors = result?.userErrors || [];
+  if (userErrors.length > 0) {
+    throw new Error(userErrors.map((error) => error.message).join("; "));
+  }
+}
+
+/**
+ * The email marketing consent to send to Shopify for a subscriber
+ * @param {Object} subscriber - The Subscriber record
+ * @returns {Object|null} CustomerEmailMarketingConsentInput, or null when no consent was recorded
+ */
+function getEmailMarketingConsent(subscriber) {
+  if (subscriber.consentStatus !== "subscribed") {
+    return null;
+  }
+  if (subscriber.confirmedAt) {
+    return {
+      marketingState: "SUBSCRIBED",
+      marketingOptInLevel: "CONFIRMED_OPT_IN",
+      consentUpdatedAt: new Date(subscriber.confirmedAt).toISOString(),
+    };
+  }
+  if (subscriber.consentedAt) {
+    return {
+      marketingState: "SUBSCRIBED",
+      marketingOptInLevel: "SINGLE_OPT_IN",
+      consentUpdatedAt: new Date(subscriber.consentedAt).toISOString(),
+    };
+  }
+  // Signed up through a popup that doesn't ask for consent - nothing to show Shopify
+  return null;
+}
+
+/**
+ * Create or update the Shopify customer for one subscriber
+ * @param {Object} admin - Admin API client
+ * @param {Object} subscriber - The Subscriber record
+ * @param {string} tag - Customer tag to add (may be empty)
+ * @returns {Promise<string>} The customer GID
+ */
+async function upsertShopifyCustomer(admin, subscriber, tag) {
+  const emailMarketingConsent = getEmailMarketingConsent(subscriber);
+  const tags = tag ? [tag] : [];
+
+  const escapedEmail = subscriber.email.replace(/["\\]/g, "\\$&");
+  const found = await runGraphql(admin, CUSTOMER_FIND, { query: `email:"${escapedEmail}"` });
+  const customer = found?.customers?.nodes?.[0];
+
+  if (!customer) {
+    const created = await runGraphql(admin, CUSTOMER_CREATE, {
+      input: { email: subscriber.email, tags, ...(emailMarketingConsent && { emailMarketingConsent }) }
+    });
+    checkUserErrors(created?.customerCreate);
+    return created.customerCreate.customer.id;
+  }
+
+  // Don't touch consent the customer already gave
+  if (emailMarketingConsent && customer.emailMarketingConsent?.marketingState !== "SUBSCRIBED") {
+    const updated = await runGraphql(admin, CUSTOMER_CONSENT_UPDATE, {
+      input: { customerId: customer.id, emailMarketingConsent }
+    });
+    checkUserErrors(updated?.customerEmailMarketingConsentUpdate);
+  }
+
+  if (tags.length > 0) {
+    const tagged = await runGraphql(admin, TAGS_ADD, { id: customer.id, tags });
+    checkUserErrors(tagged?.tagsAdd);
+  }
+
+  return customer.id;
+}
+
+/**
+ * Queue a subscriber to be synced on the next pass
+ * @param {string} subscriberId - The Subscriber ID
+ * @returns {Promise<Object>} The updated subscriber
+ */
+export async function queueSubscriberSync(subscriberId) {
+  return prisma.subscriber.update({
+    where: { id: subscriberId },
+    data: {
+      syncStatus: "pending",
+      syncAttempts: 0,
+      syncError: null,
+      nextSyncAt: new Date()
+    }
+  });
+}
+
+/**
+ * Sync a shop's subscribers that are due
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Object>} { synced, failed, skipped } counts for this pass
+ */
+export async function processSubscriberSyncs(shop) {
+  const counts = { synced: 0, failed: 0, skipped: 0 };
+
+  const settings = await getShopSettings(shop);
+  if (!settings.customerSyncEnabled || runningShops.has(shop)) {
+    return counts;
+  }
+
+  runningShops.add(shop);
+  try {
+    const now = new Date();
+    const subscribers = await prisma.subscriber.findMany({
+      where: {
+        shop,
+        syncStatus: "pending",
+        OR: [{ nextSyncAt: null }, { nextSyncAt: { lte: now } }]
+      },
+      orderBy: { createdAt: "asc" },
+      take: SYNC_BATCH_SIZE
+    });
+    if (subscribers.length === 0) {
+      return counts;
+    }
+
+    let admin;
+    try {
+      ({ admin } = await unauthenticated.admin(shop));
+    } catch (sessionError) {
+      console.error("No valid session found for customer sync:", shop, sessionError);
+      return counts;
+    }
+
+    const popupIds = [...new Set(subscribers.map((subscriber) => subscriber.sourcePopupId).filter(Boolean))];
+    const popups = await prisma.popupConfig.findMany({
+      where: { shop, id: { in: popupIds } },
+      select: { id: true, type: true }
+    });
+    const popupTypes = new Map(popups.map((popup) => [popup.id, popup.type]));
+
+    for (const subscriber of subscribers) {
+      if (subscriber.consentStatus !== "subscribed") {
+        await prisma.subscriber.update({
+          where: { id: subscriber.id },
+          data: { syncStatus: "skipped", nextSyncAt: null }
+        });
+        counts.skipped++;
+        continue;
+      }
+
+      const tag = buildCustomerTag(settings.customerTag, popupTypes.get(subscriber.sourcePopupId));
+      try {
+        const customerId = await upsertShopifyCustomer(admin, subscriber, tag);
+        await prisma.subscriber.update({
+          where: { id: subscriber.id },
+          data: {
+            shopifyCustomerId: customerId,
+            syncStatus: "synced",
+            syncAttempts: subscriber.syncAttempts + 1,
+            syncError: null,
+            nextSyncAt: null,
+            syncedAt: new Date()
+          }
+        });
+        counts.synced++;
+      } catch (error) {
+        const attempts = subscriber.syncAttempts + 1;
+        const retry = error instanceof RetryableSyncError && attempts < MAX_SYNC_ATTEMPTS;
+        console.error(`Customer sync failed for subscriber ${subscriber.id} (attempt ${attempts}):`, error.message);
+
+        await prisma.subscriber.update({
+          where: { id: subscriber.id },
+          data: {
+            syncStatus: retry ? "pending" : "failed",
+            syncAttempts: attempts,
+            syncError: error.message.slice(0, 1000),
+            nextSyncAt: retry ? new Date(Date.now() + RETRY_DELAYS_MINUTES[attempts - 1] * 60 * 1000) : null
+          }
+        });
+        if (!retry) counts.failed++;
+      }
+    }
+
+    return counts;
+  } finally {
+    runningShops.delete(shop);
+  }
+}
+
+/**
+ * Start a sync pass without waiting for it, for use in request handlers
+ * @param {string} shop - The shop domain
+ */
+export function scheduleSubscriberSyncs(shop) {
+  processSubscriberSyncs(shop).catch((error) => {
+    console.error("Error syncing subscribers to Shopify customers:", error);
+  });
+}
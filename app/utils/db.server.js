@@ -8,8 +8,14 @@ import db from "../db.server.js";
  * for different shops.
  */
 
+// Highest priority first; the newest popup wins a tie
+const POPUP_PRIORITY_ORDER = [
+  { priority: 'desc' },
+  { createdAt: 'desc' }
+];
+
 /**
- * Get popup configuration for a specific shop
+ * Get the highest-priority active popup configuration for a specific shop
  * @param {string} shop - The shop domain (e.g., "example.myshopify.com")
  * @returns {Promise<Object|null>} The popup configuration or null if not found
  */
@@ -19,7 +25,8 @@ export async function getPopupConfig(shop) {
       where: {
         shop: shop,
         isActive: true
-      }
+      },
+      orderBy: POPUP_PRIORITY_ORDER
     });
     
     return popupConfig;
@@ -29,6 +36,28 @@ export async function getPopupConfig(shop) {
   }
 }
 
+/**
+ * Get every active popup configuration for a specific shop
+ * @param {string} shop - The shop domain (e.g., "example.myshopify.com")
+ * @returns {Promise<Array>} Active popups, highest priority first
+ */
+export async function getActivePopupConfigs(shop) {
+  try {
+    const configs = await db.popupConfig.findMany({
+      where: {
+        shop: shop,
+        isActive: true
+      },
+      orderBy: POPUP_PRIORITY_ORDER
+    });
+    
+    return configs;
+  } catch (error) {
+    console.error("Error fetching active popup configs:", error);
+    throw new Error("Failed to fetch popup configurations");
+  }
+}
+
 /**
  * Save popup configuration for a specific shop
  * @param {string} shop - The shop domain (e.g., "example.myshopify.com")
@@ -0,0 +1,99 @@
+import { parseJsonField, serializeJsonField } from "./jsonField";
+
+/**
+ * Utility functions for popup device targeting
+ *
+ * PopupConfig.targetDevices is a JSON array of the devices a popup shows on
+ * (null means every device). The storefront picks the device from the
+ * viewport width, using the same breakpoints as DEVICE_BREAKPOINTS below.
+ *
+ * PopupConfig.mobileOverrides is a JSON object of fields that replace the
+ * popup's own values on phones, e.g. shorter copy or a bottom-sheet layout.
+ * The device is read once when popups are picked, so resizing the window
+ * afterwards doesn't switch layouts. Tablets get the desktop content.
+ */
+
+export const DEVICE_OPTIONS = [
+  { label: "Desktop", value: "desktop", helpText: "Screens 1024px and wider" },
+  { label: "Tablet", value: "tablet", helpText: "Screens 768px to 1023px wide" },
+  { label: "Mobile", value: "mobile", helpText: "Screens narrower than 768px" },
+];
+
+export const DEVICE_BREAKPOINTS = { tablet: 768, desktop: 1024 };
+
+const ALL_DEVICES = DEVICE_OPTIONS.map((option) => option.value);
+
+// Fields a popup can override on mobile
+export const MOBILE_OVERRIDE_FIELDS = ["title", "description", "buttonText", "placeholder", "displayDelay", "position"];
+
+export const MOBILE_POSITION_OPTIONS = [
+  { label: "Centered", value: "center" },
+  { label: "Bottom sheet", value: "bottom" },
+];
+
+/**
+ * Clean up the device list from the editor or the database
+ * @param {string|Array|null} value - Device array or its JSON string
+ * @returns {Array<string>} Devices the popup shows on
+ */
+export function parseTargetDevices(value) {
+  const devices = parseJsonField(value, "target devices");
+  if (!Array.isArray(devices)) return [...ALL_DEVICES];
+  return ALL_DEVICES.filter((device) => devices.includes(device));
+}
+
+/**
+ * Serialize the device list for the database
+ * @param {string|Array|null} value - Device array or its JSON string
+ * @returns {string|null} JSON string, or null when every device is targeted
+ */
+export function serializeTargetDevices(value) {
+  const devices = parseTargetDevices(value);
+  return serializeJsonField(devices, devices.length < ALL_DEVICES.length);
+}
+
+/**
+ * Clean up mobile overrides from the editor or the database
+ * @param {string|Object|null} value - Overrides object or its JSON string
+ * @returns {Object} Only the overridable fields that have a value
+ */
+export function parseMobileOverrides(value) {
+  const overrides = parseJsonField(value, "mobile overrides");
+  if (!overrides || typeof overrides !== "object") return {};
+
+  return MOBILE_OVERRIDE_FIELDS.reduce((result, field) => {
+    const fieldValue = overrides[field];
+    if (fieldValue === undefined || fieldValue === null || fieldValue === "") return result;
+
+    if (field === "displayDelay") {
+      const delay = parseInt(fieldValue, 10);
+      if (!Number.isNaN(delay) && delay >= 0) result.displayDelay = delay;
+    } else if (field === "position") {
+      if (MOBILE_POSITION_OPTIONS.some((option) => option.value === fieldValue)) {
+        result.position = fieldValue;
+      }
+    } else {
+      result[field] = String(fieldValue);
+    }
+    return result;
+  }, {});
+}
+
+/**
+ * Serialize mobile overrides for the database
+ * @param {string|Object|null} value - Overrides object or its JSON string
+ * @returns {string|null} JSON string, or null when nothing is overridden
+ */
+export function serializeMobileOverrides(value) {
+  const overrides = parseMobileOverrides(value);
+  return serializeJsonField(overrides, Object.keys(overrides).length > 0);
+}
+
+/**
+ * The popup as it appears on mobile (used by the customizer preview)
+ * @param {Object} config - Popup configuration with a mobileOverrides field
+ * @returns {Object} Configuration with the mobile overrides applied
+ */
+export function applyMobileOverrides(config) {
+  return { ...config, ...parseMobileOverrides(config.mobileOverrides) };
+}
@@ -0,0 +1,462 @@
+import { randomInt } from "node:crypto";
+import prisma from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import { recordSubscriberDiscount } from "./subscribers.server";
+import { getRecordedSpin, getSegmentOffer } from "./wheel.server";
+
+/**
+ * Discount Utility Functions
+ *
+ * Every shopper gets their own single-use code. The offer a popup awards is
+ * always worked out on the server from the saved popup configuration (or the
+ * recorded wheel spin), never taken from the storefront request.
+ *
+ * Creation functions return a result object rather than throwing:
+ * { success: true, ... } or { success: false, status, error, userErrors }
+ * so routes can pass the status and Shopify's userErrors straight through.
+ */
+
+export const DISCOUNT_TYPES = ["percentage", "fixed_amount", "shipping"];
+
+// Codes are valid for 30 days from issue
+const DISCOUNT_LIFETIME_MS = 30 * 24 * 60 * 60 * 1000;
+
+const DISCOUNT_CODE_BASIC_CREATE = `#graphql
+  mutation discountCodeBasicCreate($basicCodeDiscount: DiscountCodeBasicInput!) {
+    discountCodeBasicCreate(basicCodeDiscount: $basicCodeDiscount) {
+      codeDiscountNode {
+        id
+      }
+      userErrors {
+        field
+        code
+        message
+      }
+    }
+  }
+`;
+
+const DISCOUNT_CODE_DELETE = `#graphql
+  mutation discountCodeDelete($id: ID!) {
+    discountCodeDelete(id: $id) {
+      deletedCodeDiscountId
+      userErrors {
+        field
+        code
+        message
+      }
+    }
+  }
+`;
+
+const DISCOUNT_CODE_FREE_SHIPPING_CREATE = `#graphql
+  mutation discountCodeFreeShippingCreate($freeShippingCodeDiscount: DiscountCodeFreeShippingInput!) {
+    discountCodeFreeShippingCreate(freeShippingCodeDiscount: $freeShippingCodeDiscount) {
+      codeDiscountNode {
+        id
+      }
+      userErrors {
+        field
+        code
+        message
+      }
+    }
+  }
+`;
+
+/**
+ * Normalize a discount type/value pair
+ * @param {string} discountType - percentage, fixed_amount or shipping
+ * @param {string|number} discountValue - The discount amount
+ * @returns {Object|null} { discountType, discountValue } or null if invalid
+ */
+export function normalizeOffer(discountType, discountValue) {
+  if (discountType === "shipping") {
+    return { discountType: "shipping", discountValue: "100" };
+  }
+
+  if (!DISCOUNT_TYPES.includes(discountType)) {
+    return null;
+  }
+
+  const value = parseFloat(discountValue);
+  if (!Number.isFinite(value) || value <= 0) {
+    return null;
+  }
+
+  return {
+    discountType,
+    discountValue: String(discountType === "percentage" ? Math.min(value, 100) : value)
+  };
+}
+
+/**
+ * Work out the discount a popup awards to a shopper
+ * @param {Object} popupConfig - The popup configuration
+ * @param {string} email - The shopper's email
+ * @returns {Promise<Object|null>} { discountType, discountValue, minimumSubtotal, prizeLabel } or null if nothing is owed
+ */
+export async function resolvePopupOffer(popupConfig, email) {
+  const offer = await resolveBaseOffer(popupConfig, email);
+  if (!offer) {
+    return null;
+  }
+
+  // The merchant's minimum order subtotal applies to every prize the popup awards
+  const minimumSubtotal = parseFloat(popupConfig.discountMinimumSubtotal);
+  return {
+    ...offer,
+    minimumSubtotal: Number.isFinite(minimumSubtotal) && minimumSubtotal > 0 ? String(minimumSubtotal) : null
+  };
+}
+
+async function resolveBaseOffer(popupConfig, email) {
+  switch (popupConfig.type) {
+    case "wheel-email": {
+      // Only shoppers whose recorded spin landed on a prize can claim
+      const spin = await getRecordedSpin(popupConfig, email);
+      const offer = getSegmentOffer(spin?.segment);
+      return offer ? { ...offer, prizeLabel: spin.segment.label } : null;
+    }
+    case "scratch-card": {
+      const offer = normalizeOffer("percentage", popupConfig.scratchDiscountPercentage ?? 15);
+      return offer ? { ...offer, prizeLabel: `${offer.discountValue}% OFF` } : null;
+    }
+    case "email":
+    case "timer": {
+      const offer = normalizeOffer(popupConfig.discountType, popupConfig.discountValue);
+      return offer ? { ...offer, prizeLabel: describeOffer(offer) } : null;
+    }
+    default:
+      // Community popups don't award discounts
+      return null;
+  }
+}
+
+/**
+ * Human readable label for an offer, e.g. "10% OFF" or "FREE SHIPPING"
+ * @param {Object} offer - { discountType, discountValue }
+ * @returns {string}
+ */
+export function describeOffer(offer) {
+  if (offer.discountType === "shipping") {
+    return "FREE SHIPPING";
+  }
+  if (offer.discountType === "fixed_amount") {
+    return `${offer.discountValue} OFF`;
+  }
+  return `${offer.discountValue}% OFF`;
+}
+
+/**
+ * Find the code already issued to a shopper by a popup, including one the
+ * merchant has since deactivated
+ * @param {string} shop - The shop domain
+ * @param {string} popupId - The popup ID
+ * @param {string} email - The shopper's email
+ * @returns {Promise<Object|null>} The DiscountCode record or null
+ */
+export async function findIssuedDiscountCode(shop, popupId, email) {
+  return prisma.discountCode.findFirst({
+    where: {
+      shop,
+      popupId,
+      email: email.trim().toLowerCase()
+    },
+    orderBy: {
+      createdAt: "desc"
+    }
+  });
+}
+
+/**
+ * Turn the merchant's code prefix into something safe for a discount code
+ * @param {string|null} prefix - The prefix saved on the popup
+ * @returns {string} Uppercase prefix without spaces or symbols (may be empty)
+ */
+export function sanitizeCodePrefix(prefix) {
+  return String(prefix || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "")
+    .slice(0, 12);
+}
+
+// Generate a 6-character random code, optionally after the popup's prefix
+function generateDiscountCode(prefix) {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+  let result = '';
+  for (let i = 0; i < 6; i++) {
+    result += chars.charAt(randomInt(chars.length));
+  }
+  return prefix ? `${prefix}-${result}` : result;
+}
+
+// Minimum order requirement, or null when the discount applies to any order
+function buildMinimumRequirement(minimumSubtotal) {
+  const subtotal = parseFloat(minimumSubtotal);
+  if (!Number.isFinite(subtotal) || subtotal <= 0) {
+    return null;
+  }
+
+  return {
+    subtotal: {
+      greaterThanOrEqualToSubtotal: subtotal.toFixed(2),
+    },
+  };
+}
+
+// Build the mutation and variables for the requested discount type
+function buildDiscountMutation({ code, discountType, discountValue, minimumRequirement, startsAt, endsAt }) {
+  const common = {
+    title: `Popup Discount ${code}`,
+    code,
+    startsAt,
+    endsAt,
+    customerSelection: { all: true },
+    appliesOncePerCustomer: true,
+    usageLimit: 1,
+    minimumRequirement,
+  };
+
+  if (discountType === "shipping") {
+    return {
+      mutation: DISCOUNT_CODE_FREE_SHIPPING_CREATE,
+      resultKey: "discountCodeFreeShippingCreate",
+      variables: {
+        freeShippingCodeDiscount: {
+          ...common,
+          title: `Free Shipping ${code}`,
+          destination: { all: true },
+        },
+      },
+    };
+  }
+
+  const value = discountType === "percentage"
+    ? { percentage: Math.min(parseFloat(discountValue), 100) / 100 }
+    : { discountAmount: { amount: parseFloat(discountValue).toFixed(2), appliesOnEachItem: false } };
+
+  return {
+    mutation: DISCOUNT_CODE_BASIC_CREATE,
+    resultKey: "discountCodeBasicCreate",
+    variables: {
+      basicCodeDiscount: {
+        ...common,
+        customerGets: {
+          value,
+          items: { all: true },
+        },
+      },
+    },
+  };
+}
+
+// Remove a discount that lost the race to be recorded, so only the recorded
+// code can be redeemed
+async function deleteShopifyDiscount(admin, discountCodeId) {
+  try {
+    const response = await admin.graphql(DISCOUNT_CODE_DELETE, { variables: { id: discountCodeId } });
+    const responseJson = await response.json();
+    const userErrors = responseJson.data?.discountCodeDelete?.userErrors || [];
+    if (responseJson.errors || userErrors.length > 0) {
+      console.error(`Could not delete duplicate discount ${discountCodeId}:`, responseJson.errors || userErrors);
+    }
+  } catch (error) {
+    console.error(`Could not delete duplicate discount ${discountCodeId}:`, error);
+  }
+}
+
+// Shape a saved DiscountCode record for API responses
+function toDiscountResponse(record) {
+  return {
+    discountCode: record.code,
+    discountType: record.discountType,
+    discountValue: record.discountValue,
+    minimumSubtotal: record.minimumSubtotal,
+    expiresAt: record.endsAt.toISOString(),
+  };
+}
+
+/**
+ * Create a single-use discount code in Shopify and record it
+ * @param {Object} admin - Admin API client (from authenticate.admin or unauthenticated.admin)
+ * @param {Object} params
+ * @param {string} params.shop - The shop domain
+ * @param {string} params.email - The shopper's email
+ * @param {string} [params.popupId] - The popup issuing the code
+ * @param {string} params.discountType - percentage, fixed_amount or shipping
+ * @param {string} params.discountValue - The discount amount
+ * @param {string} [params.minimumSubtotal] - Minimum order subtotal
+ * @param {string} [params.codePrefix] - Prefix for the generated code
+ * @returns {Promise<Object>} Result object with the created code
+ */
+export async function createDiscountCode(admin, {
+  shop,
+  email,
+  popupId = null,
+  discountType,
+  discountValue,
+  minimumSubtotal = null,
+  codePrefix = "",
+}) {
+  const offer = normalizeOffer(discountType, discountValue);
+  if (!offer) {
+    return {
+      success: false,
+      status: 400,
+      error: `Invalid discount: ${discountType} ${discountValue}`
+    };
+  }
+
+  const code = generateDiscountCode(sanitizeCodePrefix(codePrefix));
+  const startsAt = new Date();
+  const endsAt = new Date(startsAt.getTime() + DISCOUNT_LIFETIME_MS);
+  const minimumRequirement = buildMinimumRequirement(minimumSubtotal);
+
+  console.log(`Creating Shopify discount: ${code} for ${email} on shop: ${shop}`);
+
+  const { mutation, resultKey, variables } = buildDiscountMutation({
+    code,
+    discountType: offer.discountType,
+    discountValue: offer.discountValue,
+    minimumRequirement,
+    startsAt: startsAt.toISOString(),
+    endsAt: endsAt.toISOString(),
+  });
+
+  const response = await admin.graphql(mutation, { variables });
+  const responseJson = await response.json();
+
+  if (responseJson.errors) {
+    console.error("GraphQL errors creating discount:", responseJson.errors);
+    return {
+      success: false,
+      status: 502,
+      error: "Shopify API error",
+      userErrors: []
+    };
+  }
+
+  const result = responseJson.data?.[resultKey];
+  const userErrors = result?.userErrors || [];
+
+  if (userErrors.length > 0 || !result?.codeDiscountNode) {
+    console.error("Discount creation rejected:", userErrors);
+    return {
+      success: false,
+      status: 422,
+      error: userErrors[0]?.message || "Shopify rejected the discount",
+      userErrors: userErrors.map(({ field, code, message }) => ({ field, code, message }))
+    };
+  }
+
+  const record = {
+    shop,
+    email: email.trim().toLowerCase(),
+    popupId,
+    code,
+    discountType: offer.discountType,
+    discountValue: offer.discountValue,
+    minimumSubtotal: minimumRequirement?.subtotal.greaterThanOrEqualToSubtotal ?? null,
+    discountCodeId: result.codeDiscountNode.id,
+    isActive: true,
+    usageCount: 0,
+    usageLimit: 1,
+    startsAt,
+    endsAt,
+  };
+
+  // Save to database for tracking
+  try {
+    await prisma.discountCode.create({ data: record });
+    console.log(`Saved discount code to database: ${code} (${offer.discountType}: ${offer.discountValue})`);
+    await recordSubscriberDiscount(shop, record.email);
+  } catch (dbError) {
+    // A concurrent request for the same email and popup saved its code first
+    // (the unique index decides) - hand out that one and remove ours
+    const issued = dbError.code === "P2002" && popupId
+      ? await findIssuedDiscountCode(shop, popupId, record.email)
+      : null;
+    if (issued) {
+      await deleteShopifyDiscount(admin, record.discountCodeId);
+      return {
+        success: true,
+        ...toDiscountResponse(issued),
+        shopifyCreated: Boolean(issued.discountCodeId),
+        alreadyIssued: true
+      };
+    }
+
+    console.error("Database save error:", dbError);
+    // Don't fail the request if database save fails, the Shopify discount is already created
+  }
+
+  return {
+    success: true,
+    ...toDiscountResponse(record),
+    shopifyCreated: true
+  };
+}
+
+/**
+ * Issue a popup's discount to a shopper. Works out the offer on the server,
+ * returns the code already issued for the same email (refusing if the
+ * merchant deactivated it), and otherwise creates a new one using the shop's
+ * offline session.
+ * @param {Object} popupConfig - The popup configuration
+ * @param {string} email - The shopper's email
+ * @returns {Promise<Object>} Result object with the issued code
+ */
+export async function issueDiscountCode(popupConfig, email) {
+  const offer = await resolvePopupOffer(popupConfig, email);
+  if (!offer) {
+    return {
+      success: false,
+      status: 403,
+      error: "No discount to claim for this popup"
+    };
+  }
+
+  // One code per shopper per popup
+  const existingCode = await findIssuedDiscountCode(popupConfig.shop, popupConfig.id, email);
+  if (existingCode && !existingCode.isActive) {
+    return {
+      success: false,
+      status: 403,
+      error: "The discount code for this email is no longer available"
+    };
+  }
+  if (existingCode) {
+    return {
+      success: true,
+      ...toDiscountResponse(existingCode),
+      prizeLabel: offer.prizeLabel,
+      shopifyCreated: Boolean(existingCode.discountCodeId),
+      alreadyIssued: true
+    };
+  }
+
+  let admin;
+  try {
+    ({ admin } = await unauthenticated.admin(popupConfig.shop));
+  } catch (sessionError) {
+    console.error("No valid session found for shop:", popupConfig.shop, sessionError);
+    return {
+      success: false,
+      status: 503,
+      error: "Discounts are unavailable for this store right now"
+    };
+  }
+
+  const result = await createDiscountCode(admin, {
+    shop: popupConfig.shop,
+    email,
+    popupId: popupConfig.id,
+    discountType: offer.discountType,
+    discountValue: offer.discountValue,
+    minimumSubtotal: offer.minimumSubtotal,
+    codePrefix: popupConfig.discountCode,
+  });
+
+  return result.success ? { ...result, prizeLabel: offer.prizeLabel } : result;
+}
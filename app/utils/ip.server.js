@@ -0,0 +1,121 @@
+import { createHmac, randomBytes } from "crypto";
+import prisma from "../db.server";
+
+/**
+ * IP Utility Functions
+ *
+ * Shared helpers for reading the shopper's IP from a storefront request and
+ * hashing it, so raw IPs are never stored or used as keys.
+ *
+ * IPs are hashed with HMAC-SHA256. The key combines IP_HASH_SECRET with a
+ * random salt that rotates every UTC day and is deleted once the day is
+ * over, so a stored hash can't be brute-forced back to an IP even by
+ * someone holding the database and the secret. The same IP hashes the same
+ * within a day, which is what unique visitor counts rely on.
+ */
+
+const HASH_SECRET = process.env.IP_HASH_SECRET || process.env.SHOPIFY_API_SECRET;
+
+// Without a secret the hashes could be reversed by trying every IPv4 address
+if (!HASH_SECRET) {
+  throw new Error("IP_HASH_SECRET or SHOPIFY_API_SECRET must be set to hash visitor IPs");
+}
+
+// Salt per UTC day, cached in this process
+const saltCache = new Map();
+
+// A header our own infrastructure sets to the client IP (e.g. cf-connecting-ip
+// behind Cloudflare), used instead of X-Forwarded-For when configured
+const CLIENT_IP_HEADER = process.env.CLIENT_IP_HEADER?.toLowerCase() || null;
+
+// Proxies that append to X-Forwarded-For between the shopper and the app.
+// Storefront requests come through Shopify's App Proxy, which appends the
+// shopper's IP, and then through the app's own load balancer, which appends
+// the address of Shopify's proxy - so by default the shopper is the second
+// entry from the right. Set it to 1 if nothing sits in front of the app.
+const DEFAULT_PROXY_HOPS = 2;
+const TRUSTED_PROXY_HOPS = Math.max(parseInt(process.env.TRUSTED_PROXY_HOPS, 10) || DEFAULT_PROXY_HOPS, 1);
+
+/**
+ * Get the client IP from the proxy headers. Clients can send their own
+ * X-Forwarded-For, so only the entries our proxies appended are trusted:
+ * the client is the one TRUSTED_PROXY_HOPS from the right.
+ * @param {Request} request - The incoming request
+ * @returns {string|null} The client IP, or null if none was sent
+ */
+export function getClientIP(request) {
+  if (CLIENT_IP_HEADER) {
+    return request.headers.get(CLIENT_IP_HEADER)?.trim() || null;
+  }
+
+  const hops = (request.headers.get("x-forwarded-for") || "")
+    .split(",")
+    .map((hop) => hop.trim())
+    .filter(Boolean);
+  return hops[hops.length - TRUSTED_PROXY_HOPS] || null;
+}
+
+const toUtcDay = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Get (or create) the salt for a UTC day. Creating a day's salt deletes
+ * the salts of earlier days.
+ * @param {string} day - YYYY-MM-DD
+ * @returns {Promise<string>} The salt
+ */
+async function getDailySalt(day) {
+  if (saltCache.has(day)) {
+    return saltCache.get(day);
+  }
+
+  let record = await prisma.ipHashSalt.findUnique({ where: { day } });
+  if (!record) {
+    try {
+      record = await prisma.ipHashSalt.create({
+        data: { day, salt: randomBytes(32).toString("hex") }
+      });
+      await prisma.ipHashSalt.deleteMany({ where: { day: { lt: day } } });
+    } catch (error) {
+      // Another server process created it first
+      if (error.code !== "P2002") throw error;
+      record = await prisma.ipHashSalt.findUnique({ where: { day } });
+    }
+  }
+
+  saltCache.clear();
+  saltCache.set(day, record.salt);
+  return record.salt;
+}
+
+/**
+ * Hash IP address for privacy
+ * @param {string|null} ip - The IP address
+ * @param {string} shop - The shop domain, so hashes differ between shops
+ * @returns {Promise<string|null>} The hashed IP, or null if there was no IP
+ */
+export async function hashIP(ip, shop) {
+  if (!ip) return null;
+
+  const salt = await getDailySalt(toUtcDay(Date.now()));
+  const key = createHmac("sha256", HASH_SECRET).update(salt).digest();
+  return createHmac("sha256", key).update(`${shop}:${ip}`).digest("hex");
+}
+
+/**
+ * Count unique visitors in a list of analytics events. A visitor is an IP
+ * hash on one UTC day - hashes from different days can't be matched up, so
+ * a shopper who comes back on another day counts again. Events without an
+ * IP hash (privacy mode, older events) fall back to the session ID.
+ * @param {Array<Object>} events - Events with timestamp, ipAddress and sessionId
+ * @returns {number} Unique visitors
+ */
+export function countUniqueVisitors(events) {
+  const visitors = new Set();
+  events.forEach((event) => {
+    const visitor = event.ipAddress || (event.sessionId && `session:${event.sessionId}`);
+    if (visitor) {
+      visitors.add(`${toUtcDay(event.timestamp)}:${visitor}`);
+    }
+  });
+  return visitors.size;
+}
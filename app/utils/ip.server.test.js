@@ -0,0 +1,61 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+
+vi.mock("../db.server", () => ({ default: {} }));
+
+// The proxy settings are read when the module loads, so load it fresh
+// for each environment
+const loadGetClientIP = async (env = {}) => {
+  vi.stubEnv("IP_HASH_SECRET", "test-secret");
+  vi.stubEnv("TRUSTED_PROXY_HOPS", "");
+  vi.stubEnv("CLIENT_IP_HEADER", "");
+  Object.entries(env).forEach(([name, value]) => vi.stubEnv(name, value));
+  vi.resetModules();
+  return (await import("./ip.server")).getClientIP;
+};
+
+const requestWith = (headers) => new Request("https://app.example.com/api/public/analytics", { headers });
+
+describe("getClientIP", () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it("skips the load balancer hop and reads the IP the App Proxy appended by default", async () => {
+    const getClientIP = await loadGetClientIP();
+    expect(getClientIP(requestWith({ "x-forwarded-for": "203.0.113.7, 23.227.38.1" }))).toBe("203.0.113.7");
+  });
+
+  it("ignores addresses the shopper put in X-Forwarded-For themselves", async () => {
+    const getClientIP = await loadGetClientIP();
+    const request = requestWith({ "x-forwarded-for": "1.1.1.1, 2.2.2.2, 203.0.113.7, 23.227.38.1" });
+    expect(getClientIP(request)).toBe("203.0.113.7");
+  });
+
+  it("counts hops from the right as configured", async () => {
+    const getClientIP = await loadGetClientIP({ TRUSTED_PROXY_HOPS: "1" });
+    expect(getClientIP(requestWith({ "x-forwarded-for": "1.1.1.1, 203.0.113.7" }))).toBe("203.0.113.7");
+
+    const getClientIPBehindThree = await loadGetClientIP({ TRUSTED_PROXY_HOPS: "3" });
+    const request = requestWith({ "x-forwarded-for": "1.1.1.1, 203.0.113.7, 23.227.38.1, 10.0.0.2" });
+    expect(getClientIPBehindThree(request)).toBe("203.0.113.7");
+  });
+
+  it("falls back to the default for invalid hop counts", async () => {
+    const getClientIP = await loadGetClientIP({ TRUSTED_PROXY_HOPS: "0" });
+    expect(getClientIP(requestWith({ "x-forwarded-for": "203.0.113.7, 23.227.38.1" }))).toBe("203.0.113.7");
+  });
+
+  it("returns null when the header has fewer entries than trusted hops", async () => {
+    const getClientIP = await loadGetClientIP();
+    expect(getClientIP(requestWith({ "x-forwarded-for": "203.0.113.7" }))).toBeNull();
+    expect(getClientIP(requestWith({}))).toBeNull();
+    expect(getClientIP(requestWith({ "x-forwarded-for": " , " }))).toBeNull();
+  });
+
+  it("reads a configured client IP header instead of X-Forwarded-For", async () => {
+    const getClientIP = await loadGetClientIP({ CLIENT_IP_HEADER: "CF-Connecting-IP" });
+    const request = requestWith({ "cf-connecting-ip": " 203.0.113.7 ", "x-forwarded-for": "1.1.1.1, 2.2.2.2" });
+    expect(getClientIP(request)).toBe("203.0.113.7");
+    expect(getClientIP(requestWith({ "x-forwarded-for": "1.1.1.1, 2.2.2.2" }))).toBeNull();
+  });
+});
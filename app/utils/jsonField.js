@@ -0,0 +1,34 @@
+/**
+ * Utility functions for JSON settings columns
+ *
+ * Popup settings such as trigger rules or mobile overrides are kept in TEXT
+ * columns. The editor posts them as JSON strings and the database returns
+ * strings, while code that already parsed them passes objects, so each
+ * settings module parses both and stores null when nothing is set.
+ */
+
+/**
+ * Parse a JSON settings value. Values that aren't strings are returned as-is.
+ * @param {*} value - Settings value or its JSON string
+ * @param {string} label - What the value holds, for the warning on bad JSON
+ * @returns {*} The parsed value, or null when the string isn't valid JSON
+ */
+export function parseJsonField(value, label) {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.warn(`Invalid ${label} JSON:`, error);
+    return null;
+  }
+}
+
+/**
+ * Serialize a cleaned-up settings value for the database
+ * @param {*} value - Settings value, already cleaned up by its module
+ * @param {boolean} isSet - Whether it differs from the default
+ * @returns {string|null} JSON string, or null so the column means "default"
+ */
+export function serializeJsonField(value, isSet) {
+  return isSet ? JSON.stringify(value) : null;
+}
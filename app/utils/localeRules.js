@@ -0,0 +1,62 @@
+import { parseJsonField, serializeJsonField } from "./jsonField";
+
+/**
+ * Utility functions for popup locale rules
+ *
+ * Locale rules target popups at the storefront's localization, which the
+ * theme app embed exposes from Liquid (`localization.country`,
+ * `localization.market` and `request.locale`). They are stored as JSON on
+ * PopupConfig.localeRules:
+ *   {
+ *     markets: [],     // market handles
+ *     countries: [],   // ISO country codes, e.g. "US"
+ *     languages: []    // locale codes, e.g. "en" or "pt-br"
+ *   }
+ * Every list that is set must contain the visitor's value. A language such
+ * as "en" also matches its regional variants ("en-ca").
+ */
+
+export const DEFAULT_LOCALE_RULES = {
+  markets: [],
+  countries: [],
+  languages: [],
+};
+
+// Lists come from the editor as arrays or a comma separated string
+const toCodeList = (value, transform) => {
+  const list = Array.isArray(value) ? value : String(value || "").split(",");
+  return [...new Set(list.map((code) => transform(String(code).trim())).filter(Boolean))];
+};
+
+/**
+ * Clean up locale rules from the editor or the database
+ * @param {string|Object|null} value - Rules object or its JSON string
+ * @returns {Object} Locale rules with every list normalized
+ */
+export function parseLocaleRules(value) {
+  const rules = parseJsonField(value, "locale rules");
+
+  if (!rules || typeof rules !== "object") {
+    return { markets: [], countries: [], languages: [] };
+  }
+
+  return {
+    markets: toCodeList(rules.markets, (code) => code.toLowerCase()),
+    countries: toCodeList(rules.countries, (code) => code.toUpperCase()),
+    languages: toCodeList(rules.languages, (code) => code.toLowerCase()),
+  };
+}
+
+/**
+ * Serialize locale rules for the database
+ * @param {string|Object|null} value - Rules object or its JSON string
+ * @returns {string|null} JSON string, or null when the popup shows everywhere
+ */
+export function serializeLocaleRules(value) {
+  const rules = parseLocaleRules(value);
+  const showsEverywhere =
+    rules.markets.length === 0 &&
+    rules.countries.length === 0 &&
+    rules.languages.length === 0;
+  return serializeJsonField(rules, !showsEverywhere);
+}
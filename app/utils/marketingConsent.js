@@ -0,0 +1,72 @@
+import { parseJsonField, serializeJsonField } from "./jsonField";
+
+/**
+ * Utility functions for popup marketing consent
+ *
+ * Stored as JSON on PopupConfig.marketingConsent:
+ *   {
+ *     showCheckbox: false, // ask for consent with a checkbox next to the email field
+ *     required: false,     // the checkbox must be ticked to sign up
+ *     text: "...",         // the merchant's consent wording
+ *     doubleOptIn: false   // email a confirmation link before the discount is released
+ *   }
+ * Popups with neither a checkbox nor double opt-in treat signing up as
+ * consent, as they always have. The wording is versioned when a shopper
+ * agrees to it (see optIn.server.js), so editing it later doesn't change what
+ * earlier subscribers consented to.
+ */
+
+export const DEFAULT_CONSENT_TEXT =
+  "Yes, send me news and offers by email. I can unsubscribe at any time.";
+
+export const MAX_CONSENT_TEXT_LENGTH = 1000;
+
+export const DEFAULT_MARKETING_CONSENT = {
+  showCheckbox: false,
+  required: false,
+  text: DEFAULT_CONSENT_TEXT,
+  doubleOptIn: false,
+};
+
+/**
+ * Clean up marketing consent settings from the editor or the database
+ * @param {string|Object|null} value - Settings object or its JSON string
+ * @returns {Object} Marketing consent settings
+ */
+export function parseMarketingConsent(value) {
+  const consent = parseJsonField(value, "marketing consent");
+
+  if (!consent || typeof consent !== "object") {
+    return { ...DEFAULT_MARKETING_CONSENT };
+  }
+
+  const text = String(consent.text ?? "").trim().slice(0, MAX_CONSENT_TEXT_LENGTH);
+  const showCheckbox = consent.showCheckbox === true;
+
+  return {
+    showCheckbox,
+    required: showCheckbox && consent.required === true,
+    text: text || DEFAULT_CONSENT_TEXT,
+    doubleOptIn: consent.doubleOptIn === true,
+  };
+}
+
+/**
+ * Serialize marketing consent settings for the database
+ * @param {string|Object|null} value - Settings object or its JSON string
+ * @returns {string|null} JSON string, or null when signing up counts as consent
+ */
+export function serializeMarketingConsent(value) {
+  const consent = parseMarketingConsent(value);
+  return serializeJsonField(consent, isExplicitConsent(consent));
+}
+
+/**
+ * Whether a popup records consent itself rather than treating the signup as
+ * consent
+ * @param {Object} consent - Parsed marketing consent settings
+ * @returns {boolean}
+ */
+export function isExplicitConsent(consent) {
+  return Boolean(consent && (consent.showCheckbox || consent.doubleOptIn));
+}
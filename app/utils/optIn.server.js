@@ -0,0 +1,258 @@
+import { createHash, randomBytes } from "node:crypto";
+import prisma from "../db.server";
+import { issueDiscountCode, resolvePopupOffer } from "./discount.server";
+import { sendMail } from "./mail.server";
+import { isExplicitConsent, parseMarketingConsent } from "./marketingConsent";
+import { applyVariantOverrides } from "./popupVariants";
+import { normalizeEmail, saveSubscriberConsent } from "./subscribers.server";
+import { scheduleSubscriberSyncs } from "./customerSync.server";
+
+/**
+ * Opt-In Utility Functions
+ *
+ * Records the marketing consent a shopper gives when signing up through a
+ * popup with a consent checkbox or double opt-in (see marketingConsent.js).
+ * The subscriber keeps when consent was given and the exact wording they
+ * agreed to, with a version hash of that wording.
+ *
+ * With double opt-in the shopper is emailed a link to
+ * /apps/popup/confirm, where a button confirms their address. Their
+ * discount is only issued once they press it, and their subscription stays
+ * "pending" until then.
+ */
+
+// How long a confirmation link works
+const CONFIRMATION_TTL_DAYS = 7;
+
+// Don't send another confirmation for the same signup within this window
+const RESEND_AFTER_MINUTES = 10;
+
+const hashToken = (token) => createHash("sha256").update(token).digest("hex");
+
+// Deliberately strict: the address goes into a mail header and an SMTP command
+const EMAIL_PATTERN = /^[a-z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-z0-9](?:[a-z0-9-]*[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]*[a-z0-9])?)+$/;
+const MAX_EMAIL_LENGTH = 254;
+
+/**
+ * Check an email before anything is stored or sent against it
+ * @param {string} email - Email as entered
+ * @returns {boolean} Whether the normalized email is a usable address
+ */
+export function isValidEmail(email) {
+  const normalizedEmail = normalizeEmail(email);
+  return normalizedEmail.length <= MAX_EMAIL_LENGTH && EMAIL_PATTERN.test(normalizedEmail);
+}
+
+/**
+ * Version of a consent wording, so changed wording can be told apart
+ * @param {string} text - Consent text
+ * @returns {string} Short hash of the text
+ */
+export function getConsentTextVersion(text) {
+  return createHash("sha256").update(String(text)).digest("hex").slice(0, 12);
+}
+
+// The store name for emails - the myshopify handle is all we have
+const getStoreName = (shop) => shop.replace(/\.myshopify\.com$/, "");
+
+async function sendConfirmationEmail(popupConfig, { email, token, hasOffer }) {
+  const storeName = getStoreName(popupConfig.shop);
+  const link = `https://${popupConfig.shop}/apps/popup/confirm?token=${token}`;
+  const reward = hasOffer ? " and get your discount code" : "";
+
+  return sendMail({
+    to: email,
+    subject: `Confirm your email for ${storeName}`,
+    text: [
+      `Thanks for signing up with ${storeName}!`,
+      "",
+      `Please confirm your email address${reward}:`,
+      link,
+      "",
+      `This link works for ${CONFIRMATION_TTL_DAYS} days. If you didn't sign up, you can ignore this email.`,
+    ].join("\n"),
+    html: `
+      <p>Thanks for signing up with ${storeName}!</p>
+      <p><a href="${link}">Confirm your email address${reward}</a></p>
+      <p style="color: #6d7175; font-size: 13px;">This link works for ${CONFIRMATION_TTL_DAYS} days. If you didn't sign up, you can ignore this email.</p>
+    `,
+  });
+}
+
+/**
+ * Record the consent given with a popup signup, and start double opt-in
+ * when the popup uses it. Popups that treat the signup as consent are left
+ * alone.
+ * @param {Object} popupConfig - The popup signed up through
+ * @param {Object} signup
+ * @param {string} signup.email - The shopper's email
+ * @param {boolean} signup.consentGiven - Whether the consent box was ticked
+ * @param {string|null} [signup.variantId] - The A/B test arm they saw
+ * @returns {Promise<Object>} { success, confirmationRequired } or { success: false, status, error }
+ */
+export async function recordSignupConsent(popupConfig, { email, consentGiven, variantId = null }) {
+  const consent = parseMarketingConsent(popupConfig.marketingConsent);
+  if (!isExplicitConsent(consent)) {
+    return { success: true, confirmationRequired: false };
+  }
+
+  const shop = popupConfig.shop;
+  const normalizedEmail = normalizeEmail(email);
+  if (!isValidEmail(normalizedEmail)) {
+    return { success: false, status: 400, error: "A valid email is required" };
+  }
+
+  // Without a checkbox, signing up is the consent being confirmed
+  const given = consent.showCheckbox ? Boolean(consentGiven) : true;
+
+  if (consent.showCheckbox && consent.required && !given) {
+    return { success: false, status: 400, error: "Please agree to receive emails to continue" };
+  }
+
+  const consentDetails = given && consent.showCheckbox
+    ? { consentedAt: new Date(), consentText: consent.text, consentTextVersion: getConsentTextVersion(consent.text) }
+    : {};
+
+  if (!consent.doubleOptIn) {
+    await saveSubscriberConsent(shop, {
+      email: normalizedEmail,
+      popupId: popupConfig.id,
+      consentStatus: given ? "subscribed" : "not_subscribed",
+      consent: consentDetails
+    });
+    if (given) scheduleSubscriberSyncs(shop);
+    return { success: true, confirmationRequired: false };
+  }
+
+  const confirmations = await prisma.optInConfirmation.findMany({
+    where: { shop, popupId: popupConfig.id, email: normalizedEmail },
+    orderBy: { sentAt: "desc" }
+  });
+
+  // Confirmed before - nothing left to do
+  if (confirmations.some((confirmation) => confirmation.confirmedAt)) {
+    return { success: true, confirmationRequired: false };
+  }
+
+  await saveSubscriberConsent(shop, {
+    email: normalizedEmail,
+    popupId: popupConfig.id,
+    consentStatus: given ? "pending" : "not_subscribed",
+    consent: consentDetails
+  });
+
+  const latest = confirmations[0];
+  if (latest && latest.sentAt > new Date(Date.now() - RESEND_AFTER_MINUTES * 60 * 1000)) {
+    return { success: true, confirmationRequired: true };
+  }
+
+  const token = randomBytes(32).toString("base64url");
+  const now = new Date();
+  const confirmation = await prisma.optInConfirmation.create({
+    data: {
+      shop,
+      popupId: popupConfig.id,
+      variantId: variantId || null,
+      email: normalizedEmail,
+      tokenHash: hashToken(token),
+      consentGiven: given,
+      sentAt: now,
+      expiresAt: new Date(now.getTime() + CONFIRMATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+    }
+  });
+
+  const hasOffer = Boolean(await resolvePopupOffer(popupConfig, normalizedEmail));
+  const sent = await sendConfirmationEmail(popupConfig, { email: normalizedEmail, token, hasOffer });
+  if (!sent.success) {
+    await prisma.optInConfirmation.delete({ where: { id: confirmation.id } });
+    return { success: false, status: 503, error: "We couldn't send the confirmation email. Please try again." };
+  }
+
+  return { success: true, confirmationRequired: true };
+}
+
+/**
+ * Look up the confirmation behind an emailed link without changing it, for
+ * the page that asks the shopper to confirm
+ * @param {string} shop - The shop domain
+ * @param {string} token - Token from the link
+ * @returns {Promise<Object>} { success, confirmation } or { success: false, status, error }
+ */
+export async function findOptInConfirmation(shop, token) {
+  if (!token) {
+    return { success: false, status: 400, error: "This confirmation link is incomplete." };
+  }
+
+  const confirmation = await prisma.optInConfirmation.findFirst({
+    where: { shop, tokenHash: hashToken(token) }
+  });
+  if (!confirmation) {
+    return { success: false, status: 404, error: "This confirmation link isn't valid." };
+  }
+  if (!confirmation.confirmedAt && confirmation.expiresAt < new Date()) {
+    return { success: false, status: 410, error: "This confirmation link has expired. Please sign up again." };
+  }
+
+  return { success: true, confirmation };
+}
+
+/**
+ * Confirm a double opt-in, and issue the discount the signup was for. Only
+ * called when the shopper submits the confirm page - opening the link
+ * itself changes nothing, so mail scanners can't confirm for them.
+ * @param {string} shop - The shop domain
+ * @param {string} token - Token from the link
+ * @returns {Promise<Object>} { success, discountCode, prizeLabel } or { success: false, status, error }
+ */
+export async function confirmOptIn(shop, token) {
+  const found = await findOptInConfirmation(shop, token);
+  if (!found.success) {
+    return found;
+  }
+  const { confirmation } = found;
+
+  if (!confirmation.confirmedAt) {
+    const confirmedAt = new Date();
+    await prisma.optInConfirmation.update({
+      where: { id: confirmation.id },
+      data: { confirmedAt }
+    });
+
+    if (confirmation.consentGiven) {
+      await saveSubscriberConsent(shop, {
+        email: confirmation.email,
+        popupId: confirmation.popupId,
+        consentStatus: "subscribed",
+        consent: { confirmedAt }
+      });
+      scheduleSubscriberSyncs(shop);
+    }
+  }
+
+  const popupConfig = await prisma.popupConfig.findFirst({
+    where: { id: confirmation.popupId, shop }
+  });
+  if (!popupConfig) {
+    return { success: true, discountCode: null };
+  }
+
+  const variant = confirmation.variantId
+    ? await prisma.popupVariant.findFirst({
+        where: { id: confirmation.variantId, shop, popupId: popupConfig.id }
+      })
+    : null;
+  const offerConfig = applyVariantOverrides(popupConfig, variant);
+
+  // Wheel spins that didn't win have no discount to release
+  if (!(await resolvePopupOffer(offerConfig, confirmation.email))) {
+    return { success: true, discountCode: null };
+  }
+
+  const result = await issueDiscountCode(offerConfig, confirmation.email);
+  if (!result.success) {
+    console.error(`Could not issue discount after opt-in for popup ${popupConfig.id} on shop ${shop}:`, result.error);
+    return { success: false, status: result.status, error: "Your email is confirmed, but we couldn't create your discount code. Please try again." };
+  }
+
+  return { success: true, discountCode: result.discountCode, prizeLabel: result.prizeLabel };
+}
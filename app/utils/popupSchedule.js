@@ -0,0 +1,156 @@
+import { parseJsonField, serializeJsonField } from "./jsonField";
+
+/**
+ * Utility functions for popup scheduling
+ *
+ * A popup can have a start and end date (PopupConfig.startsAt / endsAt) and
+ * recurring weekly windows (PopupConfig.scheduleWindows, JSON):
+ *   [{ days: [1, 2, 3, 4, 5], startHour: 9, endHour: 17 }]
+ * Days are 0 (Sunday) to 6, hours run from startHour up to (not including)
+ * endHour. Windows are evaluated in PopupConfig.scheduleTimezone, the shop's
+ * IANA timezone when the popup was saved. The editor works with local
+ * "YYYY-MM-DDTHH:mm" strings in that timezone.
+ */
+
+export const WEEKDAY_OPTIONS = [
+  { label: "Sun", value: "0" },
+  { label: "Mon", value: "1" },
+  { label: "Tue", value: "2" },
+  { label: "Wed", value: "3" },
+  { label: "Thu", value: "4" },
+  { label: "Fri", value: "5" },
+  { label: "Sat", value: "6" },
+];
+
+export const HOUR_OPTIONS = Array.from({ length: 25 }, (_, hour) => ({
+  label: `${String(hour).padStart(2, "0")}:00`,
+  value: String(hour),
+}));
+
+// Wall-clock parts of a date in a timezone
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    weekday: "short",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+
+  const values = Object.fromEntries(parts.map((part) => [part.type, part.value]));
+  return {
+    year: Number(values.year),
+    month: Number(values.month),
+    day: Number(values.day),
+    hour: Number(values.hour),
+    minute: Number(values.minute),
+    second: Number(values.second),
+    weekday: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(values.weekday),
+  };
+}
+
+// Milliseconds the timezone is ahead of UTC at the given instant
+function getTimezoneOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a local "YYYY-MM-DDTHH:mm" time in a timezone to a Date
+ * @param {string} localString - Wall-clock time from a datetime-local input
+ * @param {string} timeZone - IANA timezone, e.g. "America/New_York"
+ * @returns {Date|null} The instant, or null for an empty/invalid value
+ */
+export function zonedLocalStringToDate(localString, timeZone = "UTC") {
+  const match = String(localString || "").match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute] = match.map(Number);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  // Check the offset at the guessed instant again so DST changes land right
+  const guess = asUtc - getTimezoneOffset(new Date(asUtc), timeZone);
+  return new Date(asUtc - getTimezoneOffset(new Date(guess), timeZone));
+}
+
+/**
+ * Format a Date as a local "YYYY-MM-DDTHH:mm" string in a timezone
+ * @param {Date|string|null} date - The instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} Value for a datetime-local input, or "" when unset
+ */
+export function dateToZonedLocalString(date, timeZone = "UTC") {
+  if (!date) return "";
+  const parsed = new Date(date);
+  if (Number.isNaN(parsed.getTime())) return "";
+
+  const parts = getZonedParts(parsed, timeZone);
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}`;
+}
+
+/**
+ * Clean up recurring schedule windows from the editor or the database
+ * @param {string|Array|null} value - Windows array or its JSON string
+ * @returns {Array<Object>} [{ days, startHour, endHour }] with valid values only
+ */
+export function parseScheduleWindows(value) {
+  const windows = parseJsonField(value, "schedule windows");
+  if (!Array.isArray(windows)) return [];
+
+  return windows
+    .map((scheduleWindow) => {
+      const days = [...new Set((scheduleWindow.days || []).map(Number))]
+        .filter((day) => day >= 0 && day <= 6)
+        .sort();
+      const startHour = Math.min(Math.max(parseInt(scheduleWindow.startHour, 10) || 0, 0), 23);
+      const endHour = Math.min(Math.max(parseInt(scheduleWindow.endHour, 10) || 24, 1), 24);
+      return { days, startHour, endHour };
+    })
+    .filter((scheduleWindow) => scheduleWindow.days.length > 0 && scheduleWindow.endHour > scheduleWindow.startHour);
+}
+
+/**
+ * Serialize schedule windows for the database
+ * @param {string|Array|null} value - Windows array or its JSON string
+ * @returns {string|null} JSON string, or null when there are no windows
+ */
+export function serializeScheduleWindows(value) {
+  const windows = parseScheduleWindows(value);
+  return serializeJsonField(windows, windows.length > 0);
+}
+
+/**
+ * Where a popup is in its schedule
+ * @param {Object} popup - Popup with startsAt, endsAt, scheduleWindows, scheduleTimezone
+ * @param {Date} [now] - Current time
+ * @returns {string} "scheduled" (not started), "expired" (ended),
+ *   "off_hours" (outside its weekly windows) or "live"
+ */
+export function getScheduleStatus(popup, now = new Date()) {
+  if (popup.startsAt && new Date(popup.startsAt) > now) return "scheduled";
+  if (popup.endsAt && new Date(popup.endsAt) <= now) return "expired";
+
+  const windows = parseScheduleWindows(popup.scheduleWindows);
+  if (windows.length === 0) return "live";
+
+  const { weekday, hour } = getZonedParts(now, popup.scheduleTimezone || "UTC");
+  const inWindow = windows.some(
+    (scheduleWindow) => scheduleWindow.days.includes(weekday) && hour >= scheduleWindow.startHour && hour < scheduleWindow.endHour,
+  );
+  return inWindow ? "live" : "off_hours";
+}
+
+/**
+ * Whether a popup should be shown right now according to its schedule
+ * @param {Object} popup - Popup configuration
+ * @param {Date} [now] - Current time
+ * @returns {boolean}
+ */
+export function isPopupScheduledNow(popup, now = new Date()) {
+  return getScheduleStatus(popup, now) === "live";
+}
@@ -0,0 +1,79 @@
+import { describe, expect, it } from "vitest";
+import {
+  dateToZonedLocalString,
+  getScheduleStatus,
+  zonedLocalStringToDate,
+} from "./popupSchedule";
+
+describe("zonedLocalStringToDate", () => {
+  it("converts wall-clock time in the shop's timezone to UTC", () => {
+    expect(zonedLocalStringToDate("2026-01-15T09:30", "America/New_York").toISOString())
+      .toBe("2026-01-15T14:30:00.000Z");
+    expect(zonedLocalStringToDate("2026-07-15T09:30", "America/New_York").toISOString())
+      .toBe("2026-07-15T13:30:00.000Z");
+    expect(zonedLocalStringToDate("2026-01-15T09:00", "Asia/Kolkata").toISOString())
+      .toBe("2026-01-15T03:30:00.000Z");
+  });
+
+  it("uses the right offset on either side of a DST change", () => {
+    expect(zonedLocalStringToDate("2026-03-08T01:30", "America/New_York").toISOString())
+      .toBe("2026-03-08T06:30:00.000Z");
+    expect(zonedLocalStringToDate("2026-03-08T03:30", "America/New_York").toISOString())
+      .toBe("2026-03-08T07:30:00.000Z");
+  });
+
+  it("defaults to UTC and rejects empty or malformed values", () => {
+    expect(zonedLocalStringToDate("2026-01-15T09:30").toISOString()).toBe("2026-01-15T09:30:00.000Z");
+    expect(zonedLocalStringToDate("")).toBeNull();
+    expect(zonedLocalStringToDate("15/01/2026 09:30", "UTC")).toBeNull();
+  });
+});
+
+describe("dateToZonedLocalString", () => {
+  it("formats an instant as wall-clock time in the timezone", () => {
+    expect(dateToZonedLocalString(new Date("2026-07-15T13:30:00Z"), "America/New_York")).toBe("2026-07-15T09:30");
+    expect(dateToZonedLocalString("2026-01-15T03:30:00.000Z", "Asia/Kolkata")).toBe("2026-01-15T09:00");
+  });
+
+  it("round-trips with zonedLocalStringToDate", () => {
+    const local = "2026-11-01T08:15";
+    expect(dateToZonedLocalString(zonedLocalStringToDate(local, "Europe/Berlin"), "Europe/Berlin")).toBe(local);
+  });
+
+  it("returns an empty string for unset or invalid dates", () => {
+    expect(dateToZonedLocalString(null)).toBe("");
+    expect(dateToZonedLocalString("not a date")).toBe("");
+  });
+});
+
+describe("getScheduleStatus", () => {
+  const now = new Date("2026-10-19T14:00:00Z"); // Monday, 10:00 in New York
+
+  it("reports popups before their start and after their end", () => {
+    expect(getScheduleStatus({ startsAt: "2026-10-20T00:00:00Z" }, now)).toBe("scheduled");
+    expect(getScheduleStatus({ endsAt: "2026-10-19T14:00:00Z" }, now)).toBe("expired");
+    expect(getScheduleStatus({ startsAt: "2026-10-01T00:00:00Z", endsAt: "2026-11-01T00:00:00Z" }, now)).toBe("live");
+  });
+
+  it("is live without weekly windows", () => {
+    expect(getScheduleStatus({ scheduleWindows: null }, now)).toBe("live");
+  });
+
+  it("checks weekly windows in the popup's timezone", () => {
+    const popup = {
+      scheduleWindows: JSON.stringify([{ days: [1, 2, 3, 4, 5], startHour: 9, endHour: 17 }]),
+      scheduleTimezone: "America/New_York",
+    };
+    expect(getScheduleStatus(popup, now)).toBe("live");
+    expect(getScheduleStatus(popup, new Date("2026-10-19T22:00:00Z"))).toBe("off_hours");
+    expect(getScheduleStatus(popup, new Date("2026-10-18T14:00:00Z"))).toBe("off_hours");
+  });
+
+  it("uses the local weekday when it differs from the UTC one", () => {
+    const windows = [{ days: [1], startHour: 20, endHour: 24 }];
+    const mondayNightInNewYork = new Date("2026-10-20T02:00:00Z");
+    expect(getScheduleStatus({ scheduleWindows: windows, scheduleTimezone: "America/New_York" }, mondayNightInNewYork))
+      .toBe("live");
+    expect(getScheduleStatus({ scheduleWindows: windows }, mondayNightInNewYork)).toBe("off_hours");
+  });
+});
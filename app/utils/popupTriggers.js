@@ -0,0 +1,61 @@
+import { parseJsonField, serializeJsonField } from "./jsonField";
+
+/**
+ * Utility functions for popup trigger rules
+ *
+ * Trigger rules decide when a popup appears once it targets the page. They are
+ * stored as JSON on PopupConfig.triggerRules:
+ *   { match: "all" | "any", conditions: [{ type, value }] }
+ * popup.js re-checks the conditions every second and on scroll, and shows the
+ * popup the first time they match. Time on site only counts while the tab is
+ * visible.
+ */
+
+// Condition types the storefront script knows how to evaluate
+export const TRIGGER_TYPES = {
+  scroll: { label: "Scrolled down the page (%)", min: 1, max: 100, defaultValue: 50 },
+  inactivity: { label: "Inactive for (seconds)", min: 1, max: 3600, defaultValue: 30 },
+  timeOnSite: { label: "Time on site this session (seconds)", min: 1, max: 86400, defaultValue: 60 },
+  pageViews: { label: "Pages viewed this session", min: 1, max: 1000, defaultValue: 3 },
+};
+
+export const DEFAULT_TRIGGER_RULES = { match: "all", conditions: [] };
+
+/**
+ * Clean up trigger rules from the editor or the database
+ * @param {string|Object|null} value - Rules object or its JSON string
+ * @returns {Object} { match, conditions } with only valid conditions
+ */
+export function parseTriggerRules(value) {
+  const rules = parseJsonField(value, "trigger rules");
+
+  if (!rules || typeof rules !== "object") {
+    return { ...DEFAULT_TRIGGER_RULES, conditions: [] };
+  }
+
+  const conditions = (Array.isArray(rules.conditions) ? rules.conditions : [])
+    .filter((condition) => condition && TRIGGER_TYPES[condition.type])
+    .map((condition) => {
+      const { min, max, defaultValue } = TRIGGER_TYPES[condition.type];
+      const number = parseInt(condition.value, 10);
+      return {
+        type: condition.type,
+        value: Number.isNaN(number) ? defaultValue : Math.min(Math.max(number, min), max),
+      };
+    });
+
+  return {
+    match: rules.match === "any" ? "any" : "all",
+    conditions,
+  };
+}
+
+/**
+ * Serialize trigger rules for the database
+ * @param {string|Object|null} value - Rules object or its JSON string
+ * @returns {string|null} JSON string, or null when there are no conditions
+ */
+export function serializeTriggerRules(value) {
+  const rules = parseTriggerRules(value);
+  return serializeJsonField(rules, rules.conditions.length > 0);
+}
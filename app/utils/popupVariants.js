@@ -0,0 +1,126 @@
+import { parseJsonField, serializeJsonField } from "./jsonField";
+
+/**
+ * Utility functions for popup A/B test variants
+ *
+ * A variant (PopupVariant) is a copy of a popup with some fields replaced,
+ * stored as JSON on PopupVariant.overrides, e.g.
+ *   { title: "Take 15% off", discountValue: "15" }
+ * Each variant gets PopupVariant.weight percent of visitors and the original
+ * popup (the "control") gets the rest. The server picks each visitor's arm
+ * (see assignVariant in abTest.server.js), so the storefront only ever
+ * receives the arm it shows.
+ */
+
+// Recorded as PopupAnalytics.variantId for visitors who see the original popup
+export const CONTROL_VARIANT_ID = "control";
+
+// Fields a variant can replace, grouped the way the editor shows them
+export const VARIANT_FIELD_GROUPS = {
+  content: [
+    { field: "title", label: "Title" },
+    { field: "description", label: "Description" },
+    { field: "buttonText", label: "Button text" },
+    { field: "placeholder", label: "Email placeholder" },
+  ],
+  design: [
+    { field: "backgroundColor", label: "Background color" },
+    { field: "textColor", label: "Text color" },
+    { field: "buttonColor", label: "Button color" },
+    { field: "borderRadius", label: "Corner radius (px)" },
+  ],
+  offer: [
+    { field: "discountType", label: "Discount type" },
+    { field: "discountValue", label: "Discount value" },
+    { field: "scratchDiscountPercentage", label: "Scratch card discount (%)" },
+  ],
+};
+
+export const VARIANT_DISCOUNT_TYPE_OPTIONS = [
+  { label: "Percentage off", value: "percentage" },
+  { label: "Fixed amount off", value: "fixed_amount" },
+  { label: "Free shipping", value: "shipping" },
+];
+
+const INTEGER_FIELDS = ["borderRadius", "scratchDiscountPercentage"];
+
+const ALL_FIELDS = Object.values(VARIANT_FIELD_GROUPS).flat().map(({ field }) => field);
+
+/**
+ * Fields a variant of this popup type can replace
+ * @param {string} type - The popup type
+ * @returns {Object} VARIANT_FIELD_GROUPS with the fields the type doesn't use left out
+ */
+export function getVariantFieldGroups(type) {
+  const offerFields = {
+    email: ["discountType", "discountValue"],
+    timer: ["discountType", "discountValue"],
+    "scratch-card": ["scratchDiscountPercentage"],
+  }[type] || [];
+
+  return {
+    content: VARIANT_FIELD_GROUPS.content.filter(
+      ({ field }) => field !== "placeholder" || type !== "community"
+    ),
+    design: VARIANT_FIELD_GROUPS.design,
+    offer: VARIANT_FIELD_GROUPS.offer.filter(({ field }) => offerFields.includes(field)),
+  };
+}
+
+/**
+ * Clean up variant overrides from the editor or the database
+ * @param {string|Object|null} value - Overrides object or its JSON string
+ * @returns {Object} Only the overridable fields that have a value
+ */
+export function parseVariantOverrides(value) {
+  const overrides = parseJsonField(value, "variant overrides");
+  if (!overrides || typeof overrides !== "object") return {};
+
+  return ALL_FIELDS.reduce((result, field) => {
+    const fieldValue = overrides[field];
+    if (fieldValue === undefined || fieldValue === null || fieldValue === "") return result;
+
+    if (INTEGER_FIELDS.includes(field)) {
+      const number = parseInt(fieldValue, 10);
+      if (!Number.isNaN(number) && number >= 0) result[field] = number;
+    } else if (field === "discountType") {
+      if (VARIANT_DISCOUNT_TYPE_OPTIONS.some((option) => option.value === fieldValue)) {
+        result.discountType = fieldValue;
+      }
+    } else {
+      result[field] = String(fieldValue);
+    }
+    return result;
+  }, {});
+}
+
+/**
+ * Serialize variant overrides for the database
+ * @param {string|Object|null} value - Overrides object or its JSON string
+ * @returns {string|null} JSON string, or null when nothing is replaced
+ */
+export function serializeVariantOverrides(value) {
+  const overrides = parseVariantOverrides(value);
+  return serializeJsonField(overrides, Object.keys(overrides).length > 0);
+}
+
+/**
+ * Share of visitors that see the original popup
+ * @param {Array<Object>} variants - Variants with a weight (percent)
+ * @returns {number} 0-100
+ */
+export function getControlWeight(variants) {
+  const variantWeight = variants.reduce((total, variant) => total + (variant.weight || 0), 0);
+  return Math.max(100 - variantWeight, 0);
+}
+
+/**
+ * The popup as a variant shows it
+ * @param {Object} popupConfig - The popup configuration
+ * @param {Object|null} variant - Variant with an overrides field, or null for the original
+ * @returns {Object} Configuration with the variant's fields applied
+ */
+export function applyVariantOverrides(popupConfig, variant) {
+  if (!variant) return popupConfig;
+  return { ...popupConfig, ...parseVariantOverrides(variant.overrides) };
+}
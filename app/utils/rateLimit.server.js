@@ -0,0 +1,184 @@
+import { createHash } from "node:crypto";
+import { json } from "@remix-run/node";
+import prisma from "../db.server";
+
+/**
+ * Rate Limiting Utility Functions
+ *
+ * Fixed-window counters for the public storefront endpoints, keyed per shop,
+ * per hashed IP and per email. Counters live in a pluggable store:
+ * - memory: a Map in this process (default in development, lost on restart)
+ * - database: the RateLimitBucket table, shared by every app instance
+ *
+ * Set RATE_LIMIT_STORE=memory|database to override the default, which is
+ * the database store when NODE_ENV is "production".
+ */
+
+// Limits per endpoint. Each rule is { max, windowMs } for one key type.
+export const RATE_LIMITS = {
+  discount: {
+    shop: { max: 600, windowMs: 60 * 1000 },
+    ip: { max: 10, windowMs: 10 * 60 * 1000 },
+    email: { max: 5, windowMs: 60 * 60 * 1000 },
+  },
+  spin: {
+    shop: { max: 600, windowMs: 60 * 1000 },
+    ip: { max: 10, windowMs: 10 * 60 * 1000 },
+    email: { max: 5, windowMs: 60 * 60 * 1000 },
+  },
+  analytics: {
+    shop: { max: 6000, windowMs: 60 * 1000 },
+    ip: { max: 120, windowMs: 60 * 1000 },
+  },
+};
+
+/**
+ * In-process store. Fine for development and single-instance deployments.
+ * @returns {Object} Store with increment(key, windowMs)
+ */
+export function createMemoryStore() {
+  const buckets = new Map();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let bucket = buckets.get(key);
+
+      if (!bucket || bucket.resetAt <= now) {
+        bucket = { count: 0, resetAt: now + windowMs };
+        buckets.set(key, bucket);
+      }
+
+      bucket.count += 1;
+
+      // Drop expired buckets now and then so the map doesn't grow forever
+      if (buckets.size > 10000) {
+        for (const [bucketKey, value] of buckets) {
+          if (value.resetAt <= now) buckets.delete(bucketKey);
+        }
+      }
+
+      return { count: bucket.count, resetAt: new Date(bucket.resetAt) };
+    },
+  };
+}
+
+/**
+ * Database store backed by the RateLimitBucket table. The counter is
+ * incremented (or reset once its window has passed) in a single statement
+ * so concurrent requests across instances can't race each other.
+ * @returns {Object} Store with increment(key, windowMs)
+ */
+export function createDatabaseStore() {
+  return {
+    async increment(key, windowMs) {
+      const now = new Date();
+      const resetAt = new Date(now.getTime() + windowMs);
+
+      await prisma.$executeRaw`
+        INSERT INTO \`RateLimitBucket\` (\`key\`, \`count\`, \`resetAt\`)
+        VALUES (${key}, 1, ${resetAt})
+        ON DUPLICATE KEY UPDATE
+          \`count\` = IF(\`resetAt\` <= ${now}, 1, \`count\` + 1),
+          \`resetAt\` = IF(\`resetAt\` <= ${now}, ${resetAt}, \`resetAt\`)
+      `;
+
+      const bucket = await prisma.rateLimitBucket.findUnique({ where: { key } });
+
+      // Clear out old buckets on roughly 1% of requests
+      if (Math.random() < 0.01) {
+        prisma.rateLimitBucket
+          .deleteMany({ where: { resetAt: { lt: now } } })
+          .catch((error) => console.error("Failed to prune rate limit buckets:", error));
+      }
+
+      return { count: bucket.count, resetAt: bucket.resetAt };
+    },
+  };
+}
+
+let defaultStore = null;
+
+function getDefaultStore() {
+  if (!defaultStore) {
+    const storeType = process.env.RATE_LIMIT_STORE ||
+      (process.env.NODE_ENV === "production" ? "database" : "memory");
+    defaultStore = storeType === "database" ? createDatabaseStore() : createMemoryStore();
+  }
+  return defaultStore;
+}
+
+/**
+ * Use a different store (e.g. a Redis-backed one) for all rate limiting
+ * @param {Object} store - Object with increment(key, windowMs) => { count, resetAt }
+ */
+export function setRateLimitStore(store) {
+  defaultStore = store;
+}
+
+/**
+ * Count a request against every applicable limit for an endpoint
+ * @param {string} scope - Key of RATE_LIMITS (discount, spin, analytics)
+ * @param {Object} identity
+ * @param {string} identity.shop - The shop domain
+ * @param {string|null} [identity.ipHash] - Hashed client IP
+ * @param {string|null} [identity.email] - Shopper email
+ * @returns {Promise<Object>} { limited: boolean, retryAfter: seconds }
+ */
+export async function checkRateLimit(scope, { shop, ipHash = null, email = null }) {
+  const rules = RATE_LIMITS[scope];
+  const store = getDefaultStore();
+
+  const keys = [
+    ["shop", shop],
+    ["ip", ipHash],
+    ["email", email ? email.trim().toLowerCase() : null],
+  ].filter(([type, value]) => value && rules[type]);
+
+  let retryAfter = 0;
+  for (const [type, value] of keys) {
+    const rule = rules[type];
+    // Hash the identity so keys stay short and emails aren't stored in the clear
+    const digest = createHash("sha256").update(`${shop}:${value}`).digest("hex");
+    const { count, resetAt } = await store.increment(
+      `${scope}:${type}:${digest}`,
+      rule.windowMs,
+    );
+
+    if (count > rule.max) {
+      retryAfter = Math.max(retryAfter, Math.ceil((resetAt.getTime() - Date.now()) / 1000), 1);
+    }
+  }
+
+  return { limited: retryAfter > 0, retryAfter };
+}
+
+// Hidden form field rendered by popup.js. Shoppers never see it, bots fill it in.
+export const HONEYPOT_FIELD = "website";
+
+/**
+ * Check whether a storefront form submission filled in the honeypot field
+ * @param {FormData} formData - The submitted form data
+ * @returns {boolean} True if the submission looks automated
+ */
+export function isHoneypotTripped(formData) {
+  const value = formData.get(HONEYPOT_FIELD);
+  return typeof value === "string" && value.trim() !== "";
+}
+
+/**
+ * 429 response with a Retry-After header the popup can act on
+ * @param {number} retryAfter - Seconds until the shopper may try again
+ * @returns {Response}
+ */
+export function rateLimitResponse(retryAfter) {
+  return json({
+    error: "Too many requests. Please try again later.",
+    retryAfter
+  }, {
+    status: 429,
+    headers: {
+      "Retry-After": String(retryAfter)
+    }
+  });
+}
@@ -0,0 +1,171 @@
+import prisma from "../db.server";
+import { redactShop } from "./compliance.server";
+import { DEFAULT_SHOP_SETTINGS, updateShopSettings } from "./shopSettings.server";
+
+/**
+ * Data Retention Utility Functions
+ *
+ * - Uninstalling marks the shop for a purge after a grace period. Nothing
+ *   is deleted until then, so reinstalling in time just cancels the purge.
+ * - Analytics events older than the shop's analyticsRetentionDays are
+ *   deleted. Spins and issued codes live in WheelSpin and DiscountCode, so
+ *   pruning never lets a shopper spin or claim a code again.
+ *
+ * Both run from a job that each server process starts once at boot (see
+ * entry.server.jsx). Shopify also sends shop/redact 48 hours after an
+ * uninstall, which erases the shop straight away, so the grace period only
+ * matters when that webhook doesn't arrive.
+ */
+
+// Days an uninstalled shop's data is kept if Shopify's shop/redact never
+// arrives - long enough to reinstall after a mistaken uninstall
+export const UNINSTALL_GRACE_DAYS = Number(process.env.UNINSTALL_GRACE_DAYS) || 30;
+
+const JOB_INTERVAL_MS = 60 * 60 * 1000;
+const FIRST_RUN_DELAY_MS = 60 * 1000;
+
+// Analytics rows deleted per query, so pruning never holds a long lock
+const DELETE_BATCH_SIZE = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Mark an uninstalled shop's data for deletion after the grace period
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Object>} The updated settings
+ */
+export async function scheduleShopPurge(shop) {
+  const now = new Date();
+  return updateShopSettings(shop, {
+    uninstalledAt: now,
+    purgeAfter: new Date(now.getTime() + UNINSTALL_GRACE_DAYS * DAY_MS)
+  });
+}
+
+/**
+ * Cancel a pending purge when a shop reinstalls the app
+ * @param {string} shop - The shop domain
+ * @returns {Promise<boolean>} Whether a purge was pending
+ */
+export async function cancelShopPurge(shop) {
+  const { count } = await prisma.shopSettings.updateMany({
+    where: { shop, purgeAfter: { not: null } },
+    data: { uninstalledAt: null, purgeAfter: null }
+  });
+  return count > 0;
+}
+
+/**
+ * Erase the shops whose grace period is over
+ * @returns {Promise<number>} Shops purged
+ */
+export async function purgeUninstalledShops() {
+  const due = await prisma.shopSettings.findMany({
+    where: { purgeAfter: { lte: new Date() } },
+    select: { shop: true }
+  });
+
+  let purged = 0;
+  for (const { shop } of due) {
+    // A shop that reinstalled has a session again - keep its data
+    const session = await prisma.session.findFirst({ where: { shop }, select: { id: true } });
+    if (session) {
+      await cancelShopPurge(shop);
+      continue;
+    }
+
+    await redactShop(shop, { topic: "app/uninstalled" });
+    purged++;
+  }
+  return purged;
+}
+
+/**
+ * Delete one shop's analytics events older than a number of days
+ * @param {string} shop - The shop domain
+ * @param {number} retentionDays - Days to keep; 0 keeps everything
+ * @returns {Promise<number>} Events deleted
+ */
+export async function pruneShopAnalytics(shop, retentionDays) {
+  if (!retentionDays || retentionDays <= 0) return 0;
+
+  const cutoff = new Date(Date.now() - retentionDays * DAY_MS);
+  let deleted = 0;
+
+  for (;;) {
+    const batch = await prisma.popupAnalytics.findMany({
+      where: { shop, timestamp: { lt: cutoff } },
+      select: { id: true },
+      take: DELETE_BATCH_SIZE
+    });
+    if (batch.length === 0) break;
+
+    const { count } = await prisma.popupAnalytics.deleteMany({
+      where: { id: { in: batch.map((event) => event.id) } }
+    });
+    deleted += count;
+
+    if (batch.length < DELETE_BATCH_SIZE) break;
+  }
+  return deleted;
+}
+
+/**
+ * Apply every shop's analytics retention window. Shops that never saved
+ * settings use the default.
+ * @returns {Promise<number>} Events deleted
+ */
+export async function pruneExpiredAnalytics() {
+  const [shops, settings] = await Promise.all([
+    prisma.popupAnalytics.groupBy({ by: ["shop"] }),
+    prisma.shopSettings.findMany({ select: { shop: true, analyticsRetentionDays: true } })
+  ]);
+  const retentionByShop = new Map(settings.map((row) => [row.shop, row.analyticsRetentionDays]));
+
+  let deleted = 0;
+  for (const { shop } of shops) {
+    const retentionDays = retentionByShop.get(shop) ?? DEFAULT_SHOP_SETTINGS.analyticsRetentionDays;
+    deleted += await pruneShopAnalytics(shop, retentionDays);
+  }
+  return deleted;
+}
+
+/**
+ * Run one pass of the retention job
+ * @returns {Promise<Object>} { shopsPurged, eventsDeleted }
+ */
+export async function runRetentionJob() {
+  const shopsPurged = await purgeUninstalledShops();
+  const eventsDeleted = await pruneExpiredAnalytics();
+
+  if (shopsPurged > 0 || eventsDeleted > 0) {
+    console.log(`Retention job: purged ${shopsPurged} shops, deleted ${eventsDeleted} analytics events`);
+  }
+  return { shopsPurged, eventsDeleted };
+}
+
+/**
+ * Start the hourly retention job. Safe to call more than once - dev
+ * reloads reuse the running timer.
+ */
+export function startRetentionJob() {
+  if (global.retentionJobStarted) return;
+  global.retentionJobStarted = true;
+
+  // Skip a tick if the previous pass is still going
+  let running = false;
+  const run = () => {
+    if (running) return;
+    running = true;
+    runRetentionJob()
+      .catch((error) => {
+        console.error("Error running retention job:", error);
+      })
+      .finally(() => {
+        running = false;
+      });
+  };
+
+  setTimeout(run, FIRST_RUN_DELAY_MS).unref();
+  setInterval(run, JOB_INTERVAL_MS).unref();
+}
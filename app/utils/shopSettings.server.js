@@ -0,0 +1,52 @@
+import prisma from "../db.server";
+
+/**
+ * Shop Settings Utility Functions
+ *
+ * App-wide settings for a shop (ShopSettings). A shop without a row uses
+ * the defaults below, so settings only need saving once changed.
+ */
+
+export const DEFAULT_SHOP_SETTINGS = {
+  // Off until the merchant turns it on - subscribers already collected are
+  // pushed to Shopify then
+  customerSyncEnabled: false,
+  // {type} is replaced with the popup type, e.g. "quickpop-wheel"
+  customerTag: "quickpop-{type}",
+  // Analytics events older than this are deleted; 0 keeps them forever
+  analyticsRetentionDays: 365,
+  // Don't store user agents or IP hashes with analytics events
+  privacyMode: false,
+  // Only show popups to visitors who accepted marketing in the cookie banner
+  requireMarketingConsent: false,
+};
+
+// Retention periods a merchant can pick, in days
+export const ANALYTICS_RETENTION_DAYS = [30, 90, 180, 365, 730, 0];
+
+/**
+ * Get a shop's settings
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Object>} The saved settings, or the defaults
+ */
+export async function getShopSettings(shop) {
+  const settings = await prisma.shopSettings.findUnique({
+    where: { shop }
+  });
+
+  return settings || { shop, ...DEFAULT_SHOP_SETTINGS };
+}
+
+/**
+ * Save some of a shop's settings
+ * @param {string} shop - The shop domain
+ * @param {Object} changes - Settings to change
+ * @returns {Promise<Object>} The saved settings
+ */
+export async function updateShopSettings(shop, changes) {
+  return prisma.shopSettings.upsert({
+    where: { shop },
+    update: changes,
+    create: { shop, ...DEFAULT_SHOP_SETTINGS, ...changes }
+  });
+}
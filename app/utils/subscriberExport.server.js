@@ -0,0 +1,160 @@
+import prisma from "../db.server";
+import {
+  buildSubscriberOrderBy,
+  buildSubscriberWhere,
+  normalizeEmail,
+} from "./subscribers.server";
+
+/**
+ * Subscriber CSV Export
+ *
+ * Streams a shop's subscribers as CSV, a batch at a time, so exporting a
+ * large list never loads it all into memory. The export uses the same
+ * search, consent filter and sort as the admin list.
+ */
+
+// Subscribers read from the database per batch
+const BATCH_SIZE = 500;
+
+const CSV_COLUMNS = [
+  "Email",
+  "Consent status",
+  "Source popup",
+  "Signup date",
+  "Last activity",
+  "Discount codes issued",
+  "Discount codes used",
+  "Discount codes",
+  "Prizes won",
+  "Tags",
+];
+
+/**
+ * Escape one CSV field. Values that a spreadsheet would run as a formula
+ * (starting with =, +, - or @) are prefixed with a quote.
+ * @param {*} value - Field value
+ * @returns {string} CSV-safe field
+ */
+export function toCsvField(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const toCsvRow = (fields) => `${fields.map(toCsvField).join(",")}\r\n`;
+
+const parseTags = (value) => {
+  try {
+    const tags = JSON.parse(value || "[]");
+    return Array.isArray(tags) ? tags : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+// Discount codes and prizes for one batch of subscribers, keyed by email
+async function loadBatchDetails(shop, emails) {
+  const [discountCodes, wins] = await Promise.all([
+    prisma.discountCode.findMany({
+      where: { shop, email: { in: emails } },
+      select: { email: true, code: true, usageCount: true },
+      orderBy: { createdAt: "asc" }
+    }),
+    prisma.popupAnalytics.findMany({
+      where: { shop, email: { in: emails }, eventType: "win" },
+      select: { email: true, prizeLabel: true },
+      orderBy: { timestamp: "asc" }
+    })
+  ]);
+
+  const details = new Map(emails.map((email) => [email, { codes: [], usedCodes: 0, prizes: [] }]));
+  discountCodes.forEach((discount) => {
+    const entry = details.get(normalizeEmail(discount.email));
+    if (!entry) return;
+    entry.codes.push(discount.code);
+    if (discount.usageCount > 0) entry.usedCodes++;
+  });
+  wins.forEach((win) => {
+    const entry = details.get(normalizeEmail(win.email));
+    if (entry && win.prizeLabel) entry.prizes.push(win.prizeLabel);
+  });
+
+  return details;
+}
+
+/**
+ * Stream a shop's subscribers as CSV
+ * @param {string} shop - The shop domain
+ * @param {Object} [filters]
+ * @param {string} [filters.search] - Part of an email
+ * @param {string} [filters.consentStatus] - Only subscribers with this status
+ * @param {string} [filters.sortBy] - Sort key used by the admin list
+ * @param {string} [filters.sortOrder] - "asc" or "desc"
+ * @returns {ReadableStream<Uint8Array>} UTF-8 CSV with a header row
+ */
+export function createSubscriberCsvStream(shop, { search = "", consentStatus = "", sortBy, sortOrder } = {}) {
+  const encoder = new TextEncoder();
+  const where = buildSubscriberWhere(shop, { search, consentStatus });
+  const orderBy = buildSubscriberOrderBy(sortBy, sortOrder);
+  let popupNames = null;
+  let cursor = null;
+
+  return new ReadableStream({
+    async start(controller) {
+      const popups = await prisma.popupConfig.findMany({
+        where: { shop },
+        select: { id: true, name: true }
+      });
+      popupNames = new Map(popups.map((popup) => [popup.id, popup.name]));
+
+      // The byte order mark makes Excel read the file as UTF-8
+      controller.enqueue(encoder.encode(`\uFEFF${toCsvRow(CSV_COLUMNS)}`));
+    },
+
+    // Called whenever the client is ready for more, so a slow download
+    // doesn't pile batches up in memory
+    async pull(controller) {
+      try {
+        const subscribers = await prisma.subscriber.findMany({
+          where,
+          orderBy,
+          take: BATCH_SIZE,
+          ...(cursor && { cursor: { id: cursor }, skip: 1 })
+        });
+
+        if (subscribers.length === 0) {
+          controller.close();
+          return;
+        }
+        cursor = subscribers[subscribers.length - 1].id;
+
+        const details = await loadBatchDetails(shop, subscribers.map((subscriber) => subscriber.email));
+        const rows = subscribers.map((subscriber) => {
+          const { codes, usedCodes, prizes } = details.get(subscriber.email);
+          return toCsvRow([
+            subscriber.email,
+            subscriber.consentStatus,
+            popupNames.get(subscriber.sourcePopupId) || (subscriber.sourcePopupId ? "Deleted popup" : ""),
+            subscriber.firstSeenAt.toISOString(),
+            subscriber.lastSeenAt.toISOString(),
+            codes.length,
+            usedCodes,
+            codes.join("; "),
+            prizes.join("; "),
+            parseTags(subscriber.tags).join("; ")
+          ]);
+        });
+        controller.enqueue(encoder.encode(rows.join("")));
+
+        if (subscribers.length < BATCH_SIZE) {
+          controller.close();
+        }
+      } catch (error) {
+        console.error("Error exporting subscribers:", error);
+        controller.error(error);
+      }
+    }
+  });
+}
@@ -0,0 +1,34 @@
+import { describe, expect, it, vi } from "vitest";
+import { toCsvField } from "./subscriberExport.server";
+
+vi.mock("../db.server", () => ({ default: {} }));
+vi.mock("@prisma/client", () => ({ Prisma: { join: (values) => values } }));
+
+describe("toCsvField", () => {
+  it("writes empty fields for missing values", () => {
+    expect(toCsvField(null)).toBe("");
+    expect(toCsvField(undefined)).toBe("");
+  });
+
+  it("leaves plain values alone", () => {
+    expect(toCsvField("shopper@example.com")).toBe("shopper@example.com");
+    expect(toCsvField(42)).toBe("42");
+    expect(toCsvField(false)).toBe("false");
+  });
+
+  it("quotes fields with commas, quotes or line breaks", () => {
+    expect(toCsvField("10% OFF, free shipping")).toBe('"10% OFF, free shipping"');
+    expect(toCsvField('The "VIP" list')).toBe('"The ""VIP"" list"');
+    expect(toCsvField("line one\nline two")).toBe('"line one\nline two"');
+    expect(toCsvField("line one\r\nline two")).toBe('"line one\r\nline two"');
+  });
+
+  it("stops spreadsheets from running values as formulas", () => {
+    expect(toCsvField("=HYPERLINK(\"http://evil.test\")")).toBe('"\'=HYPERLINK(""http://evil.test"")"');
+    expect(toCsvField("+1 555 0100")).toBe("'+1 555 0100");
+    expect(toCsvField("-5")).toBe("'-5");
+    expect(toCsvField("@SUM(A1)")).toBe("'@SUM(A1)");
+    expect(toCsvField("\tcmd")).toBe("'\tcmd");
+    expect(toCsvField("\rcmd")).toBe('"\'\rcmd"');
+  });
+});
@@ -0,0 +1,474 @@
+import { Prisma } from "@prisma/client";
+import prisma from "../db.server";
+import { isExplicitConsent, parseMarketingConsent } from "./marketingConsent";
+
+/**
+ * Subscriber Utility Functions
+ *
+ * Every email a shopper enters in a popup becomes a Subscriber row, one per
+ * shop and (lowercased) email. The row keeps running counts of the
+ * shopper's popup activity so the admin list can search, sort and paginate
+ * in the database instead of rebuilding it from PopupAnalytics.
+ *
+ * Subscriber.tags is a JSON array of strings and Subscriber.customFields a
+ * JSON object of string values.
+ *
+ * consentStatus is "subscribed" for signups through popups that treat the
+ * signup as consent. Popups with a consent checkbox or double opt-in record
+ * consent themselves: "not_subscribed" until the box is ticked, "pending"
+ * until the confirmation link is clicked.
+ */
+
+export const CONSENT_STATUSES = ["subscribed", "pending", "not_subscribed", "unsubscribed"];
+
+// Sort options in the admin list, mapped to Subscriber columns
+const SORT_COLUMNS = {
+  email: "email",
+  firstEmailEntry: "firstSeenAt",
+  lastActivity: "lastSeenAt",
+  timestamp: "lastSeenAt",
+  totalInteractions: "interactionCount",
+  wins: "winCount",
+  totalDiscounts: "discountCount",
+};
+
+const MAX_PAGE_SIZE = 250;
+
+// Latest events shown per subscriber in the details view
+const HISTORY_PER_SUBSCRIBER = 20;
+
+/**
+ * Normalize an email for storage and lookups
+ * @param {string} email - Email as entered
+ * @returns {string} Trimmed, lowercased email
+ */
+export function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+const parseJson = (value, fallback) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.warn("Invalid subscriber JSON:", error);
+    return fallback;
+  }
+};
+
+/**
+ * Record a popup event for the shopper behind an email, creating the
+ * subscriber on their first event. Only the signup endpoints, which check
+ * the popup, the email and per-email rate limits, create subscribers -
+ * storefront analytics events just count on existing ones.
+ * @param {string} shop - The shop domain
+ * @param {Object} event
+ * @param {string} event.email - The shopper's email
+ * @param {string} event.eventType - Analytics event type, e.g. "email_entered"
+ * @param {string} [event.popupId] - The popup the event came from
+ * @param {boolean} [event.createIfMissing] - Create the subscriber if there isn't one
+ * @returns {Promise<Object|null>} The subscriber, or null for an empty email or no subscriber
+ */
+export async function recordSubscriberActivity(shop, { email, eventType, popupId = null, createIfMissing = true }) {
+  const normalizedEmail = normalizeEmail(email);
+  if (!normalizedEmail) return null;
+
+  const now = new Date();
+  const counts = {
+    signupCount: eventType === "email_entered" ? 1 : 0,
+    interactionCount: 1,
+    spinCount: eventType === "spin" ? 1 : 0,
+    winCount: eventType === "win" ? 1 : 0,
+  };
+
+  const upsert = async () => {
+    const existing = await prisma.subscriber.findUnique({
+      where: { shop_email: { shop, email: normalizedEmail } },
+      select: { id: true, syncStatus: true }
+    });
+
+    if (existing) {
+      // Signing up again gives a failed or skipped Shopify sync another go
+      const requeueSync = eventType === "email_entered" && ["failed", "skipped"].includes(existing.syncStatus);
+      return prisma.subscriber.update({
+        where: { id: existing.id },
+        data: {
+          lastSeenAt: now,
+          ...Object.fromEntries(
+            Object.entries(counts).map(([field, amount]) => [field, { increment: amount }])
+          ),
+          ...(requeueSync && { syncStatus: "pending", syncAttempts: 0, syncError: null, nextSyncAt: now })
+        }
+      });
+    }
+
+    if (!createIfMissing) {
+      return null;
+    }
+
+    // Codes can be issued before the signup event arrives, so count them here
+    const [discountCount, consentStatus] = await Promise.all([
+      prisma.discountCode.count({
+        where: { shop, email: normalizedEmail }
+      }),
+      getDefaultConsentStatus(shop, popupId)
+    ]);
+
+    return prisma.subscriber.create({
+      data: {
+        shop,
+        email: normalizedEmail,
+        firstSeenAt: now,
+        lastSeenAt: now,
+        sourcePopupId: popupId,
+        consentStatus,
+        discountCount,
+        ...counts
+      }
+    });
+  };
+
+  try {
+    return await upsert();
+  } catch (error) {
+    // Another request created the subscriber first - count this event on it
+    if (error.code === "P2002") {
+      return upsert();
+    }
+    throw error;
+  }
+}
+
+// New subscribers from popups that ask for consent start out not subscribed
+async function getDefaultConsentStatus(shop, popupId) {
+  if (!popupId) return "subscribed";
+
+  const popupConfig = await prisma.popupConfig.findFirst({
+    where: { id: popupId, shop },
+    select: { marketingConsent: true }
+  });
+  return isExplicitConsent(parseMarketingConsent(popupConfig?.marketingConsent))
+    ? "not_subscribed"
+    : "subscribed";
+}
+
+/**
+ * Save a shopper's marketing consent, creating the subscriber if needed.
+ * "not_subscribed" never changes an existing subscriber's status, and
+ * "pending" doesn't move someone who already subscribed back.
+ * @param {string} shop - The shop domain
+ * @param {Object} details
+ * @param {string} details.email - The shopper's email
+ * @param {string|null} [details.popupId] - Popup the consent was given in
+ * @param {string} details.consentStatus - One of CONSENT_STATUSES
+ * @param {Object} [details.consent] - consentedAt, consentText, consentTextVersion and/or confirmedAt
+ * @returns {Promise<Object|null>} The subscriber, or null for an empty email
+ */
+export async function saveSubscriberConsent(shop, { email, popupId = null, consentStatus, consent = {} }) {
+  const normalizedEmail = normalizeEmail(email);
+  if (!normalizedEmail) return null;
+
+  const upsert = async () => {
+    const existing = await prisma.subscriber.findUnique({
+      where: { shop_email: { shop, email: normalizedEmail } },
+      select: { id: true, consentStatus: true, syncStatus: true }
+    });
+
+    if (existing) {
+      const keepStatus =
+        consentStatus === "not_subscribed" ||
+        (consentStatus === "pending" && existing.consentStatus === "subscribed");
+      const nextStatus = keepStatus ? existing.consentStatus : consentStatus;
+      // Newly subscribed shoppers get a skipped or failed Shopify sync another go
+      const requeueSync = nextStatus === "subscribed" && ["failed", "skipped"].includes(existing.syncStatus);
+
+      return prisma.subscriber.update({
+        where: { id: existing.id },
+        data: {
+          consentStatus: nextStatus,
+          ...consent,
+          ...(requeueSync && { syncStatus: "pending", syncAttempts: 0, syncError: null, nextSyncAt: new Date() })
+        }
+      });
+    }
+
+    const now = new Date();
+    const discountCount = await prisma.discountCode.count({
+      where: { shop, email: normalizedEmail }
+    });
+
+    return prisma.subscriber.create({
+      data: {
+        shop,
+        email: normalizedEmail,
+        firstSeenAt: now,
+        lastSeenAt: now,
+        sourcePopupId: popupId,
+        consentStatus,
+        discountCount,
+        ...consent
+      }
+    });
+  };
+
+  try {
+    return await upsert();
+  } catch (error) {
+    // Another request created the subscriber first - update that one
+    if (error.code === "P2002") {
+      return upsert();
+    }
+    throw error;
+  }
+}
+
+/**
+ * Count a discount code issued to a subscriber
+ * @param {string} shop - The shop domain
+ * @param {string} email - The shopper's email
+ * @returns {Promise<void>}
+ */
+export async function recordSubscriberDiscount(shop, email) {
+  await prisma.subscriber.updateMany({
+    where: { shop, email: normalizeEmail(email) },
+    data: { discountCount: { increment: 1 } }
+  });
+}
+
+/**
+ * Build the Prisma where clause for the admin list
+ * @param {string} shop - The shop domain
+ * @param {Object} [filters]
+ * @param {string} [filters.search] - Part of an email
+ * @param {string} [filters.consentStatus] - Only subscribers with this status
+ * @returns {Object} Prisma where clause
+ */
+export function buildSubscriberWhere(shop, { search = "", consentStatus = "" } = {}) {
+  return {
+    shop,
+    ...(search && { email: { contains: normalizeEmail(search) } }),
+    ...(CONSENT_STATUSES.includes(consentStatus) && { consentStatus })
+  };
+}
+
+/**
+ * Build the Prisma orderBy for the admin list
+ * @param {string} sortBy - A key of SORT_COLUMNS
+ * @param {string} sortOrder - "asc" or "desc"
+ * @returns {Array<Object>} Prisma orderBy, with the id as a tie-breaker so pages don't overlap
+ */
+export function buildSubscriberOrderBy(sortBy, sortOrder) {
+  const direction = sortOrder === "asc" ? "asc" : "desc";
+  return [{ [SORT_COLUMNS[sortBy] || "lastSeenAt"]: direction }, { id: direction }];
+}
+
+/**
+ * One page of a shop's subscribers, searched and sorted in the database
+ * @param {string} shop - The shop domain
+ * @param {Object} options
+ * @param {number} [options.page] - 1-based page number
+ * @param {number} [options.limit] - Page size (at most 250)
+ * @param {string} [options.search] - Part of an email
+ * @param {string} [options.consentStatus] - Only subscribers with this status
+ * @param {string} [options.sortBy] - A key of SORT_COLUMNS
+ * @param {string} [options.sortOrder] - "asc" or "desc"
+ * @returns {Promise<Object>} { subscribers, total, page, limit }
+ */
+export async function listSubscribers(shop, {
+  page = 1,
+  limit = 50,
+  search = "",
+  consentStatus = "",
+  sortBy = "lastActivity",
+  sortOrder = "desc",
+} = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_PAGE_SIZE);
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const where = buildSubscriberWhere(shop, { search, consentStatus });
+
+  const [subscribers, total] = await Promise.all([
+    prisma.subscriber.findMany({
+      where,
+      orderBy: buildSubscriberOrderBy(sortBy, sortOrder),
+      skip: (pageNumber - 1) * pageSize,
+      take: pageSize
+    }),
+    prisma.subscriber.count({ where })
+  ]);
+
+  return {
+    subscribers: subscribers.map(toSubscriberResponse),
+    total,
+    page: pageNumber,
+    limit: pageSize
+  };
+}
+
+/**
+ * Totals for the subscriber summary cards
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Object>} Summary counts
+ */
+export async function getSubscriberSummary(shop) {
+  const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+
+  const [totals, activeSubscribers] = await Promise.all([
+    prisma.subscriber.aggregate({
+      where: { shop },
+      _count: { _all: true },
+      _sum: {
+        signupCount: true,
+        interactionCount: true,
+        spinCount: true,
+        winCount: true,
+        discountCount: true
+      }
+    }),
+    prisma.subscriber.count({
+      where: { shop, lastSeenAt: { gte: thirtyDaysAgo } }
+    })
+  ]);
+
+  return {
+    totalSubscribers: totals._count._all,
+    totalDiscountCodes: totals._sum.discountCount || 0,
+    totalPopupInteractions: totals._sum.interactionCount || 0,
+    totalEmailEntries: totals._sum.signupCount || 0,
+    totalWins: totals._sum.winCount || 0,
+    totalSpins: totals._sum.spinCount || 0,
+    activeSubscribers
+  };
+}
+
+/**
+ * Shape a Subscriber row for API responses
+ * @param {Object} subscriber - The Subscriber record
+ * @returns {Object} Subscriber with parsed tags and custom fields
+ */
+export function toSubscriberResponse(subscriber) {
+  return {
+    id: subscriber.id,
+    email: subscriber.email,
+    firstEmailEntry: subscriber.firstSeenAt,
+    lastActivity: subscriber.lastSeenAt,
+    source: "popup",
+    sourcePopupId: subscriber.sourcePopupId,
+    consentStatus: subscriber.consentStatus,
+    consent: {
+      consentedAt: subscriber.consentedAt,
+      text: subscriber.consentText,
+      textVersion: subscriber.consentTextVersion,
+      confirmedAt: subscriber.confirmedAt
+    },
+    tags: parseJson(subscriber.tags, []),
+    customFields: parseJson(subscriber.customFields, {}),
+    popupInteractions: {
+      totalInteractions: subscriber.interactionCount,
+      emailEntries: subscriber.signupCount,
+      spins: subscriber.spinCount,
+      wins: subscriber.winCount
+    },
+    totalDiscounts: subscriber.discountCount,
+    shopifySync: {
+      status: subscriber.syncStatus,
+      customerId: subscriber.shopifyCustomerId,
+      attempts: subscriber.syncAttempts,
+      error: subscriber.syncError,
+      syncedAt: subscriber.syncedAt
+    }
+  };
+}
+
+/**
+ * Add recent popup activity, every prize won and discount codes to a page
+ * of subscribers, for the details view
+ * @param {string} shop - The shop domain
+ * @param {Array<Object>} subscribers - Subscribers from listSubscribers
+ * @returns {Promise<Array<Object>>} Subscribers with interactionHistory,
+ *   prizesWon, discountCodes and activeDiscounts
+ */
+export async function withSubscriberActivity(shop, subscribers) {
+  if (subscribers.length === 0) return subscribers;
+
+  const emails = subscribers.map((subscriber) => subscriber.email);
+
+  const [events, wins, losses, discountCodes] = await Promise.all([
+    // The latest few events for each subscriber, so a very active one
+    // doesn't crowd out the rest of the page
+    prisma.$queryRaw`
+      SELECT \`email\`, \`eventType\`, \`timestamp\`, \`discountCode\`, \`prizeLabel\`, \`sessionId\`
+      FROM (
+        SELECT \`email\`, \`eventType\`, \`timestamp\`, \`discountCode\`, \`prizeLabel\`, \`sessionId\`,
+          ROW_NUMBER() OVER (PARTITION BY LOWER(TRIM(\`email\`)) ORDER BY \`timestamp\` DESC) AS \`position\`
+        FROM \`PopupAnalytics\`
+        WHERE \`shop\` = ${shop} AND \`email\` IN (${Prisma.join(emails)})
+      ) AS \`recent\`
+      WHERE \`position\` <= ${HISTORY_PER_SUBSCRIBER}
+      ORDER BY \`timestamp\` DESC
+    `,
+    // Every prize, not just those still in the recent history
+    prisma.popupAnalytics.findMany({
+      where: { shop, email: { in: emails }, eventType: "win", prizeLabel: { not: null } },
+      select: { email: true, prizeLabel: true, discountCode: true, timestamp: true },
+      orderBy: { timestamp: "desc" }
+    }),
+    prisma.popupAnalytics.groupBy({
+      by: ["email"],
+      where: { shop, email: { in: emails }, eventType: "lose" },
+      _count: { _all: true }
+    }),
+    prisma.discountCode.findMany({
+      where: { shop, email: { in: emails } },
+      select: {
+        email: true,
+        createdAt: true,
+        code: true,
+        discountType: true,
+        discountValue: true,
+        usageCount: true,
+        isActive: true,
+        endsAt: true
+      },
+      orderBy: { createdAt: "desc" }
+    })
+  ]);
+
+  const lossesByEmail = new Map();
+  for (const row of losses) {
+    const email = normalizeEmail(row.email);
+    lossesByEmail.set(email, (lossesByEmail.get(email) || 0) + row._count._all);
+  }
+
+  return subscribers.map((subscriber) => {
+    const history = events.filter((event) => normalizeEmail(event.email) === subscriber.email);
+    const codes = discountCodes.filter((discount) => discount.email === subscriber.email);
+
+    return {
+      ...subscriber,
+      popupInteractions: {
+        ...subscriber.popupInteractions,
+        losses: lossesByEmail.get(subscriber.email) || 0
+      },
+      interactionHistory: history.map((event) => ({
+        type: event.eventType,
+        timestamp: event.timestamp,
+        discountCode: event.discountCode,
+        prizeLabel: event.prizeLabel,
+        sessionId: event.sessionId
+      })),
+      prizesWon: wins
+        .filter((event) => normalizeEmail(event.email) === subscriber.email)
+        .map((event) => ({ prize: event.prizeLabel, code: event.discountCode, timestamp: event.timestamp })),
+      discountCodes: codes.map((discount) => ({
+        code: discount.code,
+        type: discount.discountType,
+        value: discount.discountValue,
+        usageCount: discount.usageCount,
+        isActive: discount.isActive,
+        createdAt: discount.createdAt,
+        endsAt: discount.endsAt
+      })),
+      activeDiscounts: codes.filter((discount) => discount.isActive).length
+    };
+  });
+}
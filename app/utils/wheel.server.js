@@ -0,0 +1,309 @@
+import { randomInt } from "node:crypto";
+import prisma from "../db.server";
+import { recordSubscriberActivity } from "./subscribers.server";
+
+/**
+ * Spin Wheel Utility Functions
+ *
+ * The storefront never decides the outcome of a spin. The popup asks the
+ * server for a result, the server picks a segment using the merchant's
+ * weights, records it against the shopper's email and returns the segment
+ * index for the wheel to animate to. Winners then claim a unique discount
+ * code through the generate-discount endpoint.
+ *
+ * Spins are kept in WheelSpin, one per shopper per popup. The spin analytics
+ * events are only for the stats.
+ */
+
+// Default segments used when a wheel popup has none saved (mirrors popup.js)
+export const DEFAULT_WHEEL_SEGMENTS = [
+  { label: "5% OFF", color: "#0a2a43", discountType: "percentage", discountValue: "5" },
+  { label: "10% OFF", color: "#133b5c", discountType: "percentage", discountValue: "10" },
+  { label: "15% OFF", color: "#0a2a43", discountType: "percentage", discountValue: "15" },
+  { label: "20% OFF", color: "#133b5c", discountType: "percentage", discountValue: "20" },
+  { label: "FREE SHIPPING", color: "#0a2a43", discountType: "shipping", discountValue: "100" },
+  { label: "TRY AGAIN", color: "#133b5c", discountType: "none", discountValue: null },
+];
+
+// Resolution used when turning a random integer into a weighted pick
+const RANDOM_RESOLUTION = 1000000;
+
+/**
+ * Parse the segments stored on a popup configuration
+ * @param {string|Array|null} segments - JSON string or array of segments
+ * @returns {Array} The parsed segments, or the defaults if none are usable
+ */
+export function parseSegments(segments) {
+  if (Array.isArray(segments) && segments.length > 0) {
+    return segments;
+  }
+
+  if (typeof segments === "string" && segments.trim() !== "") {
+    try {
+      const parsed = JSON.parse(segments);
+      if (Array.isArray(parsed) && parsed.length > 0) {
+        return parsed;
+      }
+    } catch (error) {
+      console.warn("Failed to parse wheel segments:", error);
+    }
+  }
+
+  return DEFAULT_WHEEL_SEGMENTS;
+}
+
+/**
+ * Get the weight of a segment. Segments without a weight count as 1 so
+ * wheels saved before weights existed keep equal odds.
+ * @param {Object} segment - Wheel segment
+ * @returns {number} A non-negative weight
+ */
+export function getSegmentWeight(segment) {
+  if (segment?.weight === undefined || segment?.weight === null || segment?.weight === "") {
+    return 1;
+  }
+
+  const weight = parseFloat(segment.weight);
+  return Number.isFinite(weight) && weight > 0 ? weight : 0;
+}
+
+/**
+ * Get the discount a segment awards. Segments saved before prize types
+ * existed only have a static `code`, so their offer is read from the label.
+ * @param {Object} segment - Wheel segment
+ * @returns {Object|null} { discountType, discountValue } or null for no prize
+ */
+export function getSegmentOffer(segment) {
+  if (!segment) {
+    return null;
+  }
+
+  if (segment.discountType) {
+    if (segment.discountType === "none") {
+      return null;
+    }
+    if (segment.discountType === "shipping") {
+      return { discountType: "shipping", discountValue: "100" };
+    }
+
+    const value = parseFloat(segment.discountValue);
+    return Number.isFinite(value) && value > 0
+      ? { discountType: segment.discountType, discountValue: String(value) }
+      : null;
+  }
+
+  // Legacy segment - only segments with a code were prizes
+  if (!segment.code) {
+    return null;
+  }
+
+  const label = String(segment.label || "").toUpperCase();
+  if (label.includes("SHIPPING") || segment.value === "shipping") {
+    return { discountType: "shipping", discountValue: "100" };
+  }
+
+  const percentMatch = label.match(/(\d+(?:\.\d+)?)\s*%/);
+  if (percentMatch) {
+    return { discountType: "percentage", discountValue: percentMatch[1] };
+  }
+
+  const amountMatch = label.match(/\$\s*(\d+(?:\.\d+)?)/);
+  if (amountMatch) {
+    return { discountType: "fixed_amount", discountValue: amountMatch[1] };
+  }
+
+  const value = parseFloat(segment.value);
+  return Number.isFinite(value) && value > 0
+    ? { discountType: "percentage", discountValue: String(value) }
+    : null;
+}
+
+/**
+ * Check whether a segment awards a prize
+ * @param {Object} segment - Wheel segment
+ * @returns {boolean} True if landing on the segment is a win
+ */
+export function isWinningSegment(segment) {
+  return getSegmentOffer(segment) !== null;
+}
+
+/**
+ * Pick a segment index using the configured weights
+ * @param {Array} segments - Wheel segments
+ * @param {function} [randomFn] - Returns an integer in [min, max), defaults to crypto.randomInt
+ * @returns {number} The index of the selected segment
+ */
+export function pickWeightedSegmentIndex(segments, randomFn = randomInt) {
+  const weights = segments.map(getSegmentWeight);
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+  // Every segment weighted at zero - fall back to equal odds
+  if (totalWeight <= 0) {
+    return randomFn(0, segments.length);
+  }
+
+  let threshold = (randomFn(0, RANDOM_RESOLUTION) / RANDOM_RESOLUTION) * totalWeight;
+  for (let i = 0; i < weights.length; i++) {
+    if (threshold < weights[i]) {
+      return i;
+    }
+    threshold -= weights[i];
+  }
+
+  // Floating point leftovers land on the last segment with a weight
+  for (let i = weights.length - 1; i >= 0; i--) {
+    if (weights[i] > 0) {
+      return i;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Strip the fields the storefront must not see (codes and odds)
+ * @param {Array} segments - Wheel segments
+ * @returns {Array} Segments safe to send to the storefront
+ */
+export function toPublicSegments(segments) {
+  return segments.map(({ code, weight, ...segment }) => segment);
+}
+
+/**
+ * Look up the spin already recorded for a shopper on a wheel popup
+ * @param {Object} popupConfig - The wheel popup configuration
+ * @param {string} email - The shopper's email
+ * @returns {Promise<Object|null>} { segmentIndex, segment } or null if they haven't spun
+ */
+export async function getRecordedSpin(popupConfig, email) {
+  const segments = parseSegments(popupConfig.segments);
+
+  const spin = await prisma.wheelSpin.findUnique({
+    where: {
+      shop_popupId_email: {
+        shop: popupConfig.shop,
+        popupId: popupConfig.id,
+        email: email.trim().toLowerCase()
+      }
+    }
+  });
+
+  // A wheel edited down to fewer segments no longer has theirs
+  if (!spin || !segments[spin.segmentIndex]) {
+    return null;
+  }
+
+  return { segmentIndex: spin.segmentIndex, segment: segments[spin.segmentIndex] };
+}
+
+// Save a shopper's spin. Returns false when another request recorded one
+// first - the unique (shop, popupId, email) key makes sure only one wins.
+async function recordSpin(popupConfig, email, segments, segmentIndex) {
+  const key = { shop: popupConfig.shop, popupId: popupConfig.id, email };
+  const prizeLabel = segments[segmentIndex].label;
+
+  try {
+    await prisma.wheelSpin.create({ data: { ...key, segmentIndex, prizeLabel } });
+    return true;
+  } catch (error) {
+    if (error.code !== "P2002") throw error;
+  }
+
+  // Only a spin whose segment was edited away gets replaced, and only by
+  // one request if several race
+  const existing = await prisma.wheelSpin.findUnique({ where: { shop_popupId_email: key } });
+  if (!existing || segments[existing.segmentIndex]) {
+    return false;
+  }
+
+  const { count } = await prisma.wheelSpin.updateMany({
+    where: { id: existing.id, segmentIndex: existing.segmentIndex },
+    data: { segmentIndex, prizeLabel, createdAt: new Date() }
+  });
+  return count === 1;
+}
+
+/**
+ * Spin the wheel for a shopper. A shopper only ever gets one result per
+ * popup - spinning again with the same email, even at the same moment,
+ * returns the recorded result.
+ * @param {Object} popupConfig - The wheel popup configuration
+ * @param {Object} params
+ * @param {string} params.email - The shopper's email
+ * @param {string} [params.sessionId] - Storefront session id for analytics
+ * @returns {Promise<Object>} The spin result
+ */
+export async function spinWheel(popupConfig, { email, sessionId }) {
+  const segments = parseSegments(popupConfig.segments);
+  const normalizedEmail = email.trim().toLowerCase();
+
+  const previousSpin = await getRecordedSpin(popupConfig, normalizedEmail);
+  if (previousSpin) {
+    return buildSpinResult(segments, previousSpin.segmentIndex, true);
+  }
+
+  const segmentIndex = pickWeightedSegmentIndex(segments);
+  const segment = segments[segmentIndex];
+  const result = buildSpinResult(segments, segmentIndex, false);
+
+  if (!(await recordSpin(popupConfig, normalizedEmail, segments, segmentIndex))) {
+    const recordedSpin = await getRecordedSpin(popupConfig, normalizedEmail);
+    if (!recordedSpin) {
+      throw new Error(`Could not record spin for popup ${popupConfig.id}`);
+    }
+    return buildSpinResult(segments, recordedSpin.segmentIndex, true);
+  }
+
+  await prisma.popupAnalytics.create({
+    data: {
+      shop: popupConfig.shop,
+      popupId: popupConfig.id,
+      eventType: "spin",
+      email: normalizedEmail,
+      prizeLabel: segment.label,
+      sessionId: sessionId || null,
+      metadata: JSON.stringify({
+        segmentIndex,
+        totalSegments: segments.length,
+        serverSelected: true
+      })
+    }
+  });
+
+  await prisma.popupAnalytics.create({
+    data: {
+      shop: popupConfig.shop,
+      popupId: popupConfig.id,
+      eventType: result.isWinner ? "win" : "lose",
+      email: normalizedEmail,
+      prizeLabel: segment.label,
+      sessionId: sessionId || null,
+      metadata: JSON.stringify({ segmentIndex })
+    }
+  });
+
+  try {
+    await recordSubscriberActivity(popupConfig.shop, { email: normalizedEmail, eventType: "spin", popupId: popupConfig.id });
+    await recordSubscriberActivity(popupConfig.shop, {
+      email: normalizedEmail,
+      eventType: result.isWinner ? "win" : "lose",
+      popupId: popupConfig.id
+    });
+  } catch (subscriberError) {
+    console.error("Error recording subscriber activity:", subscriberError);
+  }
+
+  return result;
+}
+
+function buildSpinResult(segments, segmentIndex, alreadySpun) {
+  const segment = segments[segmentIndex];
+  const isWinner = isWinningSegment(segment);
+
+  return {
+    segmentIndex,
+    totalSegments: segments.length,
+    prizeLabel: segment.label,
+    isWinner,
+    alreadySpun
+  };
+}
@@ -0,0 +1,71 @@
+import { describe, expect, it, vi } from "vitest";
+import { getSegmentOffer, pickWeightedSegmentIndex } from "./wheel.server";
+
+vi.mock("../db.server", () => ({ default: {} }));
+
+// Stands in for crypto.randomInt, returning a fixed fraction of the range
+const fixedRandom = (fraction) => (min, max) => min + Math.floor(fraction * (max - min));
+
+describe("pickWeightedSegmentIndex", () => {
+  const segments = [{ weight: 1 }, { weight: 3 }, { weight: 0 }, { weight: 1 }];
+
+  it("walks the weights to the segment the roll lands in", () => {
+    expect(pickWeightedSegmentIndex(segments, fixedRandom(0))).toBe(0);
+    expect(pickWeightedSegmentIndex(segments, fixedRandom(0.19))).toBe(0);
+    expect(pickWeightedSegmentIndex(segments, fixedRandom(0.2))).toBe(1);
+    expect(pickWeightedSegmentIndex(segments, fixedRandom(0.79))).toBe(1);
+    expect(pickWeightedSegmentIndex(segments, fixedRandom(0.8))).toBe(3);
+  });
+
+  it("never lands on a zero-weight segment", () => {
+    expect(pickWeightedSegmentIndex(segments, fixedRandom(0.999999))).toBe(3);
+    expect(pickWeightedSegmentIndex([{ weight: 2 }, { weight: 0 }], fixedRandom(0.999999))).toBe(0);
+  });
+
+  it("gives segments without a weight equal odds", () => {
+    const unweighted = [{}, {}, {}, {}];
+    expect(pickWeightedSegmentIndex(unweighted, fixedRandom(0.3))).toBe(1);
+    expect(pickWeightedSegmentIndex(unweighted, fixedRandom(0.6))).toBe(2);
+  });
+
+  it("falls back to equal odds when every weight is zero", () => {
+    const randomFn = vi.fn(() => 2);
+    expect(pickWeightedSegmentIndex([{ weight: 0 }, { weight: 0 }, { weight: 0 }], randomFn)).toBe(2);
+    expect(randomFn).toHaveBeenCalledWith(0, 3);
+  });
+});
+
+describe("getSegmentOffer", () => {
+  it("returns no prize for empty and no-prize segments", () => {
+    expect(getSegmentOffer(null)).toBeNull();
+    expect(getSegmentOffer({ label: "TRY AGAIN", discountType: "none" })).toBeNull();
+    expect(getSegmentOffer({ label: "TRY AGAIN" })).toBeNull();
+  });
+
+  it("reads the offer from the prize type and value", () => {
+    expect(getSegmentOffer({ discountType: "percentage", discountValue: "15" }))
+      .toEqual({ discountType: "percentage", discountValue: "15" });
+    expect(getSegmentOffer({ discountType: "fixed_amount", discountValue: "5.50" }))
+      .toEqual({ discountType: "fixed_amount", discountValue: "5.5" });
+    expect(getSegmentOffer({ discountType: "shipping", discountValue: null }))
+      .toEqual({ discountType: "shipping", discountValue: "100" });
+  });
+
+  it("treats a missing or non-positive value as no prize", () => {
+    expect(getSegmentOffer({ discountType: "percentage", discountValue: "" })).toBeNull();
+    expect(getSegmentOffer({ discountType: "percentage", discountValue: "0" })).toBeNull();
+    expect(getSegmentOffer({ discountType: "fixed_amount", discountValue: "-5" })).toBeNull();
+  });
+
+  it("works out legacy segments from their label", () => {
+    expect(getSegmentOffer({ label: "FREE SHIPPING", code: "SHIP" }))
+      .toEqual({ discountType: "shipping", discountValue: "100" });
+    expect(getSegmentOffer({ label: "12.5% OFF", code: "SAVE" }))
+      .toEqual({ discountType: "percentage", discountValue: "12.5" });
+    expect(getSegmentOffer({ label: "$10 OFF", code: "TEN" }))
+      .toEqual({ discountType: "fixed_amount", discountValue: "10" });
+    expect(getSegmentOffer({ label: "MYSTERY", code: "MYSTERY", value: "7" }))
+      .toEqual({ discountType: "percentage", discountValue: "7" });
+    expect(getSegmentOffer({ label: "MYSTERY", code: "MYSTERY" })).toBeNull();
+  });
+});
@@ -3,52 +3,186 @@
   if (window.__popupAlreadyLoaded) return;
   window.__popupAlreadyLoaded = true;
 
+  // The popup currently on screen (or last shown) - one per page view
   let popupConfig = null;
   let popupShown = false;
-  let exitIntentTriggered = false;
   let sessionId = null;
-  let applicationUrl = "https://differ-sql-gb-parade.trycloudflare.com";
 
-  // Generate session ID for tracking
-  sessionId =
-    "session_" + Date.now() + "_" + Math.random().toString(36).substr(2, 9);
+  // Session ID for tracking, kept for the browser session so a visitor's
+  // page views share one ID (A/B test results count visitors by it)
+  const SESSION_ID_KEY = "popup-session-id";
+  sessionId = sessionStorage.getItem(SESSION_ID_KEY);
+  if (!sessionId) {
+    sessionId =
+      "session_" + Date.now() + "_" + Math.random().toString(36).substr(2, 9);
+    sessionStorage.setItem(SESSION_ID_KEY, sessionId);
+  }
 
   console.log(popupConfig);
 
   // Utils
   const getShopDomain = () => window.Shopify?.shop || window.location.hostname;
 
-  // Analytics tracking function
-  const trackEvent = async (eventType, data = {}) => {
-    try {
-      const shopDomain = getShopDomain();
-      const metaAppUrl = document.querySelector(
-        'meta[name="shopify-app-url"]',
-      )?.content;
-
-      let endpoint;
-      if (metaAppUrl && metaAppUrl.trim() !== "") {
-        endpoint = `${metaAppUrl}/api/public/analytics`;
-      } else {
-        endpoint = `${applicationUrl}/api/public/analytics`;
+  // App endpoints are reached through the Shopify App Proxy on the store's own
+  // domain. Shopify adds the shop and a signature the app verifies.
+  const getAppEndpoint = (path) => `/apps/popup${path}`;
+
+  // Honeypot field added to every popup form. It's hidden from shoppers, so
+  // anything typed into it came from a bot filling in every input.
+  const HONEYPOT_FIELD = "website";
+
+  const renderHoneypotField = () => `
+    <input type="text" name="${HONEYPOT_FIELD}" class="popup-hp-field" tabindex="-1" autocomplete="off" aria-hidden="true" style="position: absolute; left: -10000px; width: 1px; height: 1px; opacity: 0;" />
+  `;
+
+  const appendHoneypot = (formData) => {
+    const field = document.querySelector(".popup-hp-field");
+    formData.append(HONEYPOT_FIELD, field ? field.value : "");
+  };
+
+  const escapeHtml = (value) =>
+    String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+
+  // Whether the shopper ticked the popup's marketing consent checkbox
+  let marketingConsentGiven = false;
+
+  // Consent checkbox with the merchant's wording, for popups that ask for it
+  const renderConsentCheckbox = (config) => {
+    const consent = config.marketingConsent;
+    if (!consent || !consent.showCheckbox) return "";
+    return `
+    <label class="popup-consent" style="display: flex; align-items: flex-start; gap: 8px; margin: 10px 0; font-size: 12px; line-height: 1.4; text-align: left; cursor: pointer;">
+      <input type="checkbox" id="popup-marketing-consent" style="margin-top: 2px; flex-shrink: 0;" />
+      <span>${escapeHtml(consent.text)}</span>
+    </label>
+  `;
+  };
+
+  // Read the consent checkbox before signing the shopper up. Returns false
+  // (and tells them) when the popup requires consent and it isn't given.
+  function captureMarketingConsent() {
+    const checkbox =
+      document.getElementById("popup-marketing-consent") ||
+      document.getElementById("scratch-terms");
+    marketingConsentGiven = Boolean(checkbox && checkbox.checked);
+
+    if (popupConfig.marketingConsent?.required && !marketingConsentGiven) {
+      showCustomNotification("Please agree to receive emails to continue.", "error");
+      return false;
+    }
+    return true;
+  }
+
+  // Read the wait time from a 429 response (Retry-After is in seconds)
+  const getRetryAfter = (response, data) =>
+    parseInt(response.headers.get("Retry-After"), 10) || data.retryAfter || 60;
+
+  // Message shown when the shopper has been rate limited
+  const getRateLimitMessage = (retryAfter) => {
+    const wait =
+      retryAfter >= 120
+        ? `${Math.ceil(retryAfter / 60)} minutes`
+        : `${retryAfter} seconds`;
+    return `Too many attempts. Please try again in ${wait}.`;
+  };
+
+  // Cookie consent from Shopify's Customer Privacy API. Stores without a
+  // consent banner don't load the API, and there everything is allowed.
+  // "none": no API, "loaded": API ready, "failed": API didn't load in time
+  let customerPrivacyState = "none";
+
+  const loadCustomerPrivacy = () =>
+    new Promise((resolve) => {
+      if (window.Shopify?.customerPrivacy) {
+        customerPrivacyState = "loaded";
+        return resolve();
       }
+      if (typeof window.Shopify?.loadFeatures !== "function") return resolve();
+
+      const timeoutId = setTimeout(() => {
+        customerPrivacyState = "failed";
+        resolve();
+      }, 3000);
+      window.Shopify.loadFeatures(
+        [{ name: "consent-tracking-api", version: "0.1" }],
+        (error) => {
+          clearTimeout(timeoutId);
+          customerPrivacyState = !error && window.Shopify.customerPrivacy ? "loaded" : "failed";
+          resolve();
+        },
+      );
+    });
+
+  // "granted", "denied" or "pending" (the visitor hasn't answered the
+  // banner yet) for "analytics", "marketing" or "preferences"
+  const getConsentStatus = (category) => {
+    if (customerPrivacyState === "none") return "granted";
+    if (customerPrivacyState === "failed") return "pending";
+
+    const privacy = window.Shopify.customerPrivacy;
+    const answer = privacy.currentVisitorConsent?.()?.[category];
+    if (answer === "yes") return "granted";
+    if (answer === "no") return "denied";
+
+    // No answer yet - regions that don't need a banner allow by default
+    const isAllowed = {
+      analytics: privacy.analyticsProcessingAllowed,
+      marketing: privacy.marketingAllowed,
+      preferences: privacy.preferencesProcessingAllowed,
+    }[category];
+    if (isAllowed?.call(privacy)) return "granted";
+    return privacy.shouldShowBanner?.() ? "pending" : "denied";
+  };
+
+  // Frequency caps, A/B arms and timers are remembered across visits only
+  // with preferences consent - otherwise they last for the browser session
+  const getPersistentStorage = () =>
+    getConsentStatus("preferences") === "granted" ? localStorage : sessionStorage;
 
+  // Analytics are paused after a 429 until the server's Retry-After passes
+  let analyticsPausedUntil = 0;
+
+  // Events tracked before the visitor answered the cookie banner
+  const pendingEvents = [];
+
+  // Send one event. Anonymous events leave out the session ID and email, and
+  // the server doesn't store the user agent or IP hash with them.
+  const sendEvent = async (event, { anonymous = false, keepalive = false } = {}) => {
+    const { eventType, data, popupId, variantId } = event;
+
+    if (Date.now() < analyticsPausedUntil) return;
+
+    try {
       const formData = new FormData();
-      formData.append("shop", shopDomain);
       formData.append("eventType", eventType);
-      formData.append("sessionId", sessionId);
+      if (anonymous) {
+        formData.append("anonymous", "true");
+      } else {
+        formData.append("sessionId", sessionId);
+      }
 
       // Add popup ID if available
-      if (popupConfig && popupConfig.id) {
-        formData.append("popupId", popupConfig.id);
+      if (popupId) {
+        formData.append("popupId", popupId);
       }
 
-      // Add optional data
-      if (data.email) formData.append("email", data.email);
+      // Add the A/B test arm the visitor is in
+      if (variantId) {
+        formData.append("variantId", variantId);
+      }
+
+      // Add optional data - the email only with analytics consent
+      if (data.email && !anonymous) formData.append("email", data.email);
       if (data.discountCode) formData.append("discountCode", data.discountCode);
       if (data.prizeLabel) formData.append("prizeLabel", data.prizeLabel);
       if (data.metadata)
         formData.append("metadata", JSON.stringify(data.metadata));
+      appendHoneypot(formData);
 
       console.log(`Tracking event: ${eventType}`, data);
 
@@ -56,100 +190,101 @@
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
 
-      await fetch(`${endpoint}?shop=${encodeURIComponent(shopDomain)}`, {
+      const response = await fetch(getAppEndpoint("/analytics"), {
         method: "POST",
         body: formData,
         headers: {
           "X-Requested-With": "XMLHttpRequest",
         },
         signal: controller.signal,
+        keepalive,
       });
 
       clearTimeout(timeoutId);
+
+      if (response.status === 429) {
+        const retryAfter = parseInt(response.headers.get("Retry-After"), 10) || 60;
+        analyticsPausedUntil = Date.now() + retryAfter * 1000;
+      }
     } catch (error) {
       // Silently handle analytics failures - don't spam console
       if (error.name !== "AbortError") {
         console.debug("Analytics tracking unavailable:", error.message);
       }
     }
-  }; //trackEvent ends
+  };
 
-  const fetchPopupConfig = async () => {
-    console.log("Starting popup config fetch...");
+  // Send the queued events once the visitor answers the banner - or, if
+  // they leave first, anonymously
+  const flushPendingEvents = ({ leaving = false } = {}) => {
+    const status = getConsentStatus("analytics");
+    if (status === "pending" && !leaving) return;
 
-    const shopDomain = getShopDomain();
-    console.log("Shop domain:", shopDomain);
+    pendingEvents.splice(0).forEach((event) =>
+      sendEvent(event, { anonymous: status !== "granted", keepalive: leaving }),
+    );
+  };
 
-    // Get app URL from meta tag (set by your app)
-    const metaAppUrl = document.querySelector(
-      'meta[name="shopify-app-url"]',
-    )?.content;
-    console.log("Meta app URL:", metaAppUrl);
+  // Analytics tracking function
+  const trackEvent = async (eventType, data = {}) => {
+    if (popupConfig && CONVERSION_EVENTS.includes(eventType)) {
+      updatePopupState(popupConfig, { converted: true });
+    }
 
-    // Build endpoints list - try meta URL first, then fallbacks
-    let endpoints = [];
+    const event = {
+      eventType,
+      data,
+      popupId: popupConfig?.id,
+      variantId: popupConfig?.variantId,
+    };
 
-    if (metaAppUrl && metaAppUrl.trim() !== "") {
-      // Use the app URL from meta tag (works for both dev and prod)
-      endpoints = [`${metaAppUrl}/api/public/popup-config?shop=${shopDomain}`];
-    } else {
-      // Fallback: try to detect current environment
-      const currentOrigin = window.location.origin;
-      const isLocalhost = window.location.hostname === "localhost";
-
-      if (isLocalhost) {
-        // Local development
-        endpoints = [
-          `http://localhost:38975/api/public/popup-config?shop=${shopDomain}`,
-          `/api/public/popup-config?shop=${shopDomain}`,
-        ];
-      } else {
-        // Try current origin (might be the tunnel URL)
-        console.log(currentOrigin + "currentOrigin");
-        endpoints = [
-          `${applicationUrl}/api/public/popup-config?shop=${shopDomain}`,
-          `/api/public/popup-config?shop=${shopDomain}`,
-        ];
-      }
+    const status = getConsentStatus("analytics");
+    if (status === "pending") {
+      pendingEvents.push(event);
+      return;
     }
+    return sendEvent(event, { anonymous: status === "denied" });
+  }; //trackEvent ends
 
-    console.log("Endpoints to try:", endpoints);
+  // Whether the merchant only shows popups to visitors who accepted
+  // marketing cookies - set from the popup-config response
+  let requireMarketingConsent = false;
 
+  // Fetch every active popup for the shop, highest priority first
+  const fetchPopupConfigs = async () => {
+    console.log("Starting popup config fetch...");
 
-    // here we are trying every endpoints 
-    for (const endpoint of endpoints) {
-      try {
-        console.log("Fetching popup config from:", endpoint);
-        const res = await fetch(endpoint, {
-          method: "GET",
-          headers: {
-            "Content-Type": "application/json",
-          },
-        });
-        if (res.ok) {
-          const json = await res.json();
-
-          console.log("Popup config received:", json);
-          console.log("Popup config received:", json.config);
-
-          return json.config;
-        } else {
-          console.warn(
-            "Failed to fetch from endpoint:",
-            endpoint,
-            "Status:",
-            res.status,
-          );
-        }
-      } catch (err) {
-        console.warn("Fetch failed for endpoint:", endpoint, err);
+    const endpoint = `${getAppEndpoint("/popup-config")}?visitorId=${encodeURIComponent(getVisitorId())}`;
+
+    try {
+      console.log("Fetching popup config from:", endpoint);
+      const res = await fetch(endpoint, {
+        method: "GET",
+        headers: {
+          "Content-Type": "application/json",
+        },
+      });
+      if (res.ok) {
+        const json = await res.json();
+
+        console.log("Popup configs received:", json.configs);
+        requireMarketingConsent = Boolean(json.requireMarketingConsent);
+
+        return json.configs || [];
+      } else {
+        console.warn(
+          "Failed to fetch from endpoint:",
+          endpoint,
+          "Status:",
+          res.status,
+        );
       }
+    } catch (err) {
+      console.warn("Fetch failed for endpoint:", endpoint, err);
     }
 
-    console.log(endpoint + "endpoint");
-
     // Fallback config
-    return {
+    return [{
       type: "wheel",
       title: "Spin to Win!",
       description: "Try your luck and win a discount!",
@@ -173,39 +308,309 @@
       frequency: "once",
       isActive: true,
       exitIntent: false,
-    };
-  };//fetchPopupConfig ends
+    }];
+  };//fetchPopupConfigs ends
+
+  // Frequency state is stored per popup so dismissing one popup doesn't
+  // suppress the others. Shape: { revision, shown, lastShown, askLaterUntil, converted }
+  const getPopupStorageKey = (config) => `popup-state-${config.id || "default"}`;
+
+  // Timestamp of the last time any popup was shown, for the cool-down cap
+  const LAST_ANY_POPUP_SHOWN_KEY = "popup-last-any-shown";
+
+  const getPopupState = (config) => {
+    let state = {};
+    try {
+      state = JSON.parse(getPersistentStorage().getItem(getPopupStorageKey(config))) || {};
+    } catch (e) {
+      state = {};
+    }
+
+    // Saving a popup bumps its revision, so an edited popup is shown again.
+    // Conversions carry over - a subscriber doesn't need to convert twice.
+    const revision = config.revision || 1;
+    if (state.revision !== revision) {
+      state = { revision, converted: state.converted || false };
+    }
+    return state;
+  };
+
+  const updatePopupState = (config, changes) => {
+    const state = { ...getPopupState(config), ...changes };
+    getPersistentStorage().setItem(getPopupStorageKey(config), JSON.stringify(state));
+  };
+
+  // Impressions in this browser session, for the per-session cap
+  const getSessionImpressionsKey = (config) => `popup-impressions-${config.id || "default"}`;
+
+  const getSessionImpressions = (config) =>
+    parseInt(sessionStorage.getItem(getSessionImpressionsKey(config)), 10) || 0;
+
+  // Events that count as a conversion for "stop after conversion"
+  const CONVERSION_EVENTS = ["email_entered"];
 
   const shouldShowPopup = (config) => {
     const now = Date.now();
-    const shownFlag = localStorage.getItem("popup-shown");
-    const lastShown = parseInt(localStorage.getItem("popup-last-shown"), 10);
-    const askLaterTime = parseInt(localStorage.getItem("popup-ask-later"), 10);
+    const state = getPopupState(config);
 
     // Check if "ask me later" is still active
-    if (askLaterTime && now < askLaterTime) {
+    if (state.askLaterUntil && now < state.askLaterUntil) {
       return false;
     }
 
+    // Don't show again once the visitor has converted on this popup
+    if (config.stopAfterConversion && state.converted) {
+      return false;
+    }
+
+    // Cap impressions per browser session
+    if (
+      config.maxImpressionsPerSession &&
+      getSessionImpressions(config) >= config.maxImpressionsPerSession
+    ) {
+      return false;
+    }
+
+    // Keep a gap after any popup was shown, so popups don't come back to back
+    if (config.cooldownMinutes) {
+      const lastAnyShown = parseInt(getPersistentStorage().getItem(LAST_ANY_POPUP_SHOWN_KEY), 10);
+      if (lastAnyShown && now - lastAnyShown < config.cooldownMinutes * 60000) {
+        return false;
+      }
+    }
+
     // Check page targeting rules
     if (!shouldShowOnCurrentPage(config)) {
       return false;
     }
 
+    // Check audience targeting rules
+    if (!matchesAudienceRules(config)) {
+      return false;
+    }
+
+    // Check device targeting
+    if (!matchesDeviceTargeting(config)) {
+      return false;
+    }
+
+    // Check market, country and language targeting
+    if (!matchesLocaleRules(config)) {
+      return false;
+    }
+
     switch (config.frequency) {
       case "once":
-        return !shownFlag;
+        return !state.shown;
       case "daily":
-        return !lastShown || now - lastShown > 86400000;
+        return !state.lastShown || now - state.lastShown > 86400000;
       case "weekly":
-        return !lastShown || now - lastShown > 604800000;
+        return !state.lastShown || now - state.lastShown > 604800000;
       case "always":
         return true;
       default:
-        return !shownFlag;
+        return !state.shown;
     }
   };//shouldShowPopup ends
 
+  // Storefront localization exposed by the theme app embed (popup-display.liquid)
+  const matchesLocaleRules = (config) => {
+    const rules = config.localeRules;
+    if (!rules) return true;
+
+    const localization = window.popupLocalization || {};
+    const country = String(localization.country || "").toUpperCase();
+    const market = String(localization.market || "").toLowerCase();
+    const language = String(localization.language || "").toLowerCase();
+
+    if (rules.markets?.length && !rules.markets.includes(market)) return false;
+    if (rules.countries?.length && !rules.countries.includes(country)) return false;
+
+    // "en" also matches regional variants such as "en-ca"
+    if (
+      rules.languages?.length &&
+      !rules.languages.some(
+        (code) => language === code || language.split("-")[0] === code,
+      )
+    ) {
+      return false;
+    }
+
+    return true;
+  };
+
+  // Same breakpoints as DEVICE_BREAKPOINTS in the app's deviceTargeting utils
+  const getDeviceType = () => {
+    const width = window.innerWidth;
+    if (width < 768) return "mobile";
+    if (width < 1024) return "tablet";
+    return "desktop";
+  };
+
+  const matchesDeviceTargeting = (config) =>
+    !Array.isArray(config.targetDevices) ||
+    config.targetDevices.includes(getDeviceType());
+
+  // Swap in the popup's mobile-only content and layout on phones
+  const applyDeviceOverrides = (config) =>
+    getDeviceType() === "mobile" && config.mobileOverrides
+      ? { ...config, ...config.mobileOverrides }
+      : config;
+
+  // A/B tests: the server assigns the arm from this ID, so a visitor keeps
+  // theirs between page views (and visits, with preferences consent)
+  const VISITOR_ID_KEY = "popup-visitor-id";
+  const getVisitorId = () => {
+    const storage = getPersistentStorage();
+    let visitorId = storage.getItem(VISITOR_ID_KEY);
+    if (!visitorId) {
+      visitorId =
+        "visitor_" + Date.now() + "_" + Math.random().toString(36).substr(2, 9);
+      storage.setItem(VISITOR_ID_KEY, visitorId);
+    }
+    return visitorId;
+  };
+
+  // Whether this browser visited the store in an earlier session. Worked
+  // out once per session so it doesn't flip to "returning" on page two.
+  const getVisitorType = () => {
+    let visitorType = sessionStorage.getItem("popup-visitor-type");
+    if (!visitorType) {
+      visitorType = getPersistentStorage().getItem("popup-first-visit") ? "returning" : "new";
+      sessionStorage.setItem("popup-visitor-type", visitorType);
+      if (visitorType === "new") {
+        getPersistentStorage().setItem("popup-first-visit", Date.now().toString());
+      }
+    }
+    return visitorType;
+  };
+
+  // Where the visitor came from: query params and referrer from the landing
+  // page, kept in sessionStorage so campaign rules still match after they
+  // browse on. A new campaign link mid-visit replaces the stored params.
+  const getTrafficSource = () => {
+    let traffic = null;
+    try {
+      traffic = JSON.parse(sessionStorage.getItem("popup-traffic-source"));
+    } catch (e) {
+      traffic = null;
+    }
+
+    const currentParams = {};
+    new URLSearchParams(window.location.search).forEach((value, key) => {
+      currentParams[key.toLowerCase()] = value;
+    });
+
+    let referrerHost = "";
+    try {
+      referrerHost = document.referrer ? new URL(document.referrer).hostname : "";
+    } catch (e) {
+      referrerHost = "";
+    }
+    const isExternalReferrer = referrerHost && referrerHost !== window.location.hostname;
+
+    const hasCampaign = Object.keys(currentParams).some((key) => key.startsWith("utm_"));
+    if (!traffic || hasCampaign) {
+      traffic = {
+        params: currentParams,
+        referrer: isExternalReferrer ? referrerHost : traffic?.referrer || "",
+      };
+      sessionStorage.setItem("popup-traffic-source", JSON.stringify(traffic));
+    }
+
+    return {
+      params: { ...traffic.params, ...currentParams },
+      referrer: traffic.referrer,
+    };
+  };
+
+  // Case-insensitive match with * wildcards
+  const matchesPattern = (value, pattern) => {
+    const escaped = pattern
+      .toLowerCase()
+      .replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+      .replace(/\*/g, ".*");
+    return new RegExp(`^${escaped}$`).test(String(value || "").toLowerCase());
+  };
+
+  const matchesTrafficRules = (rules) => {
+    const hasTrafficRules =
+      rules.utmSources?.length ||
+      rules.utmCampaigns?.length ||
+      rules.queryParams?.length ||
+      rules.referrers?.length;
+    if (!hasTrafficRules) return true;
+
+    const { params, referrer } = getTrafficSource();
+
+    if (
+      rules.utmSources?.length &&
+      !rules.utmSources.some((pattern) => matchesPattern(params.utm_source, pattern))
+    ) {
+      return false;
+    }
+    if (
+      rules.utmCampaigns?.length &&
+      !rules.utmCampaigns.some((pattern) => matchesPattern(params.utm_campaign, pattern))
+    ) {
+      return false;
+    }
+    if (
+      rules.queryParams?.length &&
+      !rules.queryParams.some((param) => {
+        const value = params[param.key.toLowerCase()];
+        if (value === undefined) return false;
+        return !param.value || matchesPattern(value, param.value);
+      })
+    ) {
+      return false;
+    }
+    if (
+      rules.referrers?.length &&
+      !rules.referrers.some(
+        (pattern) =>
+          matchesPattern(referrer, pattern) || matchesPattern(referrer, `*.${pattern}`),
+      )
+    ) {
+      return false;
+    }
+
+    return true;
+  };
+
+  // Customer details exposed by the theme app embed (popup-display.liquid)
+  const getCustomer = () =>
+    window.popupCustomer || { loggedIn: false, tags: [], ordersCount: 0 };
+
+  const matchesAudienceRules = (config) => {
+    const rules = config.audienceRules;
+    if (!rules) return true;
+
+    const customer = getCustomer();
+    const customerTags = (customer.tags || []).map((tag) => String(tag).toLowerCase());
+    const hasOrdered = customer.loggedIn && customer.ordersCount > 0;
+
+    if (rules.visitor && rules.visitor !== "any" && rules.visitor !== getVisitorType()) {
+      return false;
+    }
+    if (rules.customer === "logged_in" && !customer.loggedIn) return false;
+    if (rules.customer === "guest" && customer.loggedIn) return false;
+    if (rules.orders === "none" && hasOrdered) return false;
+    if (rules.orders === "ordered" && !hasOrdered) return false;
+
+    if (
+      rules.includeTags?.length &&
+      !rules.includeTags.some((tag) => customerTags.includes(tag))
+    ) {
+      return false;
+    }
+    if (rules.excludeTags?.some((tag) => customerTags.includes(tag))) {
+      return false;
+    }
+
+    return matchesTrafficRules(rules);
+  };
+
   const shouldShowOnCurrentPage = (config) => {
     console.log("=== PAGE TARGETING DEBUG ===");
     console.log("Current URL:", window.location.href);
@@ -373,10 +778,15 @@
     console.log("Config of showPopup method " + config);
 
 
+    // Never show two popups on the same page view
+    if (popupConfig) return;
     // For "always" frequency, ignore popupShown flag
     if (config.frequency !== "always" && popupShown) return;
     if (!shouldShowPopup(config)) return;
 
+    config = applyCartTokens(config);
+    popupConfig = config;
+
     const overlay = document.getElementById("custom-popup-overlay");
     const popup = document.getElementById("custom-popup");
     const wheelContainer = popup.querySelector(".popup-wheel-container");
@@ -384,6 +794,7 @@
     const closeBtn = popup.querySelector(".popup-close");
 
     overlay.style.display = "flex";
+    overlay.classList.toggle("popup-position-bottom", config.position === "bottom");
     closeBtn.style.display = config.showCloseButton === false ? "none" : "flex";
 
     // Track popup view
@@ -437,6 +848,8 @@
         <p class="email-popup-subtitle">${config.subtitle || "Your first order"}</p>
         <p class="email-popup-desc">${config.description || "Stay updated with our latest products"}</p>
         <input type="email" id="popup-email" placeholder="${config.placeholder || "Enter your email"}" />
+        ${renderHoneypotField()}
+        ${renderConsentCheckbox(config)}
         <button onclick="handleEmailSubmit()" class="email-popup-button" style="background-color: ${config.buttonColor || '#1b1e21ff'}; border: none; color: white;">
           ${config.buttonText || "SUBSCRIBE"}
         </button>
@@ -778,12 +1191,12 @@
 
       // Use unified segments array for both visual and prize logic
       const segments = popupConfig.segments || [
-        { label: "5% OFF", color: "#0a2a43", value: "5", code: "SAVE5" },
-        { label: "10% OFF", color: "#133b5c", value: "10", code: "SAVE10" },
-        { label: "15% OFF", color: "#0a2a43", value: "15", code: "SAVE15" },
-        { label: "20% OFF", color: "#133b5c", value: "20", code: "SAVE20" },
-        { label: "FREE SHIPPING", color: "#0a2a43", value: "shipping", code: "FREESHIP" },
-        { label: "TRY AGAIN", color: "#133b5c", value: null, code: null },
+        { label: "5% OFF", color: "#0a2a43", value: "5" },
+        { label: "10% OFF", color: "#133b5c", value: "10" },
+        { label: "15% OFF", color: "#0a2a43", value: "15" },
+        { label: "20% OFF", color: "#133b5c", value: "20" },
+        { label: "FREE SHIPPING", color: "#0a2a43", value: "shipping" },
+        { label: "TRY AGAIN", color: "#133b5c", value: null },
       ];
 
       const angle = 360 / segments.length;
@@ -865,6 +1278,8 @@
       const formElement = formSection.querySelector(".popup-form");
     formElement.innerHTML = `
  <input type="email" class="email-input" id="popup-email" placeholder="Enter your email" />
+ ${renderHoneypotField()}
+ ${renderConsentCheckbox(config)}
   <button class="spin-button" onclick="handleEmailAndSpin()" style="
     background: linear-gradient(45deg, #0a2a43, #133b5c);
     color: white;
@@ -880,18 +1295,18 @@
 `;
     }
 
-    // Set localStorage - but not for "always" frequency
+    // Remember this page view's popup - but not for "always" frequency
     if (config.frequency !== "always") {
       popupShown = true;
     }
 
-    const now = Date.now().toString();
-    if (config.frequency === "once") {
-      localStorage.setItem("popup-shown", "true");
-    } else if (config.frequency !== "always") {
-      localStorage.setItem("popup-last-shown", now);
-    }
-    // For "always" frequency, don't set any localStorage flags
+    const now = Date.now();
+    updatePopupState(config, { shown: true, lastShown: now });
+    getPersistentStorage().setItem(LAST_ANY_POPUP_SHOWN_KEY, now.toString());
+    sessionStorage.setItem(
+      getSessionImpressionsKey(config),
+      (getSessionImpressions(config) + 1).toString(),
+    );
   };// show popup ends
 
   // Function to apply custom background configuration
@@ -939,7 +1354,7 @@
   window.askMeLater = () => {
     // Set a temporary flag to not show popup for a short period (e.g., 1 hour)
     const oneHour = 60 * 60 * 1000; // 1 hour in milliseconds
-    localStorage.setItem("popup-ask-later", (Date.now() + oneHour).toString());
+    updatePopupState(popupConfig, { askLaterUntil: Date.now() + oneHour });
 
     // Track ask me later event
     trackEvent("ask_me_later");
@@ -948,92 +1363,167 @@
     window.closePopup();
   };
 
-  // Generate real Shopify discount code
-  async function generateShopifyDiscount(
-    email,
-    discountValue,
-    discountType = "percentage",
-  ) {
-    try {
-      console.log(
-        "Generating discount code for:",
-        email,
-        discountValue,
-        discountType,
-      );
-
-      const shopDomain = getShopDomain();
-      const metaAppUrl = document.querySelector(
-        'meta[name="shopify-app-url"]',
-      )?.content;
+  // Ask the server for this shopper's unique discount code - the offer is
+  // decided server-side from the popup settings (or the recorded wheel spin)
+  async function requestDiscountCode(email) {
+    const formData = new FormData();
+    formData.append("popupId", popupConfig.id || "");
+    formData.append("email", email);
+    formData.append("visitorId", getVisitorId());
+    formData.append("marketingConsent", String(marketingConsentGiven));
+    appendHoneypot(formData);
+
+    const response = await fetch(
+      getAppEndpoint("/generate-discount"),
+      {
+        method: "POST",
+        body: formData,
+        headers: {
+          "X-Requested-With": "XMLHttpRequest",
+        },
+      },
+    );
 
-      // Build endpoint URL
-      let endpoint;
-      if (metaAppUrl && metaAppUrl.trim() !== "") {
-        endpoint = `${metaAppUrl}/api/public/generate-discount`;
-      } else {
-        // Fallback endpoints
-        const isLocalhost = window.location.hostname === "localhost";
-        if (isLocalhost) {
-          endpoint = `${applicationUrl}/api/public/generate-discount`;
-        } else {
-          endpoint = `${applicationUrl}/api/public/generate-discount`;
-        }
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      const error = new Error(data.error || `Failed to generate discount code: ${response.status}`);
+      // Shopify's validation errors (e.g. an invalid discount setup)
+      error.userErrors = data.userErrors || [];
+      if (response.status === 429) {
+        error.retryAfter = getRetryAfter(response, data);
       }
+      // The popup's schedule ended while it was open
+      error.offerEnded = response.status === 410;
+      throw error;
+    }
 
-      console.log("Using endpoint:", endpoint);
+    return data;
+  }//requestDiscountCode ends
 
-      const formData = new FormData();
-      formData.append("email", email);
-      formData.append("discountValue", discountValue);
-      formData.append("discountType", discountType);
-      formData.append("shop", shopDomain);
-
-      console.log("Sending request to generate discount...");
-
-      const response = await fetch(
-        `${endpoint}?shop=${encodeURIComponent(shopDomain)}`,
-        {
-          method: "POST",
-          body: formData,
-          headers: {
-            "X-Requested-With": "XMLHttpRequest",
-          },
-        },
-      );
-
-      console.log("Response status:", response.status);
+  // Message shown to the shopper when a discount code couldn't be issued
+  function getDiscountErrorMessage(error) {
+    if (error && error.retryAfter) {
+      return getRateLimitMessage(error.retryAfter);
+    }
+    if (error && error.offerEnded) {
+      return "Sorry, this offer has ended.";
+    }
+    const userError = error && error.userErrors && error.userErrors[0];
+    if (userError && userError.message) {
+      return userError.message;
+    }
+    return "Something went wrong on our side. Please try again.";
+  }
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error("API Error:", errorText);
-        throw new Error(
-          `Failed to generate discount code: ${response.status} - ${errorText}`,
-        );
-      }
+  // Request the shopper's code, showing a "try again" state in the container
+  // whenever it fails. Resolves once a code has been issued - with double
+  // opt-in it never does, the code is shown once the shopper confirms.
+  function requestDiscountCodeWithRetry(email, container) {
+    return new Promise((resolve) => {
+      const attempt = async () => {
+        try {
+          const discount = await requestDiscountCode(email);
+          if (discount.confirmationRequired) {
+            showConfirmationRequiredState(container, discount.message);
+            return;
+          }
+          resolve(discount);
+        } catch (error) {
+          console.error("Error generating discount code:", error);
+          showDiscountRetryState(container, getDiscountErrorMessage(error), attempt);
+        }
+      };
+      attempt();
+    });
+  }//requestDiscountCodeWithRetry ends
+
+  function showDiscountRetryState(container, message, onRetry) {
+    container.innerHTML = `
+      <div class="popup-discount-error" style="text-align: center; padding: 20px 0;">
+        <div style="font-size: 36px; margin-bottom: 10px;">⚠️</div>
+        <h3 style="margin: 0 0 10px 0; font-size: 20px; font-weight: 700;">
+          We couldn't generate your code
+        </h3>
+        <p class="popup-discount-error-message" style="margin: 0 0 20px 0; opacity: 0.85; font-size: 14px;"></p>
+        <button type="button" class="popup-discount-retry" style="
+          background: #28a745;
+          color: #ffffff;
+          border: none;
+          border-radius: 8px;
+          padding: 12px 24px;
+          font-size: 15px;
+          font-weight: 600;
+          cursor: pointer;
+        ">
+          Try again
+        </button>
+        <p style="cursor: pointer; font-size: 13px; margin-top: 12px; opacity: 0.8;" onclick="window.closePopup()">
+          Close and continue shopping
+        </p>
+      </div>
+    `;
 
-      const data = await response.json();
-      console.log("API Response:", data);
+    // Shopify error messages are set as text, never as HTML
+    container.querySelector(".popup-discount-error-message").textContent = message;
 
-      if (!data.success) {
-        throw new Error(data.error || "Failed to generate discount code");
-      }
+    const retryButton = container.querySelector(".popup-discount-retry");
+    retryButton.addEventListener("click", () => {
+      retryButton.disabled = true;
+      retryButton.textContent = "Trying again...";
+      onRetry();
+    });
+  }//showDiscountRetryState ends
+
+  // Double opt-in: the code is on the confirmation page linked from the email
+  function showConfirmationRequiredState(container, message) {
+    container.innerHTML = `
+      <div class="popup-confirmation-required" style="text-align: center; padding: 20px 0;">
+        <div style="font-size: 36px; margin-bottom: 10px;">✉️</div>
+        <h3 style="margin: 0 0 10px 0; font-size: 20px; font-weight: 700;">
+          Check your inbox
+        </h3>
+        <p class="popup-confirmation-message" style="margin: 0 0 20px 0; opacity: 0.85; font-size: 14px;"></p>
+        <p style="cursor: pointer; font-size: 13px; margin-top: 12px; opacity: 0.8;" onclick="window.closePopup()">
+          Close and continue shopping
+        </p>
+      </div>
+    `;
 
-      console.log("Generated discount code:", data.discountCode);
-      console.log("Shopify created:", data.shopifyCreated);
+    container.querySelector(".popup-confirmation-message").textContent =
+      message || "We've sent you an email. Click the link in it to confirm your address.";
+  }//showConfirmationRequiredState ends
+
+  // Ask the server to spin the wheel - the prize is decided server-side
+  async function requestWheelSpin(email) {
+    const formData = new FormData();
+    formData.append("popupId", popupConfig.id || "");
+    formData.append("email", email);
+    formData.append("sessionId", sessionId);
+    formData.append("marketingConsent", String(marketingConsentGiven));
+    appendHoneypot(formData);
+
+    const response = await fetch(
+      getAppEndpoint("/spin"),
+      {
+        method: "POST",
+        body: formData,
+        headers: {
+          "X-Requested-With": "XMLHttpRequest",
+        },
+      },
+    );
 
-      // Return the full response data for better handling
-      return {
-        code: data.discountCode,
-        shopifyCreated: data.shopifyCreated,
-        instructions: data.instructions,
-        note: data.note,
-      };
-    } catch (error) {
-      console.error("Error in generateShopifyDiscount:", error);
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      const error = new Error(data.error || `Spin failed: ${response.status}`);
+      if (response.status === 429) {
+        error.retryAfter = getRetryAfter(response, data);
+      }
       throw error;
     }
-  }//generateShopifyDiscount ends
+
+    return data;
+  }//requestWheelSpin ends
 
   // New combined email and spin handler
   async function handleEmailAndSpin() {
@@ -1043,29 +1533,58 @@
       return;
     }
 
+    if (!captureMarketingConsent()) {
+      return;
+    }
+
     // Track email entered
     trackEvent("email_entered", { email: email });
 
     // Use the same unified segments array as the visual wheel
     const segments = popupConfig.segments || [
-      { label: "5% OFF", color: "#0a2a43", value: "5", code: "SAVE5" },
-      { label: "10% OFF", color: "#133b5c", value: "10", code: "SAVE10" },
-      { label: "15% OFF", color: "#0a2a43", value: "15", code: "SAVE15" },
-      { label: "20% OFF", color: "#133b5c", value: "20", code: "SAVE20" },
-      { label: "FREE SHIPPING", color: "#0a2a43", value: "shipping", code: "FREESHIP" },
-      { label: "TRY AGAIN", color: "#133b5c", value: null, code: null },
+      { label: "5% OFF", color: "#0a2a43", value: "5" },
+      { label: "10% OFF", color: "#133b5c", value: "10" },
+      { label: "15% OFF", color: "#0a2a43", value: "15" },
+      { label: "20% OFF", color: "#133b5c", value: "20" },
+      { label: "FREE SHIPPING", color: "#0a2a43", value: "shipping" },
+      { label: "TRY AGAIN", color: "#133b5c", value: null },
     ];
 
-    // Randomly select a prize FIRST
-    const prizeIndex = Math.floor(Math.random() * segments.length);
-    const prize = segments[prizeIndex];
+    const wheel = document.getElementById("spinning-wheel");
+    const button = document.querySelector(".spin-button");
+    const originalButtonText = button.textContent;
 
-    // Track spin event
-    trackEvent("spin", {
-      email: email,
-      prizeLabel: prize.label,
-      metadata: { prizeIndex: prizeIndex, totalSegments: segments.length },
-    });
+    // Disable button while the server picks the prize and the wheel spins
+    button.disabled = true;
+    button.textContent = "SPINNING...";
+
+    // The server picks the prize and records the spin, win or loss
+    let spinResult;
+    try {
+      spinResult = await requestWheelSpin(email);
+    } catch (error) {
+      console.error("Error spinning wheel:", error);
+      button.disabled = false;
+      button.textContent = originalButtonText;
+      showCustomNotification(
+        error.retryAfter
+          ? getRateLimitMessage(error.retryAfter)
+          : "We couldn't spin the wheel right now. Please try again.",
+        "error",
+      );
+      return;
+    }
+
+    const prizeIndex = spinResult.segmentIndex;
+    const prizeLabel = spinResult.prizeLabel || segments[prizeIndex]?.label;
+
+    // Winners get their own code - fetch it while the wheel spins
+    const discountRequest = spinResult.isWinner
+      ? requestDiscountCode(email).catch((error) => {
+          console.error("Error generating discount code:", error);
+          return { error };
+        })
+      : null;
 
     // Calculate the angle where the wheel should stop to land on the selected prize
     const segmentAngle = 360 / segments.length;
@@ -1082,14 +1601,6 @@
     // Since we want the segment center to end up at the top, we calculate:
     const finalRotation = fullRotations * 360 - segmentCenterAngle;
 
-    // Start spinning the wheel
-    const wheel = document.getElementById("spinning-wheel");
-    const button = document.querySelector(".spin-button");
-
-    // Disable button during spin
-    button.disabled = true;
-    button.textContent = "SPINNING...";
-
     // Apply the calculated rotation with realistic physics animation
     wheel.style.transition = "transform 4s cubic-bezier(0.23, 1, 0.32, 1)";
     wheel.style.transform = `rotate(${finalRotation}deg)`;
@@ -1109,34 +1620,26 @@
         wheel.style.transform = `rotate(${finalRotation}deg)`;
       }, 300);
 
-      console.log(`Wheel landed on: ${prize.label} (index: ${prizeIndex})`);
-
-      // Check if it's a winning segment (has a discount code)
-      const isWinner = prize.code && prize.code !== null;
+      console.log(`Wheel landed on: ${prizeLabel} (index: ${prizeIndex})`);
 
-      if (isWinner) {
-        // Use the pre-configured discount code from the segment
-        const discountCode = prize.code;
-
-        // Track win event
-        trackEvent("win", {
-          email: email,
-          discountCode: discountCode,
-          prizeLabel: prize.label,
-          metadata: {
-            preconfigured: true,
-            segmentIndex: prizeIndex,
-          },
-        });
-
-        showWinnerDisplay(prize.label, discountCode);
+      // Spin, win and lose events are recorded by the server
+      if (spinResult.isWinner) {
+        let discount = await discountRequest;
+        if (discount.confirmationRequired) {
+          showConfirmationRequiredState(document.querySelector(".form-section"), discount.message);
+          return;
+        }
+        if (discount.error) {
+          const formSection = document.querySelector(".form-section");
+          showDiscountRetryState(formSection, getDiscountErrorMessage(discount.error), async () => {
+            discount = await requestDiscountCodeWithRetry(email, formSection);
+            showWinnerDisplay(prizeLabel, discount.discountCode);
+          });
+          return;
+        }
+        showWinnerDisplay(prizeLabel, discount.discountCode);
       } else {
-        // Track lose event
-        trackEvent("lose", {
-          email: email,
-          prizeLabel: prize.label,
-        });
-        showTryAgainDisplay(prize.label);
+        showTryAgainDisplay(prizeLabel);
       }
     }, 4000); // 4 second spin for more realistic feel
   }//handleEmailAndSpin ends
@@ -1152,26 +1655,37 @@
       return;
     }
 
+    if (!captureMarketingConsent()) {
+      return;
+    }
+
     // Track email entered for email popup
     trackEvent("email_entered", { email: email });
 
-    // Use the pre-configured discount code from admin settings
-    const discountCode = popupConfig.discountCode || "WELCOME10";
+    const button = document.querySelector(".email-popup-button");
+    if (button) {
+      button.disabled = true;
+      button.textContent = "Please wait...";
+    }
+
+    // For email popup, we need to target the email-popup-content instead of form-section
+    const formSection = document.querySelector(".form-section") || document.querySelector(".email-popup-content");
+
+    // Each subscriber gets their own single-use code
+    const discount = await requestDiscountCodeWithRetry(email, formSection);
+    const discountCode = discount.discountCode;
 
     // Track win event for email popup
     trackEvent("win", {
       email: email,
       discountCode: discountCode,
-      prizeLabel: "Email Discount",
+      prizeLabel: discount.prizeLabel || "Email Discount",
       metadata: {
         popupType: "email",
-        preconfigured: true,
       },
     });
 
-    // Show the pre-configured discount code with personalized message
-    // For email popup, we need to target the email-popup-content instead of form-section
-    const formSection = document.querySelector(".form-section") || document.querySelector(".email-popup-content");
+    // Show the issued discount code with personalized message
 
     // Create personalized success messages
     let thankYouMessage = "Thank You!";
@@ -1341,45 +1855,17 @@
     `;
   }//showTryAgainDisplay ends 
 
-  // Show discount code with copy functionality (legacy)
-  function showDiscountCode() {
-    const form = document.querySelector(".popup-form");
-    const discountCode = popupConfig.discountCode || "SAVE10";
-
-    form.innerHTML = `
-      <div class="discount-display">
-        <div class="discount-success">
-          🎉 Thank you! Here's your discount:
-        </div>
-        <div class="discount-code-container" onclick="copyDiscountCode()">
-          <div class="discount-code-text" id="discount-code">
-            ${discountCode}
-          </div>
-          <div class="discount-code-hint">
-            Click to copy to clipboard
-          </div>
-        </div>
-        <button class="copy-button" id="copy-btn" onclick="copyDiscountCode()">
-          📋 Copy Code
-        </button>
-        <br>
-        <button class="close-button" onclick="window.closePopup()">
-          Close
-        </button>
-      </div>
-    `;
-  }//showDiscountCode ends
-
-  // Make showDiscountCode globally accessible
-  window.showDiscountCode = showDiscountCode;
-
   // Copy discount code to clipboard
   function copyDiscountCode() {
     // Get the discount code from the displayed element
     const discountCodeElement = document.getElementById("discount-code");
     const discountCode = discountCodeElement
       ? discountCodeElement.textContent.trim()
-      : popupConfig.discountCode || "SAVE10";
+      : "";
+
+    if (!discountCode) {
+      return;
+    }
 
     // Track copy event
     trackEvent("copy_code", {
@@ -1514,7 +2000,7 @@
 
     // Check for existing timer
     const storageKey = `timer-popup-end-time-${getShopDomain()}`;
-    const storedEndTime = localStorage.getItem(storageKey);
+    const storedEndTime = getPersistentStorage().getItem(storageKey);
 
     if (storedEndTime && parseInt(storedEndTime) > Date.now()) {
       // Use existing timer
@@ -1522,7 +2008,7 @@
     } else {
       // Create new timer
       timerEndTime = Date.now() + totalMs;
-      localStorage.setItem(storageKey, timerEndTime.toString());
+      getPersistentStorage().setItem(storageKey, timerEndTime.toString());
     }
 
     // Create timer popup HTML
@@ -1574,6 +2060,8 @@
       
       <div class="timer-form">
         <input type="email" class="timer-email-input" id="timer-email" placeholder="${config.placeholder || "Enter your email to claim this offer"}" />
+        ${renderHoneypotField()}
+        ${renderConsentCheckbox(config)}
         <button class="timer-cta-button" onclick="handleTimerSubmit()">
           ${config.buttonText || "CLAIM OFFER NOW"}
         </button>
@@ -1755,6 +2243,10 @@
       return;
     }
 
+    if (!captureMarketingConsent()) {
+      return;
+    }
+
     // Track email entered for timer popup
     trackEvent("email_entered", {
       email: email,
@@ -1764,25 +2256,38 @@
       },
     });
 
-    // Use the pre-configured discount code from admin settings
-    const discountCode = popupConfig.discountCode || "TIMER10";
+    // Stop the timer since user has converted - the offer is theirs even if
+    // the code takes a retry to come through
+    if (timerInterval) {
+      clearInterval(timerInterval);
+    }
+
+    const button = document.querySelector(".timer-cta-button");
+    if (button) {
+      button.disabled = true;
+      button.textContent = "PLEASE WAIT...";
+    }
+
+    const timerContent = document.querySelector(
+      ".timer-content .timer-popup-inner",
+    );
+
+    // Each subscriber gets their own single-use code
+    const discount = await requestDiscountCodeWithRetry(email, timerContent);
+    const discountCode = discount.discountCode;
 
     // Track conversion for timer popup
     trackEvent("win", {
       email: email,
       discountCode: discountCode,
-      prizeLabel: "Timer Discount",
+      prizeLabel: discount.prizeLabel || "Timer Discount",
       metadata: {
         popupType: "timer",
-        preconfigured: true,
         timeRemaining: timerEndTime - Date.now(),
       },
     });
 
     // Show success message with discount code
-    const timerContent = document.querySelector(
-      ".timer-content .timer-popup-inner",
-    );
     timerContent.innerHTML = `
       <button class="popup-close" onclick="closePopup()" style="
         position: absolute;
@@ -1830,11 +2335,6 @@
         </button>
       </div>
     `;
-
-    // Stop the timer since user has converted
-    if (timerInterval) {
-      clearInterval(timerInterval);
-    }
   }//handleTimerSubmit
 
   // Make timer functions globally accessible
@@ -2093,6 +2593,7 @@
               transition: all 0.3s ease;
               background: #f8f9fa;
             " />
+            ${renderHoneypotField()}
             <label class="scratch-checkbox-container" style="
               display: flex;
               align-items: center;
@@ -2103,7 +2604,7 @@
             ">
               <input type="checkbox" id="scratch-terms" class="scratch-checkbox" />
               <span class="scratch-checkmark"></span>
-              <span class="scratch-checkbox-text">I agree to receive promotional emails</span>
+              <span class="scratch-checkbox-text">${config.marketingConsent?.showCheckbox ? escapeHtml(config.marketingConsent.text) : "I agree to receive promotional emails"}</span>
             </label>
             <button onclick="enableScratchCard(${selectedDiscount.value})" class="scratch-submit-btn" id="enable-scratch-btn" disabled style="
               width: 100%;
@@ -2471,6 +2972,9 @@
       return;
     }
 
+    // Ticking the agreement is the scratch card's marketing consent
+    captureMarketingConsent();
+
     // Track email entered
     trackEvent("email_entered", {
       email: email,
@@ -2621,17 +3125,25 @@
       return;
     }
 
-    // Use the configured discount code or generate one
-    const discountCode = popupConfig.discountCode || `SCRATCH${discount}`;
+    const submitBtn = document.querySelector(".scratch-submit-btn");
+    if (submitBtn) {
+      submitBtn.disabled = true;
+    }
+
+    // Each subscriber gets their own single-use code
+    const issued = await requestDiscountCodeWithRetry(
+      email,
+      document.querySelector(".scratch-card-popup-inner"),
+    );
+    const discountCode = issued.discountCode;
 
     // Track win event for scratch card
     trackEvent("win", {
       email: email,
       discountCode: discountCode,
-      prizeLabel: `${discount}% OFF`,
+      prizeLabel: issued.prizeLabel || `${discount}% OFF`,
       metadata: {
         popupType: "scratch-card",
-        preconfigured: true,
       },
     });
 
@@ -2745,39 +3257,446 @@
   window.handleScratchCardSubmit = handleScratchCardSubmit;
   window.enableScratchCard = enableScratchCard;
 
-  // Embedded function: wheel handler
-  function handleWheelSpin() {
-    const wheel = document.getElementById("spinning-wheel");
-    wheel.classList.add("spinning");
+  // Popups whose trigger fired in the current tick, waiting for resolution
+  let triggeredPopups = [];
+
+  // Several triggers can fire together (e.g. equal delays) - collect them
+  // and show only the highest-priority one
+  const triggerPopup = (config) => {
+    if (popupConfig || !matchesCartRules(config)) return;
+
+    triggeredPopups.push(config);
+    if (triggeredPopups.length > 1) return;
+
     setTimeout(() => {
-      wheel.classList.remove("spinning");
-      const segments = popupConfig.segments || [];
-      const prize = segments[Math.floor(Math.random() * segments.length)];
-      alert(`🎉 You won: ${prize.label}`);
-      window.closePopup();
-    }, 2000);
-  }//handleWheelSpin ends here
+      const winner = triggeredPopups.reduce((best, candidate) =>
+        (candidate.priority || 0) > (best.priority || 0) ? candidate : best,
+      );
+      triggeredPopups = [];
+      showPopup(winner);
+    }, 0);
+  };
 
-  // Init
-  document.addEventListener("DOMContentLoaded", async () => {
-    popupConfig = await fetchPopupConfig();
-    if (!popupConfig?.isActive) return;
-
-    if (popupConfig.exitIntent) {
-      document.addEventListener("mouseout", (e) => {
-        if (e.clientY <= 0 && !exitIntentTriggered) {
-          exitIntentTriggered = true;
-          showPopup(popupConfig);
+  // Shopper's cart from /cart.js - loaded only when a popup has cart rules
+  let cartState = null;
+
+  // Product handles of each collection used in cart rules
+  const collectionProductHandles = {};
+
+  const hasCartRules = (config) => {
+    const rules = config.cartRules;
+    return Boolean(
+      rules &&
+        (rules.minSubtotal !== null ||
+          rules.maxSubtotal !== null ||
+          rules.minItems !== null ||
+          rules.maxItems !== null ||
+          rules.productHandles?.length ||
+          rules.collectionHandles?.length ||
+          rules.addToCartTrigger),
+    );
+  };
+
+  const fetchCart = async () => {
+    try {
+      const res = await fetch("/cart.js", {
+        headers: { Accept: "application/json" },
+      });
+      if (res.ok) {
+        cartState = await res.json();
+      }
+    } catch (err) {
+      console.warn("Failed to fetch cart:", err);
+    }
+    return cartState;
+  };
+
+  // Storefront collection feeds are public; cache them for the session
+  const fetchCollectionProductHandles = async (handle) => {
+    const storageKey = `popup-collection-${handle}`;
+    const cached = sessionStorage.getItem(storageKey);
+    if (cached) {
+      collectionProductHandles[handle] = JSON.parse(cached);
+      return;
+    }
+
+    try {
+      const res = await fetch(
+        `/collections/${encodeURIComponent(handle)}/products.json?limit=250`,
+      );
+      if (!res.ok) return;
+      const data = await res.json();
+      const handles = (data.products || []).map((product) => product.handle);
+      collectionProductHandles[handle] = handles;
+      sessionStorage.setItem(storageKey, JSON.stringify(handles));
+    } catch (err) {
+      console.warn("Failed to fetch collection products:", handle, err);
+    }
+  };
+
+  const loadCartRuleData = async (configs) => {
+    const cartConfigs = configs.filter(hasCartRules);
+    if (cartConfigs.length === 0) return;
+
+    const collectionHandles = new Set(
+      cartConfigs.flatMap((config) => config.cartRules.collectionHandles || []),
+    );
+    await Promise.all([
+      fetchCart(),
+      ...[...collectionHandles].map(fetchCollectionProductHandles),
+    ]);
+  };
+
+  const matchesCartRules = (config) => {
+    if (!hasCartRules(config)) return true;
+    if (!cartState) return false;
+
+    const rules = config.cartRules;
+    const subtotal = cartState.total_price / 100;
+    const itemCount = cartState.item_count;
+    const cartHandles = (cartState.items || []).map((item) => item.handle);
+
+    if (rules.minSubtotal !== null && subtotal < rules.minSubtotal) return false;
+    if (rules.maxSubtotal !== null && subtotal >= rules.maxSubtotal) return false;
+    if (rules.minItems !== null && itemCount < rules.minItems) return false;
+    if (rules.maxItems !== null && itemCount > rules.maxItems) return false;
+
+    if (
+      rules.productHandles?.length &&
+      !rules.productHandles.some((handle) => cartHandles.includes(handle))
+    ) {
+      return false;
+    }
+
+    if (
+      rules.collectionHandles?.length &&
+      !rules.collectionHandles.some((handle) =>
+        (collectionProductHandles[handle] || []).some((productHandle) =>
+          cartHandles.includes(productHandle),
+        ),
+      )
+    ) {
+      return false;
+    }
+
+    return true;
+  };
+
+  const formatCartMoney = (amount) => {
+    try {
+      return new Intl.NumberFormat(document.documentElement.lang || undefined, {
+        style: "currency",
+        currency: cartState.currency,
+      }).format(amount);
+    } catch (e) {
+      return amount.toFixed(2);
+    }
+  };
+
+  // Fill {{cart_subtotal}} and {{cart_remaining}} (amount left to reach the
+  // "subtotal below" rule, e.g. for free shipping) in the popup text
+  const applyCartTokens = (config) => {
+    if (!cartState) return config;
+
+    const subtotal = cartState.total_price / 100;
+    const threshold = config.cartRules?.maxSubtotal;
+    const remaining = threshold ? Math.max(threshold - subtotal, 0) : 0;
+    const replaceTokens = (text) =>
+      typeof text === "string"
+        ? text
+            .replace(/\{\{\s*cart_subtotal\s*\}\}/g, formatCartMoney(subtotal))
+            .replace(/\{\{\s*cart_remaining\s*\}\}/g, formatCartMoney(remaining))
+        : text;
+
+    return {
+      ...config,
+      title: replaceTokens(config.title),
+      description: replaceTokens(config.description),
+    };
+  };
+
+  // Popups waiting for an add-to-cart
+  const addToCartWatchers = [];
+  let addToCartTrackingStarted = false;
+
+  // Set when a cart form is submitted, in case the theme does a full page
+  // redirect instead of an AJAX add
+  const ADDED_TO_CART_KEY = "popup-added-to-cart";
+
+  const isAddToCartUrl = (url) => /\/cart\/add(\.js)?(\?|$)/.test(String(url || ""));
+
+  const handleAddToCart = async () => {
+    sessionStorage.removeItem(ADDED_TO_CART_KEY);
+    await fetchCart();
+    addToCartWatchers.forEach((config) => triggerPopup(config));
+  };
+
+  // Themes add to cart in different ways, so listen for all of them:
+  // fetch and XHR calls to /cart/add, common theme events and plain forms
+  const startAddToCartTracking = () => {
+    if (addToCartTrackingStarted) return;
+    addToCartTrackingStarted = true;
+
+    const originalFetch = window.fetch;
+    window.fetch = async (...args) => {
+      const response = await originalFetch(...args);
+      const url = typeof args[0] === "string" ? args[0] : args[0]?.url;
+      if (response.ok && isAddToCartUrl(url)) {
+        handleAddToCart();
+      }
+      return response;
+    };
+
+    const originalOpen = XMLHttpRequest.prototype.open;
+    XMLHttpRequest.prototype.open = function (method, url, ...rest) {
+      this.popupRequestUrl = url;
+      return originalOpen.call(this, method, url, ...rest);
+    };
+    const originalSend = XMLHttpRequest.prototype.send;
+    XMLHttpRequest.prototype.send = function (...args) {
+      this.addEventListener("load", () => {
+        if (this.status >= 200 && this.status < 300 && isAddToCartUrl(this.popupRequestUrl)) {
+          handleAddToCart();
         }
       });
+      return originalSend.apply(this, args);
+    };
+
+    ["cart:added", "product:added", "ajaxProduct:added", "theme:cart:add"].forEach(
+      (eventName) => document.addEventListener(eventName, handleAddToCart),
+    );
+
+    document.addEventListener("submit", (e) => {
+      if (isAddToCartUrl(e.target?.getAttribute?.("action"))) {
+        sessionStorage.setItem(ADDED_TO_CART_KEY, "true");
+      }
+    });
+
+    // The previous page submitted a cart form and redirected here
+    if (sessionStorage.getItem(ADDED_TO_CART_KEY)) {
+      handleAddToCart();
+    }
+  };
+
+  // Behaviour tracked for trigger conditions. Page views and time on site
+  // are kept in sessionStorage so they add up across pages.
+  const triggerState = {
+    scrollPercent: 0,
+    lastActivity: Date.now(),
+    timeOnSite: parseInt(sessionStorage.getItem("popup-time-on-site"), 10) || 0,
+    pageViews: parseInt(sessionStorage.getItem("popup-page-views"), 10) || 0,
+  };
+
+  // Popups waiting for their trigger conditions: [{ config, fired }]
+  const triggerWatchers = [];
+  let triggerTrackingStarted = false;
+
+  const evaluateTriggerCondition = (condition) => {
+    switch (condition.type) {
+      case "scroll":
+        return triggerState.scrollPercent >= condition.value;
+      case "inactivity":
+        return Date.now() - triggerState.lastActivity >= condition.value * 1000;
+      case "timeOnSite":
+        return triggerState.timeOnSite >= condition.value * 1000;
+      case "pageViews":
+        return triggerState.pageViews >= condition.value;
+      default:
+        return false;
+    }
+  };
+
+  const evaluateTriggerWatchers = () => {
+    triggerWatchers.forEach((watcher) => {
+      if (watcher.fired) return;
+
+      const { match, conditions } = watcher.config.triggerRules;
+      const matched =
+        match === "any"
+          ? conditions.some(evaluateTriggerCondition)
+          : conditions.every(evaluateTriggerCondition);
+
+      if (matched) {
+        watcher.fired = true;
+        triggerPopup(watcher.config);
+      }
+    });
+  };
+
+  const updateScrollPercent = () => {
+    const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+    const percent = scrollable > 0 ? (window.scrollY / scrollable) * 100 : 100;
+    triggerState.scrollPercent = Math.max(triggerState.scrollPercent, percent);
+  };
+
+  const startTriggerTracking = () => {
+    if (triggerTrackingStarted) return;
+    triggerTrackingStarted = true;
+
+    const markActivity = () => {
+      triggerState.lastActivity = Date.now();
+    };
+    ["mousemove", "keydown", "touchstart", "click"].forEach((eventName) =>
+      document.addEventListener(eventName, markActivity, { passive: true }),
+    );
+
+    window.addEventListener(
+      "scroll",
+      () => {
+        markActivity();
+        updateScrollPercent();
+        evaluateTriggerWatchers();
+      },
+      { passive: true },
+    );
+
+    // Time on site only counts while the tab is visible
+    setInterval(() => {
+      if (document.visibilityState === "visible") {
+        triggerState.timeOnSite += 1000;
+        sessionStorage.setItem("popup-time-on-site", triggerState.timeOnSite.toString());
+      }
+      evaluateTriggerWatchers();
+    }, 1000);
+
+    updateScrollPercent();
+  };
+
+  const hasTriggerConditions = (config) =>
+    Boolean(config.triggerRules && config.triggerRules.conditions?.length);
+
+  // Phones and tablets
+  const isTouchDevice = () =>
+    window.matchMedia("(pointer: coarse)").matches || "ontouchstart" in window;
+
+  // Watch for the visitor about to leave. Desktop uses the cursor leaving
+  // through the top of the window; on phones, popups that opt in to mobile
+  // exit intent also watch for a fast scroll back up and the back button.
+  // Signals are ignored until exitIntentDelay has passed since page load.
+  const armExitIntent = (config, onExit) => {
+    const armedAt = Date.now() + (config.exitIntentDelay || 0);
+    let triggered = false;
+    const listeners = [];
+
+    const listen = (target, eventName, handler, options) => {
+      target.addEventListener(eventName, handler, options);
+      listeners.push(() => target.removeEventListener(eventName, handler, options));
+    };
+
+    const fire = () => {
+      if (triggered || Date.now() < armedAt) return;
+      triggered = true;
+      listeners.splice(0).forEach((removeListener) => removeListener());
+      onExit();
+    };
+
+    listen(document, "mouseout", (e) => {
+      if (e.clientY <= 0 && !e.relatedTarget) fire();
+    });
+
+    if (config.mobileExitIntent !== true || !isTouchDevice()) return;
+
+    // Fast upward scroll, usually heading for the address bar
+    let lastScrollY = window.scrollY;
+    let lastScrollTime = Date.now();
+    listen(
+      window,
+      "scroll",
+      () => {
+        const now = Date.now();
+        const distance = lastScrollY - window.scrollY;
+        const elapsed = Math.max(now - lastScrollTime, 1);
+        if (distance > 80 && distance / elapsed > 0.5 && window.scrollY > 0) {
+          fire();
+        }
+        lastScrollY = window.scrollY;
+        lastScrollTime = now;
+      },
+      { passive: true },
+    );
+
+    // Back button: push a sentinel history entry and catch the visitor
+    // popping it. Only once per popup per session, so the back button isn't
+    // held up on every page.
+    const sentinelKey = `popup-exit-sentinel-${config.id || "default"}`;
+    if (!sessionStorage.getItem(sentinelKey)) {
+      sessionStorage.setItem(sentinelKey, "1");
+      if (!history.state || !history.state.popupExitIntent) {
+        history.pushState({ popupExitIntent: true }, "");
+      }
+      listen(window, "popstate", fire);
+    }
+  };
+
+  // Arm the display trigger for one popup
+  const armPopupTrigger = (config) => {
+    if (config.cartRules?.addToCartTrigger) {
+      addToCartWatchers.push(config);
+    } else if (config.exitIntent) {
+      armExitIntent(config, () => triggerPopup(config));
+    } else if (hasTriggerConditions(config)) {
+      triggerWatchers.push({ config, fired: false });
+      startTriggerTracking();
+      evaluateTriggerWatchers();
     } else {
       setTimeout(
-        () => showPopup(popupConfig),
-        popupConfig.displayDelay || 3000,
+        () => triggerPopup(config),
+        config.displayDelay || 3000,
       );
     }
+  };
+
+  // Init
+  // Pick the popups for this page and arm their triggers
+  const startPopups = async (configs) => {
+    // Only popups that target this page and are due to be shown compete
+    const candidates = configs
+      .map(applyDeviceOverrides)
+      .filter((config) => config?.isActive && shouldShowPopup(config))
+      .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+
+    await loadCartRuleData(candidates);
+    candidates.forEach(armPopupTrigger);
+
+    if (addToCartWatchers.length > 0) {
+      startAddToCartTracking();
+    }
+  };
+
+  document.addEventListener("DOMContentLoaded", async () => {
+    // Consent decides where visitor state is stored, so it comes first
+    await loadCustomerPrivacy();
+
+    // Settle new vs returning and the traffic source for this session
+    // before anything else runs
+    getVisitorType();
+    getTrafficSource();
+
+    // Count this page view before any page-view conditions are checked
+    triggerState.pageViews += 1;
+    sessionStorage.setItem("popup-page-views", triggerState.pageViews.toString());
+
+    const configs = await fetchPopupConfigs();
+
+    if (!requireMarketingConsent || getConsentStatus("marketing") === "granted") {
+      await startPopups(configs);
+      return;
+    }
+
+    // Wait for the visitor to accept marketing in the cookie banner
+    const onConsentCollected = () => {
+      if (getConsentStatus("marketing") === "granted") {
+        document.removeEventListener("visitorConsentCollected", onConsentCollected);
+        startPopups(configs);
+      }
+    };
+    document.addEventListener("visitorConsentCollected", onConsentCollected);
   });
 
+  // The cookie banner was answered - send or anonymize the queued events
+  document.addEventListener("visitorConsentCollected", () => flushPendingEvents());
+  window.addEventListener("pagehide", () => flushPendingEvents({ leaving: true }));
+
   // Click outside to close
   document.addEventListener("click", (e) => {
     if (e.target.id === "custom-popup-overlay") window.closePopup();
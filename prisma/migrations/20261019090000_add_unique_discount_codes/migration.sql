@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE `PopupConfig` ADD COLUMN `discountType` VARCHAR(191) NOT NULL DEFAULT 'percentage',
+    ADD COLUMN `discountValue` VARCHAR(191) NOT NULL DEFAULT '10';
+
+-- AlterTable
+ALTER TABLE `DiscountCode` ADD COLUMN `popupId` VARCHAR(191) NULL;
+
+-- CreateIndex
+CREATE INDEX `DiscountCode_shop_popupId_email_idx` ON `DiscountCode`(`shop`, `popupId`, `email`);
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `PopupConfig` ADD COLUMN `discountMinimumSubtotal` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `DiscountCode` ADD COLUMN `minimumSubtotal` VARCHAR(191) NULL;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `PopupConfig` ADD COLUMN `revision` INTEGER NOT NULL DEFAULT 1,
+    ADD COLUMN `maxImpressionsPerSession` INTEGER NULL,
+    ADD COLUMN `stopAfterConversion` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `cooldownMinutes` INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `PopupConfig` ADD COLUMN `cartRules` TEXT NULL;
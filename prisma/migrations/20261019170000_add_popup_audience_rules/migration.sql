@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `PopupConfig` ADD COLUMN `audienceRules` TEXT NULL;
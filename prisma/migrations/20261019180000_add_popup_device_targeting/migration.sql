@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE `PopupConfig` ADD COLUMN `targetDevices` TEXT NULL,
+    ADD COLUMN `mobileOverrides` TEXT NULL;
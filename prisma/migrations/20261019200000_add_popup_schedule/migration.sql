@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `PopupConfig` ADD COLUMN `startsAt` DATETIME(3) NULL,
+    ADD COLUMN `endsAt` DATETIME(3) NULL,
+    ADD COLUMN `scheduleWindows` TEXT NULL,
+    ADD COLUMN `scheduleTimezone` VARCHAR(191) NULL;
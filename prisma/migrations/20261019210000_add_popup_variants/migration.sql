@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE `PopupAnalytics` ADD COLUMN `variantId` VARCHAR(191) NULL;
+
+-- CreateIndex
+CREATE INDEX `PopupAnalytics_popupId_variantId_idx` ON `PopupAnalytics`(`popupId`, `variantId`);
+
+-- CreateTable
+CREATE TABLE `PopupVariant` (
+    `id` VARCHAR(191) NOT NULL,
+    `shop` VARCHAR(191) NOT NULL,
+    `popupId` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `weight` INTEGER NOT NULL DEFAULT 50,
+    `overrides` TEXT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `PopupVariant_shop_popupId_idx`(`shop`, `popupId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
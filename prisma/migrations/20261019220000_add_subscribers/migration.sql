@@ -0,0 +1,78 @@
+-- CreateTable
+CREATE TABLE `Subscriber` (
+    `id` VARCHAR(191) NOT NULL,
+    `shop` VARCHAR(191) NOT NULL,
+    `email` VARCHAR(191) NOT NULL,
+    `firstSeenAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `lastSeenAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `sourcePopupId` VARCHAR(191) NULL,
+    `consentStatus` VARCHAR(191) NOT NULL DEFAULT 'subscribed',
+    `tags` TEXT NULL,
+    `customFields` TEXT NULL,
+    `signupCount` INTEGER NOT NULL DEFAULT 0,
+    `interactionCount` INTEGER NOT NULL DEFAULT 0,
+    `spinCount` INTEGER NOT NULL DEFAULT 0,
+    `winCount` INTEGER NOT NULL DEFAULT 0,
+    `discountCount` INTEGER NOT NULL DEFAULT 0,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `Subscriber_shop_firstSeenAt_idx`(`shop`, `firstSeenAt`),
+    INDEX `Subscriber_shop_lastSeenAt_idx`(`shop`, `lastSeenAt`),
+    UNIQUE INDEX `Subscriber_shop_email_key`(`shop`, `email`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- Backfill: one subscriber per shop and email that was entered in a popup,
+-- with counts rebuilt from the analytics events and issued discount codes.
+-- Each source is aggregated once, so this stays a few table scans however
+-- many events there are.
+INSERT INTO `Subscriber` (
+    `id`, `shop`, `email`, `firstSeenAt`, `lastSeenAt`, `sourcePopupId`, `consentStatus`,
+    `signupCount`, `interactionCount`, `spinCount`, `winCount`, `discountCount`, `createdAt`, `updatedAt`
+)
+SELECT
+    CONCAT('sub', MD5(CONCAT(`signups`.`shop`, ':', `signups`.`email`))),
+    `signups`.`shop`,
+    `signups`.`email`,
+    `signups`.`firstSeenAt`,
+    GREATEST(`signups`.`lastSignupAt`, COALESCE(`activity`.`lastSeenAt`, `signups`.`lastSignupAt`)),
+    `signups`.`sourcePopupId`,
+    'subscribed',
+    `signups`.`signupCount`,
+    COALESCE(`activity`.`interactionCount`, 0),
+    COALESCE(`activity`.`spinCount`, 0),
+    COALESCE(`activity`.`winCount`, 0),
+    COALESCE(`discounts`.`discountCount`, 0),
+    CURRENT_TIMESTAMP(3),
+    CURRENT_TIMESTAMP(3)
+FROM (
+    SELECT
+        `shop`,
+        LOWER(TRIM(`email`)) AS `email`,
+        MIN(`timestamp`) AS `firstSeenAt`,
+        MAX(`timestamp`) AS `lastSignupAt`,
+        COUNT(*) AS `signupCount`,
+        -- The popup of the first signup (popup IDs are cuids, never containing commas)
+        SUBSTRING_INDEX(GROUP_CONCAT(`popupId` ORDER BY `timestamp` ASC), ',', 1) AS `sourcePopupId`
+    FROM `PopupAnalytics`
+    WHERE `eventType` = 'email_entered' AND `email` IS NOT NULL AND TRIM(`email`) <> ''
+    GROUP BY `shop`, LOWER(TRIM(`email`))
+) AS `signups`
+LEFT JOIN (
+    SELECT
+        `shop`,
+        LOWER(TRIM(`email`)) AS `email`,
+        MAX(`timestamp`) AS `lastSeenAt`,
+        COUNT(*) AS `interactionCount`,
+        SUM(`eventType` = 'spin') AS `spinCount`,
+        SUM(`eventType` = 'win') AS `winCount`
+    FROM `PopupAnalytics`
+    WHERE `email` IS NOT NULL
+    GROUP BY `shop`, LOWER(TRIM(`email`))
+) AS `activity` ON `activity`.`shop` = `signups`.`shop` AND `activity`.`email` = `signups`.`email`
+LEFT JOIN (
+    SELECT `shop`, LOWER(TRIM(`email`)) AS `email`, COUNT(*) AS `discountCount`
+    FROM `DiscountCode`
+    GROUP BY `shop`, LOWER(TRIM(`email`))
+) AS `discounts` ON `discounts`.`shop` = `signups`.`shop` AND `discounts`.`email` = `signups`.`email`;
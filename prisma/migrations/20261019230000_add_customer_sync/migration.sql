@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE `Subscriber` ADD COLUMN `shopifyCustomerId` VARCHAR(191) NULL,
+    ADD COLUMN `syncStatus` VARCHAR(191) NOT NULL DEFAULT 'pending',
+    ADD COLUMN `syncAttempts` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `syncError` TEXT NULL,
+    ADD COLUMN `nextSyncAt` DATETIME(3) NULL,
+    ADD COLUMN `syncedAt` DATETIME(3) NULL;
+
+-- CreateIndex
+CREATE INDEX `Subscriber_shop_syncStatus_nextSyncAt_idx` ON `Subscriber`(`shop`, `syncStatus`, `nextSyncAt`);
+
+-- CreateTable
+CREATE TABLE `ShopSettings` (
+    `id` VARCHAR(191) NOT NULL,
+    `shop` VARCHAR(191) NOT NULL,
+    `customerSyncEnabled` BOOLEAN NOT NULL DEFAULT false,
+    `customerTag` VARCHAR(191) NOT NULL DEFAULT 'quickpop-{type}',
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `ShopSettings_shop_key`(`shop`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE `ComplianceAudit` (
+    `id` VARCHAR(191) NOT NULL,
+    `shop` VARCHAR(191) NOT NULL,
+    `topic` VARCHAR(191) NOT NULL,
+    `webhookId` VARCHAR(191) NULL,
+    `shopifyCustomerId` VARCHAR(191) NULL,
+    `status` VARCHAR(191) NOT NULL DEFAULT 'completed',
+    `summary` TEXT NOT NULL,
+    `exportData` LONGTEXT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `ComplianceAudit_webhookId_key`(`webhookId`),
+    INDEX `ComplianceAudit_shop_createdAt_idx`(`shop`, `createdAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
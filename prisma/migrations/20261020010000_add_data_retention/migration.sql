@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE `ShopSettings` ADD COLUMN `analyticsRetentionDays` INTEGER NOT NULL DEFAULT 365,
+    ADD COLUMN `uninstalledAt` DATETIME(3) NULL,
+    ADD COLUMN `purgeAfter` DATETIME(3) NULL;
+
+-- CreateIndex
+CREATE INDEX `ShopSettings_purgeAfter_idx` ON `ShopSettings`(`purgeAfter`);
@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE `ShopSettings` ADD COLUMN `privacyMode` BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE `IpHashSalt` (
+    `day` VARCHAR(191) NOT NULL,
+    `salt` VARCHAR(191) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    PRIMARY KEY (`day`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- The old 32-bit IP hashes can be reversed, so they are dropped
+UPDATE `PopupAnalytics` SET `ipAddress` = NULL WHERE `ipAddress` IS NOT NULL;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `ShopSettings` ADD COLUMN `requireMarketingConsent` BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE `PopupConfig` ADD COLUMN `marketingConsent` TEXT NULL;
+
+-- AlterTable
+ALTER TABLE `Subscriber` ADD COLUMN `consentedAt` DATETIME(3) NULL,
+    ADD COLUMN `consentText` TEXT NULL,
+    ADD COLUMN `consentTextVersion` VARCHAR(191) NULL,
+    ADD COLUMN `confirmedAt` DATETIME(3) NULL;
+
+-- CreateTable
+CREATE TABLE `OptInConfirmation` (
+    `id` VARCHAR(191) NOT NULL,
+    `shop` VARCHAR(191) NOT NULL,
+    `popupId` VARCHAR(191) NOT NULL,
+    `variantId` VARCHAR(191) NULL,
+    `email` VARCHAR(191) NOT NULL,
+    `tokenHash` VARCHAR(191) NOT NULL,
+    `consentGiven` BOOLEAN NOT NULL DEFAULT false,
+    `sentAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `expiresAt` DATETIME(3) NOT NULL,
+    `confirmedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `OptInConfirmation_tokenHash_key`(`tokenHash`),
+    INDEX `OptInConfirmation_shop_popupId_email_idx`(`shop`, `popupId`, `email`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
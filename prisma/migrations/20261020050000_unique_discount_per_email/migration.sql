@@ -0,0 +1,20 @@
+-- Detach all but the newest code per shop, popup and email from the popup, so
+-- the unique index can be created. The codes themselves stay on record.
+UPDATE `DiscountCode` AS `d`
+JOIN (
+    SELECT DISTINCT `older`.`id`
+    FROM `DiscountCode` AS `older`
+    JOIN `DiscountCode` AS `newer`
+      ON `newer`.`shop` = `older`.`shop`
+     AND `newer`.`popupId` = `older`.`popupId`
+     AND `newer`.`email` = `older`.`email`
+     AND (`newer`.`createdAt` > `older`.`createdAt`
+          OR (`newer`.`createdAt` = `older`.`createdAt` AND `newer`.`id` > `older`.`id`))
+) AS `superseded` ON `superseded`.`id` = `d`.`id`
+SET `d`.`popupId` = NULL;
+
+-- DropIndex
+DROP INDEX `DiscountCode_shop_popupId_email_idx` ON `DiscountCode`;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `DiscountCode_shop_popupId_email_key` ON `DiscountCode`(`shop`, `popupId`, `email`);
@@ -0,0 +1,39 @@
+-- CreateTable
+CREATE TABLE `WheelSpin` (
+    `id` VARCHAR(191) NOT NULL,
+    `shop` VARCHAR(191) NOT NULL,
+    `popupId` VARCHAR(191) NOT NULL,
+    `email` VARCHAR(191) NOT NULL,
+    `segmentIndex` INTEGER NOT NULL,
+    `prizeLabel` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `WheelSpin_shop_popupId_email_key`(`shop`, `popupId`, `email`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- Carry over the latest spin each shopper has on record, which is the one
+-- they were being shown. IGNORE drops spins recorded at the same instant.
+INSERT IGNORE INTO `WheelSpin` (`id`, `shop`, `popupId`, `email`, `segmentIndex`, `prizeLabel`, `createdAt`)
+SELECT `spin`.`id`, `spin`.`shop`, `spin`.`popupId`, `spin`.`email`, `spin`.`segmentIndex`, `spin`.`prizeLabel`, `spin`.`timestamp`
+FROM (
+    SELECT `id`, `shop`, `popupId`, `email`, `prizeLabel`, `timestamp`,
+        CASE WHEN JSON_VALID(`metadata`) THEN
+            CASE WHEN JSON_TYPE(JSON_EXTRACT(`metadata`, '$.segmentIndex')) = 'INTEGER'
+                THEN CAST(JSON_EXTRACT(`metadata`, '$.segmentIndex') AS SIGNED)
+            END
+        END AS `segmentIndex`
+    FROM `PopupAnalytics`
+    WHERE `eventType` = 'spin' AND `popupId` IS NOT NULL AND `email` IS NOT NULL
+) AS `spin`
+JOIN (
+    SELECT `shop`, `popupId`, `email`, MAX(`timestamp`) AS `latest`
+    FROM `PopupAnalytics`
+    WHERE `eventType` = 'spin' AND `popupId` IS NOT NULL AND `email` IS NOT NULL
+    GROUP BY `shop`, `popupId`, `email`
+) AS `latest`
+  ON `latest`.`shop` = `spin`.`shop`
+ AND `latest`.`popupId` = `spin`.`popupId`
+ AND `latest`.`email` = `spin`.`email`
+ AND `latest`.`latest` = `spin`.`timestamp`
+WHERE `spin`.`segmentIndex` IS NOT NULL;
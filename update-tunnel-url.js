@@ -55,6 +55,12 @@ async function updateShopifyConfig() {
     `redirect_urls = ["${tunnelUrl}/auth/callback", "${tunnelUrl}/auth/shopify/callback", "${tunnelUrl}/api/auth/callback"]`
   );
   
+  // Update the App Proxy target used by the storefront popup
+  config = config.replace(
+    /^url = "https:\/\/[^"]*\/api\/public"$/m,
+    `url = "${tunnelUrl}/api/public"`
+  );
+  
   // Write back to file
   fs.writeFileSync(configPath, config);
   
@@ -0,0 +1,9 @@
+import { defineConfig } from "vitest/config";
+
+// Kept apart from vite.config.js so unit tests don't boot the Remix plugin
+export default defineConfig({
+  test: {
+    environment: "node",
+    include: ["app/**/*.test.js"],
+  },
+});